@@ -0,0 +1,217 @@
+/**
+ * albums.js
+ * Albums group images by project. Albums are stored in their own collection;
+ * each image lists the albums it belongs to in `albumIds`, so one image can
+ * sit in several albums. Deleting an album keeps its images.
+ *
+ * Albums belong to a user (`ownerId`) and only hold that user's images. The
+ * functions below take the id of the user making the request; other users'
+ * albums answer 404.
+ *
+ * In the cloud, album membership is mirrored as `album:<name>` tags on the
+ * asset (see `cloudLabels`), next to the image's own tags.
+ */
+const crypto = require('crypto');
+const store = require('./store');
+const { findImageById, findImagesByOwner, patchImages } = require('./database');
+const { httpError } = require('./errors');
+
+const MAX_NAME_LENGTH = 100;
+const ALBUM_LABEL_PREFIX = 'album:';
+
+const albums = store.collection('albums');
+
+function now() {
+  return new Date().toISOString();
+}
+
+function albumsOf(ownerId) {
+  return albums.all().filter(album => album.ownerId === ownerId);
+}
+
+function validateName(name, ownerId, exceptId) {
+  const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!trimmed) {
+    throw httpError(400, 'Album name is required');
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw httpError(400, `Album name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  const clash = albumsOf(ownerId).find(a => a.id !== exceptId && a.name.toLowerCase() === trimmed.toLowerCase());
+  if (clash) {
+    throw httpError(409, `An album named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+function requireAlbum(id, ownerId) {
+  const album = albums.get(id);
+  if (!album || album.ownerId !== ownerId) {
+    throw httpError(404, 'Album not found');
+  }
+  return album;
+}
+
+function imageIdsInAlbum(album) {
+  const { id } = album;
+  return findImagesByOwner(album.ownerId).filter(img => (img.albumIds || []).includes(id)).map(img => img.id);
+}
+
+// Albums by name, each with its image count and the newest image as cover
+function listAlbums(ownerId) {
+  const counts = new Map();
+  const covers = new Map();
+  findImagesByOwner(ownerId)
+    .sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)))
+    .forEach(img => (img.albumIds || []).forEach(id => {
+      counts.set(id, (counts.get(id) || 0) + 1);
+      if (!covers.has(id)) covers.set(id, img.filename);
+    }));
+  return albumsOf(ownerId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(album => ({ ...album, imageCount: counts.get(album.id) || 0, coverFilename: covers.get(album.id) || null }));
+}
+
+function getAlbum(id, ownerId) {
+  const album = requireAlbum(id, ownerId);
+  return { ...album, imageCount: imageIdsInAlbum(album).length };
+}
+
+function createAlbum({ name, description } = {}, ownerId) {
+  const timestamp = now();
+  const album = {
+    id: crypto.randomUUID(),
+    ownerId,
+    name: validateName(name, ownerId),
+    description: String(description || '').trim(),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  };
+  albums.put(album);
+  return album;
+}
+
+/**
+ * Renames and/or re-describes an album. Returns the album and, when the name
+ * changed, the ids of its images (their cloud labels need updating).
+ */
+function updateAlbum(id, { name, description } = {}, ownerId) {
+  const current = requireAlbum(id, ownerId);
+  const updated = {
+    ...current,
+    name: name === undefined ? current.name : validateName(name, ownerId, id),
+    description: description === undefined ? current.description : String(description).trim(),
+    updatedAt: now(),
+  };
+  albums.put(updated);
+  const renamed = updated.name !== current.name;
+  return { album: updated, affectedImageIds: renamed ? imageIdsInAlbum(updated) : [] };
+}
+
+// Deletes the album and takes it off its images; returns the ids of those images
+function deleteAlbum(id, ownerId) {
+  const album = requireAlbum(id, ownerId);
+  const affected = patchImages(imageIdsInAlbum(album), img => ({
+    albumIds: (img.albumIds || []).filter(albumId => albumId !== id),
+  }));
+  albums.remove(id);
+  return affected.map(img => img.id);
+}
+
+function checkImageIds(imageIds) {
+  if (!Array.isArray(imageIds) || imageIds.length === 0) {
+    throw httpError(400, 'imageIds must be a non-empty array');
+  }
+  return imageIds.map(String);
+}
+
+// Adds images to an album; returns the ids of the images that were changed.
+// Images of other users are left out.
+function addImagesToAlbum(id, imageIds, ownerId) {
+  requireAlbum(id, ownerId);
+  const ids = checkImageIds(imageIds).filter(imageId => {
+    const img = findImageById(imageId);
+    return img && img.ownerId === ownerId && !(img.albumIds || []).includes(id);
+  });
+  return patchImages(ids, img => ({ albumIds: [...(img.albumIds || []), id] })).map(img => img.id);
+}
+
+// Removes images from an album; returns the ids of the images that were changed
+function removeImagesFromAlbum(id, imageIds, ownerId) {
+  requireAlbum(id, ownerId);
+  const ids = checkImageIds(imageIds).filter(imageId => {
+    const img = findImageById(imageId);
+    return img && img.ownerId === ownerId && (img.albumIds || []).includes(id);
+  });
+  return patchImages(ids, img => ({
+    albumIds: img.albumIds.filter(albumId => albumId !== id),
+  })).map(img => img.id);
+}
+
+/**
+ * Adds the albums of a library export (see library.js) for `ownerId`, keeping
+ * their ids so imported images stay in them (unless another user's album has
+ * the id). An album whose name is already taken here is merged into the
+ * existing one. Returns a Map from exported id to local id.
+ */
+function importAlbums(exported = [], ownerId) {
+  const idMap = new Map();
+  exported.forEach(album => {
+    const name = String(album.name || '').trim();
+    const sameId = albums.get(String(album.id));
+    const existing = (sameId && sameId.ownerId === ownerId ? sameId : null) ||
+      albumsOf(ownerId).find(a => a.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      idMap.set(album.id, existing.id);
+      return;
+    }
+    const id = sameId ? crypto.randomUUID() : String(album.id);
+    const timestamp = now();
+    albums.put({
+      id,
+      ownerId,
+      name: validateName(name, ownerId),
+      description: String(album.description || '').trim(),
+      createdAt: album.createdAt || timestamp,
+      updatedAt: album.updatedAt || timestamp,
+    });
+    idMap.set(album.id, id);
+  });
+  return idMap;
+}
+
+// Gives every album without an owner to `ownerId`; returns the number changed
+function claimUnownedAlbums(ownerId) {
+  const unowned = albums.all().filter(album => !album.ownerId);
+  albums.transaction(tx => unowned.forEach(album => tx.put({ ...album, ownerId })));
+  return unowned.length;
+}
+
+// Removes the albums of a user who is being deleted (they own no images by then)
+function deleteAlbumsOf(ownerId) {
+  albums.transaction(tx => albumsOf(ownerId).forEach(album => tx.remove(album.id)));
+}
+
+// Tags to put on the image's cloud asset: its own tags plus one per album
+function cloudLabels(img) {
+  const albumLabels = (img.albumIds || [])
+    .map(id => albums.get(id))
+    .filter(Boolean)
+    .map(album => `${ALBUM_LABEL_PREFIX}${album.name}`);
+  return [...(img.tags || []), ...albumLabels].map(label => label.replace(/,/g, ' '));
+}
+
+module.exports = {
+  listAlbums,
+  getAlbum,
+  createAlbum,
+  updateAlbum,
+  deleteAlbum,
+  addImagesToAlbum,
+  removeImagesFromAlbum,
+  checkImageIds,
+  importAlbums,
+  claimUnownedAlbums,
+  deleteAlbumsOf,
+  cloudLabels,
+};
@@ -0,0 +1,99 @@
+/**
+ * apikeys.js
+ * API keys for scripts and CI jobs that cannot log in through a browser.
+ *
+ * A key acts for one user with a role of its own, and never gets more than
+ * that user has (see auth.js). The secret ("cak_" plus 32 random bytes) is
+ * shown once when the key is created; only its SHA-256 is stored, along with
+ * a short prefix so the key can be recognised in lists. Revoked keys stay
+ * listed with `revokedAt` set.
+ */
+const crypto = require('crypto');
+const store = require('./store');
+const { httpError } = require('./errors');
+
+const KEY_PREFIX = 'cak_';
+const MAX_NAME_LENGTH = 100;
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiKeys = store.collection('apikeys', { indexes: ['hash', 'userId'] });
+
+function hashKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// What the API shows of a key; never the hash
+function publicKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+function listApiKeys() {
+  return apiKeys.all()
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(publicKey);
+}
+
+/**
+ * Creates a key for `userId` with `role` (checked by the caller). Returns the
+ * stored key plus `key`, the secret, which cannot be retrieved again.
+ */
+function createApiKey({ name, role, userId }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw httpError(400, 'Key name is required');
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw httpError(400, `Key name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  const secret = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const key = {
+    id: crypto.randomUUID(),
+    name: trimmed,
+    userId,
+    role,
+    prefix: secret.slice(0, KEY_PREFIX.length + 6),
+    hash: hashKey(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  };
+  apiKeys.put(key);
+  return { ...publicKey(key), key: secret };
+}
+
+function revokeApiKey(id) {
+  const key = apiKeys.get(id);
+  if (!key) {
+    throw httpError(404, 'API key not found');
+  }
+  const revoked = { ...key, revokedAt: key.revokedAt || new Date().toISOString() };
+  apiKeys.put(revoked);
+  return publicKey(revoked);
+}
+
+// The active key for a secret, or null; records when it was last used
+function findApiKey(secret) {
+  if (!secret || !secret.startsWith(KEY_PREFIX)) return null;
+  const key = apiKeys.findBy('hash', hashKey(secret))[0];
+  if (!key || key.revokedAt) return null;
+  const now = new Date();
+  if (!key.lastUsedAt || now - new Date(key.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    apiKeys.put({ ...key, lastUsedAt: now.toISOString() });
+  }
+  return key;
+}
+
+// Removes every key of a deleted user
+function deleteApiKeysOf(userId) {
+  apiKeys.findBy('userId', userId).forEach(key => apiKeys.remove(key.id));
+}
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  findApiKey,
+  deleteApiKeysOf,
+};
@@ -0,0 +1,128 @@
+/**
+ * audit.js
+ * Persistent audit trail of the actions that add, restore, remove or sync
+ * images, so it can be told afterwards who did what to an image and why it
+ * changed or disappeared.
+ *
+ * Entry shape (`audit` collection):
+ *   { id, at, actor, action, imageId, ownerId, before, after,
+ *     result: ok | failed, error, details }
+ *
+ * `actor` is { type: user | apikey | system, id, name }: the user (or the
+ * API key's user, with `apiKey` naming the key) for requests, or the worker
+ * for background work. Callers pass it explicitly; jobs carry the actor that
+ * queued them in their payload. `before` and `after` are small snapshots of
+ * the image (see imageState), null when the image did not or no longer
+ * exists.
+ *
+ * Every entry is also published as an `image` event (see events.js), so open
+ * pages hear about uploads, missing assets, restores and deletes as they
+ * happen.
+ */
+const crypto = require('crypto');
+const store = require('./store');
+const { publish } = require('./events');
+
+const AUDIT_ACTIONS = [
+  'upload',        // new image (upload, batch, resumable or library import)
+  'replace',       // new version of an image
+  'promote',       // earlier version made current
+  'cloud-upload',  // upload job that puts the local file in cloud storage
+  'restore',       // re-upload of a missing cloud asset
+  'trash',         // moved to the trash
+  'untrash',       // put back from the trash
+  'delete',        // deleted for good, skipping the trash
+  'purge',         // deleted for good from the trash
+  'cloud-delete',  // delete job that removes the cloud asset
+  'sync-status',   // reconciliation changed the image's status
+  'sync-remove',   // local file found gone from uploads/
+];
+
+// Record fields worth keeping in `before` / `after`
+const STATE_FIELDS = [
+  'status', 'filename', 'originalName', 'size', 'version', 'provider',
+  'remoteId', 'hasLocalFile', 'trashedAt', 'purgeAt',
+];
+
+const audit = store.collection('audit', { indexes: ['imageId', 'ownerId'] });
+
+function systemActor(name) {
+  return { type: 'system', id: null, name };
+}
+
+// The caller of a request (see auth.js)
+function actorOf(req) {
+  const actor = { type: req.apiKey ? 'apikey' : 'user', id: req.user.id, name: req.user.username };
+  if (req.apiKey) actor.apiKey = { id: req.apiKey.id, name: req.apiKey.name };
+  return actor;
+}
+
+function imageState(img) {
+  if (!img) return null;
+  const state = {};
+  STATE_FIELDS.forEach(field => {
+    if (img[field] !== undefined) state[field] = img[field];
+  });
+  return state;
+}
+
+/**
+ * Appends an entry. `before` and `after` are image records (or null) and are
+ * reduced to imageState; `error` is an Error or a message. Auditing must
+ * never break the action itself, so failures to write are only logged.
+ */
+function recordAudit({ actor, action, imageId = null, ownerId = null, before = null, after = null, error = null, details = null }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    actor: actor || systemActor('server'),
+    action,
+    imageId: imageId === null ? null : String(imageId),
+    ownerId: ownerId || (actor && actor.type !== 'system' ? actor.id : null),
+    before: imageState(before),
+    after: imageState(after),
+    result: error ? 'failed' : 'ok',
+    error: error ? (error.message || String(error)) : null,
+    details,
+  };
+  try {
+    audit.put(entry);
+  } catch (err) {
+    console.error(`[AUDIT] Could not record ${action} of image ${imageId}:`, err);
+  }
+  publish('image', {
+    ownerId: entry.ownerId,
+    action,
+    imageId: entry.imageId,
+    status: entry.after ? entry.after.status : null,
+    result: entry.result,
+  });
+  return entry;
+}
+
+/**
+ * Entries matching the filters, newest first: `ownerId`, `imageId`,
+ * `actorId`, `actions` (list), `result`, and `since` / `until` (ISO dates,
+ * inclusive).
+ */
+function listAudit({ ownerId, imageId, actorId, actions = [], result, since, until } = {}) {
+  const base = imageId ? audit.findBy('imageId', String(imageId))
+    : ownerId ? audit.findBy('ownerId', ownerId)
+      : audit.all();
+  return base
+    .filter(entry => !ownerId || entry.ownerId === ownerId)
+    .filter(entry => !actorId || entry.actor.id === actorId)
+    .filter(entry => actions.length === 0 || actions.includes(entry.action))
+    .filter(entry => !result || entry.result === result)
+    .filter(entry => !since || entry.at >= since)
+    .filter(entry => !until || entry.at <= until)
+    .sort((a, b) => b.at.localeCompare(a.at));
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  systemActor,
+  actorOf,
+  recordAudit,
+  listAudit,
+};
@@ -0,0 +1,128 @@
+/**
+ * auth.js
+ * Express middleware for login sessions (see users.js), API keys (see
+ * apikeys.js), roles and image ownership.
+ *
+ * The session token travels in an HttpOnly cookie, so <img> tags and tus
+ * uploads are authenticated the same way as fetch calls. SameSite=Lax keeps
+ * other sites from making state-changing requests with it. Set
+ * COOKIE_SECURE=true when the app is served over HTTPS.
+ *
+ * Scripts send an API key instead, as "Authorization: Bearer <key>" or
+ * "X-API-Key: <key>". A request then runs as the key's user, with the lower
+ * of the key's and the user's role.
+ */
+const { userForSession, findUserById, hasRole, lowerRole, SESSION_TTL_DAYS } = require('./users');
+const { findApiKey } = require('./apikeys');
+const { findImageById } = require('./database');
+
+const SESSION_COOKIE = 'sid';
+const COOKIE_SECURE = process.env.COOKIE_SECURE === 'true';
+
+// Value of one cookie from the Cookie header
+function readCookie(req, name) {
+  const pairs = String(req.headers.cookie || '').split(';');
+  for (const pair of pairs) {
+    const index = pair.indexOf('=');
+    if (index > 0 && pair.slice(0, index).trim() === name) {
+      return decodeURIComponent(pair.slice(index + 1).trim());
+    }
+  }
+  return null;
+}
+
+function sessionToken(req) {
+  return readCookie(req, SESSION_COOKIE);
+}
+
+function apiKeyFrom(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : req.headers['x-api-key'] || null;
+}
+
+// Sets req.user, req.role and req.apiKey from an API key or the session
+// cookie; req.user is null when neither is valid
+function identify(req) {
+  req.user = null;
+  req.role = null;
+  req.apiKey = null;
+  const secret = apiKeyFrom(req);
+  if (secret) {
+    const key = findApiKey(secret);
+    const user = key && findUserById(key.userId);
+    if (user) {
+      req.user = user;
+      req.role = lowerRole(key.role, user.role);
+      req.apiKey = key;
+    }
+    return;
+  }
+  req.user = userForSession(sessionToken(req));
+  req.role = req.user ? req.user.role : null;
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: COOKIE_SECURE,
+    path: '/',
+    maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: COOKIE_SECURE, path: '/' });
+}
+
+// Identifies the caller, if any (see identify)
+function loadUser(req, res, next) {
+  identify(req);
+  next();
+}
+
+// Answers 401 unless the request carries a valid session or API key
+function requireUser(req, res, next) {
+  identify(req);
+  if (!req.user) {
+    return res.status(401).json({ error: 'Login required' });
+  }
+  next();
+}
+
+// Answers 403 unless the caller has `role` or above
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.role, role)) {
+      return res.status(403).json({ error: `This needs the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Viewers can only read: any request that may change something needs uploader
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+function viewersReadOnly(req, res, next) {
+  if (READ_METHODS.includes(req.method)) return next();
+  return requireRole('uploader')(req, res, next);
+}
+
+// app.param handler for image ids: other users' images answer 404, as if they did not exist
+function requireOwnImage(req, res, next, id) {
+  const img = findImageById(id);
+  if (!img || img.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  next();
+}
+
+module.exports = {
+  sessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  loadUser,
+  requireUser,
+  requireRole,
+  viewersReadOnly,
+  requireOwnImage,
+};
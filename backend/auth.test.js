@@ -0,0 +1,128 @@
+/**
+ * auth.test.js
+ * Tests for role enforcement on the routes that change images, run against
+ * the app from index.js with a viewer, an uploader and an admin.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { useTempDataDir } = require('./testing');
+
+useTempDataDir();
+process.env.CLOUDINARY_EMULATOR = 'true';
+
+const app = require('./index');
+const { getDB } = require('./database');
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+
+let server;
+let baseUrl;
+let png;
+const sessions = {};
+
+async function request(method, url, { as, body, form } = {}) {
+  const headers = {};
+  if (as && as.key) headers.Authorization = `Bearer ${as.key}`;
+  else if (as) headers.Cookie = as.cookie;
+  if (body) headers['Content-Type'] = 'application/json';
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: form || (body && JSON.stringify(body)),
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+}
+
+async function login(username, password) {
+  const res = await request('POST', '/auth/login', { body: { username, password } });
+  assert.strictEqual(res.status, 200);
+  return { cookie: res.headers.get('set-cookie').split(';')[0] };
+}
+
+function imageForm() {
+  const form = new FormData();
+  form.append('image', new Blob([png], { type: 'image/png' }), 'auth-test.png');
+  return form;
+}
+
+async function upload(as) {
+  const res = await request('POST', '/upload', { as, form: imageForm() });
+  assert.strictEqual(res.status, 202);
+  return res.body.data.id;
+}
+
+before(async () => {
+  png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#3366cc' } }).png().toBuffer();
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  await request('POST', '/auth/register', { body: { username: 'admin', password: 'admin-password' } });
+  sessions.admin = await login('admin', 'admin-password');
+  for (const role of ['viewer', 'uploader']) {
+    const res = await request('POST', '/admin/users', {
+      as: sessions.admin,
+      body: { username: role, password: `${role}-password`, role },
+    });
+    assert.strictEqual(res.status, 201);
+    sessions[role] = await login(role, `${role}-password`);
+  }
+});
+
+after(() => {
+  server.close();
+  // Uploads land in the real uploads directory
+  getDB()
+    .filter(img => img.localPath && path.dirname(img.localPath) === UPLOAD_DIR)
+    .forEach(img => fs.rmSync(img.localPath, { force: true }));
+});
+
+test('needs a login', async () => {
+  assert.strictEqual((await request('POST', '/upload', { form: imageForm() })).status, 401);
+  assert.strictEqual((await request('DELETE', '/images/1')).status, 401);
+});
+
+test('viewers cannot upload, restore or delete', async () => {
+  const id = await upload(sessions.uploader);
+
+  assert.strictEqual((await request('POST', '/upload', { as: sessions.viewer, form: imageForm() })).status, 403);
+  assert.strictEqual((await request('POST', `/restore/${id}`, { as: sessions.viewer })).status, 403);
+  assert.strictEqual((await request('DELETE', `/images/${id}`, { as: sessions.viewer })).status, 403);
+  // Reading is still allowed
+  assert.strictEqual((await request('GET', '/images', { as: sessions.viewer })).status, 200);
+});
+
+test('uploaders can restore and trash their images but not delete them for good', async () => {
+  const id = await upload(sessions.uploader);
+
+  // Past the role check; refused only because the image is not missing
+  assert.strictEqual((await request('POST', `/restore/${id}`, { as: sessions.uploader })).status, 409);
+  assert.strictEqual((await request('DELETE', `/images/${id}?permanent=true`, { as: sessions.uploader })).status, 403);
+  assert.strictEqual((await request('DELETE', `/images/${id}`, { as: sessions.uploader })).status, 200);
+});
+
+test('admins can delete for good', async () => {
+  const id = await upload(sessions.admin);
+  const res = await request('DELETE', `/images/${id}?permanent=true`, { as: sessions.admin });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(getDB().some(img => img.id === id), false);
+});
+
+test('an API key is held to its own role', async () => {
+  const users = (await request('GET', '/admin/users', { as: sessions.admin })).body;
+  const uploader = users.find(user => user.username === 'uploader');
+  const res = await request('POST', '/admin/keys', {
+    as: sessions.admin,
+    body: { name: 'read-only script', role: 'viewer', userId: uploader.id },
+  });
+  assert.strictEqual(res.status, 201);
+
+  const key = { key: res.body.key };
+  assert.strictEqual((await request('POST', '/upload', { as: key, form: imageForm() })).status, 403);
+  assert.strictEqual((await request('GET', '/images', { as: key })).status, 200);
+  assert.strictEqual((await request('GET', '/admin/users', { as: sessions.uploader })).status, 403);
+});
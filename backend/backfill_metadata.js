@@ -0,0 +1,39 @@
+/**
+ * backfill_metadata.js
+ * Extracts image metadata (dimensions, format, EXIF) and duplicate-detection
+ * fingerprints for images uploaded before they were recorded. Pass --force
+ * to re-read every image.
+ * Stop the server first; the database refuses a second writer.
+ * Usage (from backend directory):
+ *    node backfill_metadata.js [--force]
+ */
+
+const fs = require('fs');
+const { getDB, patchImage } = require('./database');
+const { tryExtractMetadata } = require('./metadata');
+const { fingerprint } = require('./duplicates');
+
+async function backfillMetadata({ force = false } = {}) {
+  const candidates = getDB().filter(img => force || !img.metadata || !img.contentHash);
+  let updated = 0;
+  let skipped = 0;
+
+  for (const img of candidates) {
+    if (!img.localPath || !fs.existsSync(img.localPath)) {
+      console.log(`Skipping ${img.filename}: local file not found`);
+      skipped++;
+      continue;
+    }
+    const metadata = await tryExtractMetadata(img.localPath);
+    const hashes = await fingerprint(img.localPath);
+    patchImage(img.id, metadata ? { metadata, ...hashes } : hashes);
+    updated++;
+  }
+
+  console.log(`Metadata and fingerprint backfill: updated ${updated}, skipped ${skipped}, of ${candidates.length} candidate image(s)${force ? ' (forced)' : ''}`);
+}
+
+backfillMetadata({ force: process.argv.includes('--force') }).catch(err => {
+  console.error('Metadata backfill failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+/**
+ * blobs.js
+ * Content-addressed storage for backup payloads.
+ *
+ * Blobs are stored under data/blobs/<first two hex chars>/<sha256>, so identical
+ * uploads share one file and image records only keep the hash, size and mime type.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, writeFileAtomic } = require('./store');
+const { httpError } = require('./errors');
+
+const BLOBS_DIR = path.join(DATA_DIR, 'blobs');
+
+function blobPath(hash) {
+  if (!/^[a-f0-9]{64}$/.test(hash)) {
+    throw new Error(`Invalid blob hash: ${hash}`);
+  }
+  return path.join(BLOBS_DIR, hash.slice(0, 2), hash);
+}
+
+function hasBlob(hash) {
+  return fs.existsSync(blobPath(hash));
+}
+
+// Stores the buffer (if not already present) and returns its hash and size
+function putBlob(buffer) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const target = blobPath(hash);
+  if (!fs.existsSync(target)) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    writeFileAtomic(target, buffer);
+  }
+  return { hash, size: buffer.length };
+}
+
+function readBlob(hash) {
+  return fs.readFileSync(blobPath(hash));
+}
+
+function deleteBlob(hash) {
+  const target = blobPath(hash);
+  if (fs.existsSync(target)) {
+    fs.unlinkSync(target);
+  }
+}
+
+/**
+ * Decodes the `backupData` field sent by the frontend. It is either a data URL
+ * or the JSON envelope `{ data: <data URL>, type, ... }` built by ImageUploader.
+ * Returns `{ buffer, mimeType }`, or null if there is nothing to decode.
+ * Throws 400 for an envelope that is not valid JSON or a malformed data URL.
+ */
+function decodeBackupData(value) {
+  if (!value) return null;
+  let dataUrl = value;
+  let fallbackType = null;
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    let envelope;
+    try {
+      envelope = JSON.parse(value);
+    } catch (err) {
+      throw httpError(400, `backupData is not valid JSON: ${err.message}`);
+    }
+    dataUrl = envelope.data;
+    fallbackType = envelope.type || null;
+  }
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl || '');
+  if (!match) return null;
+  let buffer;
+  try {
+    buffer = match[2]
+      ? Buffer.from(match[3], 'base64')
+      : Buffer.from(decodeURIComponent(match[3]));
+  } catch {
+    throw httpError(400, 'backupData is not a valid data URL');
+  }
+  return { buffer, mimeType: match[1] || fallbackType || 'application/octet-stream' };
+}
+
+// Stores a `backupData` value and returns the fields to keep on the image record
+function storeBackupData(value) {
+  const decoded = decodeBackupData(value);
+  if (!decoded) return null;
+  const { hash, size } = putBlob(decoded.buffer);
+  return { backupHash: hash, backupSize: size, backupMimeType: decoded.mimeType };
+}
+
+// Stores a copy of a file on disk (for uploads too large to send as `backupData`)
+async function storeBackupFile(filePath, mimeType) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  const digest = hash.digest('hex');
+  const target = blobPath(digest);
+  if (!fs.existsSync(target)) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    await fs.promises.copyFile(filePath, `${target}.tmp`);
+    await fs.promises.rename(`${target}.tmp`, target);
+  }
+  const { size } = await fs.promises.stat(target);
+  return { backupHash: digest, backupSize: size, backupMimeType: mimeType || 'application/octet-stream' };
+}
+
+module.exports = {
+  BLOBS_DIR,
+  blobPath,
+  hasBlob,
+  putBlob,
+  readBlob,
+  deleteBlob,
+  decodeBackupData,
+  storeBackupData,
+  storeBackupFile,
+};
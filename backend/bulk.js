@@ -0,0 +1,198 @@
+/**
+ * bulk.js
+ * One action applied to many images at once (POST /images/bulk).
+ *
+ * Each image gets its own outcome, { id, status, error?, job? }, where status
+ * is "ok", "skipped" (nothing to do), "not_found" or "failed", so one bad id
+ * does not stop the rest. Invalid input for the whole request (unknown action,
+ * bad tag name, missing album) still throws. Images of other users are
+ * reported as "not_found".
+ */
+const fs = require('fs');
+const path = require('path');
+const { findImageById } = require('./database');
+const { deleteImage, openOriginal } = require('./images');
+const { trashImage } = require('./trash');
+const { assignTags } = require('./tags');
+const { getAlbum, addImagesToAlbum, removeImagesFromAlbum, checkImageIds } = require('./albums');
+const { enqueue, hasActiveJob } = require('./workers/queue');
+const { queueLabelSync } = require('./workers/handlers');
+const { createZip, appendEntry } = require('./zip');
+const { httpError, errorMessage } = require('./errors');
+
+const MAX_BULK_IMAGES = 1000;
+const BULK_ACTIONS = ['delete', 'restore', 'tag', 'move-to-album', 'download'];
+
+function checkBulkIds(imageIds) {
+  const ids = [...new Set(checkImageIds(imageIds))];
+  if (ids.length > MAX_BULK_IMAGES) {
+    throw httpError(400, `At most ${MAX_BULK_IMAGES} images can be changed at once`);
+  }
+  return ids;
+}
+
+function isOwnedBy(id, ownerId) {
+  const img = findImageById(id);
+  return Boolean(img) && img.ownerId === ownerId;
+}
+
+function failure(id, err) {
+  return {
+    id,
+    status: err.status === 404 ? 'not_found' : 'failed',
+    error: errorMessage(err),
+  };
+}
+
+// To the trash, or for good with `permanent`
+function bulkDelete(ids, { permanent }, ownerId, actor) {
+  return ids.map(id => {
+    try {
+      if (permanent) {
+        return { id, status: 'ok', job: deleteImage(id, { actor }) };
+      }
+      trashImage(id, { actor });
+      return { id, status: 'ok' };
+    } catch (err) {
+      return failure(id, err);
+    }
+  });
+}
+
+// Same checks as POST /restore/:id; images with a restore already queued are skipped
+function bulkRestore(ids, options, ownerId, actor) {
+  return ids.map(id => {
+    const img = findImageById(id);
+    if (!img) {
+      return { id, status: 'not_found', error: 'Image not found' };
+    }
+    if (img.status !== 'missing') {
+      return { id, status: 'skipped', error: `Image is ${img.status}, not missing` };
+    }
+    if (!img.localPath || !fs.existsSync(img.localPath)) {
+      return { id, status: 'failed', error: 'Local image file not found' };
+    }
+    if (hasActiveJob('restore', id)) {
+      return { id, status: 'skipped', error: 'A restore is already queued' };
+    }
+    return { id, status: 'ok', job: enqueue('restore', { imageId: id, ownerId: img.ownerId, trigger: 'manual', actor }) };
+  });
+}
+
+// Outcomes for an update that returns the ids it changed
+function updateOutcomes(ids, existing, changed) {
+  return ids.map(id => {
+    if (!existing.includes(id)) return { id, status: 'not_found', error: 'Image not found' };
+    return changed.includes(id) ? { id, status: 'ok' } : { id, status: 'skipped' };
+  });
+}
+
+function bulkTag(ids, { add, remove }, ownerId) {
+  const existing = ids.filter(id => findImageById(id));
+  const changed = existing.length > 0 ? assignTags(existing, { add, remove }, ownerId) : [];
+  queueLabelSync(changed);
+  return updateOutcomes(ids, existing, changed);
+}
+
+// Adds the images to `albumId`; with `fromAlbumId` they also leave that album
+function bulkMoveToAlbum(ids, { albumId, fromAlbumId }, ownerId) {
+  if (!albumId) {
+    throw httpError(400, 'albumId is required');
+  }
+  getAlbum(albumId, ownerId);
+  if (fromAlbumId) getAlbum(fromAlbumId, ownerId);
+
+  const existing = ids.filter(id => findImageById(id));
+  if (existing.length === 0) {
+    return updateOutcomes(ids, existing, []);
+  }
+  const added = addImagesToAlbum(albumId, existing, ownerId);
+  const removed = fromAlbumId && fromAlbumId !== albumId
+    ? removeImagesFromAlbum(fromAlbumId, existing, ownerId)
+    : [];
+  const changed = [...new Set([...added, ...removed])];
+  queueLabelSync(changed);
+  return updateOutcomes(ids, existing, changed);
+}
+
+const ACTIONS = {
+  delete: bulkDelete,
+  restore: bulkRestore,
+  tag: bulkTag,
+  'move-to-album': bulkMoveToAlbum,
+};
+
+/**
+ * Runs `action` on every image of `ownerId` in `imageIds`; `options` carries
+ * the action's parameters ({ permanent } for "delete", { add, remove } for
+ * "tag", { albumId, fromAlbumId } for "move-to-album"). Returns the per-image
+ * outcomes in request order. Deletes and restores are audited as done by
+ * `actor`.
+ * "download" answers with a file instead; see streamBulkDownload.
+ */
+function runBulkAction(action, imageIds, options = {}, ownerId, actor) {
+  const run = ACTIONS[action];
+  if (!run) {
+    throw httpError(400, `action must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+  const ids = checkBulkIds(imageIds);
+  const owned = ids.filter(id => isOwnedBy(id, ownerId));
+  const outcomes = new Map(run(owned, options, ownerId, actor).map(result => [result.id, result]));
+  return ids.map(id => outcomes.get(id) || { id, status: 'not_found', error: 'Image not found' });
+}
+
+// "photo.jpg", "photo (2).jpg", ... so images with the same name don't overwrite each other
+function uniqueName(name, taken) {
+  const ext = path.extname(name);
+  const base = path.basename(name, ext);
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${ext}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Streams a zip of the images of `ownerId` to `res`. The outcome of each image is written
+ * to manifest.json inside the archive, since the status line has already been
+ * sent by the time an image turns out to be unreadable. Errors thrown before
+ * streaming starts (bad ids) leave `res` untouched.
+ */
+async function streamBulkDownload(imageIds, res, ownerId) {
+  const ids = checkBulkIds(imageIds);
+  const archive = createZip(res, `images-${new Date().toISOString().slice(0, 10)}.zip`);
+
+  const taken = new Set(['manifest.json']);
+  const results = [];
+  for (const id of ids) {
+    const img = findImageById(id);
+    if (!img || img.ownerId !== ownerId) {
+      results.push({ id, status: 'not_found', error: 'Image not found' });
+      continue;
+    }
+    let source;
+    try {
+      source = await openOriginal(img);
+    } catch (err) {
+      results.push(failure(id, err));
+      continue;
+    }
+    const file = uniqueName(path.basename(img.originalName || img.filename), taken);
+    await appendEntry(archive, source, file);
+    results.push({ id, status: 'ok', file });
+  }
+
+  archive.append(JSON.stringify({ createdAt: new Date().toISOString(), results }, null, 2), {
+    name: 'manifest.json',
+  });
+  await archive.finalize();
+  return results;
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_IMAGES,
+  runBulkAction,
+  streamBulkDownload,
+};
@@ -1,16 +1,18 @@
 /**
  * cleanup_all_local_storage.js
  * Completely wipes the /uploads directory (local images)
- * and clears images.json (removes all DB records).
+ * and clears the image database (removes all DB records and backup blobs).
+ * Stop the server first; the database refuses a second writer.
  *
  * Usage: node cleanup_all_local_storage.js
  */
 
 const fs = require('fs');
 const path = require('path');
+const { setDB } = require('./database');
+const { BLOBS_DIR } = require('./blobs');
 
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
-const DATA_PATH = path.join(__dirname, 'images.json');
 
 // Remove all files in uploads directory
 function clearUploads() {
@@ -32,15 +34,22 @@ function clearUploads() {
   }
 }
 
-// Wipe images.json (set to [])
+// Remove every image record
 function clearImagesDB() {
-  fs.writeFileSync(DATA_PATH, '[]');
-  console.log(`[CLEANUP] Cleared ${DATA_PATH}`);
+  setDB([]);
+  console.log('[CLEANUP] Cleared image database');
+}
+
+// Remove all stored backup blobs
+function clearBlobs() {
+  fs.rmSync(BLOBS_DIR, { recursive: true, force: true });
+  console.log(`[CLEANUP] Cleared ${BLOBS_DIR}`);
 }
 
 function cleanupAll() {
   clearUploads();
   clearImagesDB();
+  clearBlobs();
   console.log("[CLEANUP] Local storage and database fully wiped!");
 }
 
@@ -1,79 +1,238 @@
 const fs = require('fs');
 const path = require('path');
+const store = require('./store');
+const { storeBackupData, deleteBlob } = require('./blobs');
+const { recordAudit, systemActor } = require('./audit');
 
-const DATA_PATH = path.join(__dirname, 'images.json');
+const LEGACY_DATA_PATH = path.join(__dirname, 'images.json');
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
 
-function ensureDB() {
-  if (!fs.existsSync(DATA_PATH)) {
-    fs.writeFileSync(DATA_PATH, JSON.stringify([]));
+const images = store.collection('images', {
+  indexes: ['filename', 'remoteId', 'backupHash', 'contentHash', 'ownerId'],
+});
+
+// One-time import of the old images.json file store into the embedded store
+function migrateLegacyJSON() {
+  if (!images.isNew || images.count() > 0 || !fs.existsSync(LEGACY_DATA_PATH)) {
+    return;
   }
+  const legacy = JSON.parse(fs.readFileSync(LEGACY_DATA_PATH));
+  images.transaction(tx => {
+    legacy.forEach(img => tx.put({ ...img, id: String(img.id) }));
+  });
+  fs.renameSync(LEGACY_DATA_PATH, `${LEGACY_DATA_PATH}.migrated`);
+  console.log(`[DB] Migrated ${legacy.length} record(s) from images.json into ${store.DATA_DIR}.`);
+}
+
+// Moves inline base64 `backupData` out of records and into blob storage
+function migrateInlineBackups() {
+  const inline = images.all().filter(img => img.backupData);
+  if (inline.length === 0) return;
+  images.transaction(tx => {
+    inline.forEach(img => {
+      const { backupData, ...rest } = img;
+      let backup = null;
+      try {
+        backup = storeBackupData(backupData);
+      } catch (err) {
+        console.warn(`[DB] Could not decode backupData for id=${img.id}: ${err.message}`);
+      }
+      tx.put({ ...rest, ...backup });
+    });
+  });
+  // Rewrite the snapshot so the old inline payloads leave the journal too
+  images.compact();
+  console.log(`[DB] Moved inline backups of ${inline.length} record(s) into blob storage.`);
 }
 
+// Renames Cloudinary-specific fields to the provider-neutral ones
+function migrateProviderFields() {
+  const legacy = images.all().filter(img => 'cloudinaryPublicId' in img || 'cloudinaryUrl' in img);
+  if (legacy.length === 0) return;
+  images.transaction(tx => {
+    legacy.forEach(img => {
+      const { cloudinaryPublicId, cloudinaryUrl, ...rest } = img;
+      tx.put({
+        ...rest,
+        provider: rest.provider || 'cloudinary',
+        remoteId: cloudinaryPublicId || null,
+        remoteUrl: cloudinaryUrl || null,
+      });
+    });
+  });
+  console.log(`[DB] Converted ${legacy.length} record(s) to provider-neutral fields.`);
+}
+
+// Records older than list sorting have no `size`; take it from the local file
+function migrateFileSizes() {
+  const unsized = images.all().filter(img => img.size === undefined);
+  if (unsized.length === 0) return;
+  images.transaction(tx => {
+    unsized.forEach(img => {
+      const hasFile = img.localPath && fs.existsSync(img.localPath);
+      tx.put({ ...img, size: hasFile ? fs.statSync(img.localPath).size : null });
+    });
+  });
+  console.log(`[DB] Recorded file sizes for ${unsized.length} record(s).`);
+}
+
+migrateLegacyJSON();
+migrateInlineBackups();
+migrateProviderFields();
+migrateFileSizes();
+
 function getDB() {
-  ensureDB();
-  return JSON.parse(fs.readFileSync(DATA_PATH));
+  return images.all();
 }
 
+// Replaces every record in one atomic step
 function setDB(db) {
-  fs.writeFileSync(DATA_PATH, JSON.stringify(db, null, 2));
+  images.transaction(tx => {
+    tx.all().forEach(img => tx.remove(img.id));
+    db.forEach(img => tx.put({ ...img, id: String(img.id) }));
+  });
+}
+
+// Ids stay timestamp-based, bumped when two uploads land in the same millisecond
+function nextImageId() {
+  let id = Date.now();
+  while (images.has(id)) id++;
+  return String(id);
+}
+
+function insertImage(imageRecord) {
+  const record = { ...imageRecord, id: imageRecord.id ? String(imageRecord.id) : nextImageId() };
+  if (images.has(record.id)) {
+    throw new Error(`Image with id=${record.id} already exists`);
+  }
+  images.put(record);
+  return record;
 }
 
 function findImageById(id) {
-  const db = getDB();
-  return db.find(img => String(img.id) === String(id));
+  return images.get(id);
+}
+
+// The library of one user (see users.js)
+function findImagesByOwner(ownerId) {
+  return images.findBy('ownerId', ownerId);
+}
+
+// Gives every image without an owner to `ownerId`; returns the number changed
+function claimUnownedImages(ownerId) {
+  const unowned = images.all().filter(img => !img.ownerId).map(img => img.id);
+  return patchImages(unowned, { ownerId }).length;
+}
+
+function findImageByFilename(filename) {
+  return images.findBy('filename', filename)[0];
+}
+
+// Drops a backup blob once no image record references it any more
+function releaseBackup(hash) {
+  if (hash && images.findBy('backupHash', hash).length === 0) {
+    deleteBlob(hash);
+  }
 }
 
 function updateImageRecord(imageRecord) {
-  const db = getDB();
-  const index = db.findIndex(img => String(img.id) === String(imageRecord.id));
-  if (index !== -1) {
-    db[index] = imageRecord;
-    setDB(db);
+  if (images.has(imageRecord.id)) {
+    images.put({ ...imageRecord, id: String(imageRecord.id) });
   }
 }
 
+// Merges `changes` (an object, or a function of the current record) into the
+// stored record; returns the updated record or null
+function patchImage(id, changes) {
+  return images.transaction(tx => {
+    const current = tx.get(id);
+    if (!current) return null;
+    const patch = typeof changes === 'function' ? changes(current) : changes;
+    const updated = { ...current, ...patch, id: current.id };
+    tx.put(updated);
+    return updated;
+  });
+}
+
+// Like patchImage for several images in one transaction; ids that no longer
+// exist are skipped. Returns the updated records.
+function patchImages(ids, changes) {
+  return images.transaction(tx => ids.map(id => {
+    const current = tx.get(id);
+    if (!current) return null;
+    const patch = typeof changes === 'function' ? changes(current) : changes;
+    const updated = { ...current, ...patch, id: current.id };
+    tx.put(updated);
+    return updated;
+  }).filter(Boolean));
+}
+
 function deleteImageById(id) {
-  const db = getDB();
-  const initialLength = db.length;
-  // Remove ALL images whose id matches, with leniency for numeric or string id
-  const cleanedDB = db.filter(img => String(img.id) !== String(id));
-  const removedCount = initialLength - cleanedDB.length;
-  setDB(cleanedDB);
-  if (removedCount > 0) {
-    console.log(`[DB] Removed image(s) with id=${id} (${removedCount} record(s) removed).`);
+  if (images.remove(id)) {
+    console.log(`[DB] Removed image with id=${id}.`);
   } else {
     console.warn(`[DB] No image found to remove for id=${id}.`);
   }
 }
 
-// Remove all DB entries for which the file doesn't exist in uploads/
+// Sets `hasLocalFile` on every record from what is in uploads/. Records whose
+// file is gone are kept (the cloud copy may be fine, and ?local=false lists
+// them); each file found gone is audited as `sync-remove`
+// True if the image's file is in uploads/; `files` is an optional listing of uploads/ to check against
+function hasLocalCopy(img, files) {
+  if (!img.filename) return false;
+  return files ? files.has(img.filename) : fs.existsSync(path.join(UPLOADS_DIR, img.filename));
+}
+
 function syncDBWithFiles() {
-  ensureDB();
   if (!fs.existsSync(UPLOADS_DIR)) {
     fs.mkdirSync(UPLOADS_DIR);
   }
-  const db = getDB();
   const filesSet = new Set(fs.readdirSync(UPLOADS_DIR));
-  // Keep only those DB entries whose files exist in UPLOADS_DIR
-  const filtered = db.filter(img => {
-    const fileInUploads = img.filename && filesSet.has(img.filename);
-    if (!fileInUploads) {
-      console.log(`[SYNC] Removing DB entry for missing file: ${img.filename}`);
-    }
-    return fileInUploads;
+  const lost = images.transaction(tx => {
+    const changes = [];
+    tx.all().forEach(img => {
+      const hasLocalFile = hasLocalCopy(img, filesSet);
+      if (img.hasLocalFile === hasLocalFile) return;
+      const updated = { ...img, hasLocalFile };
+      tx.put(updated);
+      if (!hasLocalFile) changes.push({ before: img, after: updated });
+    });
+    return changes;
   });
-  if (filtered.length !== db.length) {
-    setDB(filtered);
-    console.log(`[SYNC] Synced database: removed ${db.length - filtered.length} stale records.`);
-  }
+  lost.forEach(({ before, after }) => {
+    console.log(`[SYNC] Local file missing for image ${before.id}: ${before.filename}`);
+    recordAudit({
+      actor: systemActor('sync'),
+      action: 'sync-remove',
+      imageId: before.id,
+      ownerId: before.ownerId,
+      before,
+      after,
+      details: { reason: before.filename ? `${before.filename} is missing from uploads/` : 'The record has no filename' },
+    });
+  });
+}
+
+// Calls fn(id, record) after every committed change to an image (record is null once deleted)
+function onImageChange(fn) {
+  return images.subscribe(fn);
 }
 
 module.exports = {
   getDB,
   setDB,
+  insertImage,
   findImageById,
+  findImagesByOwner,
+  hasLocalCopy,
+  claimUnownedImages,
+  findImageByFilename,
+  releaseBackup,
   updateImageRecord,
+  patchImage,
+  patchImages,
   deleteImageById,
   syncDBWithFiles,
+  onImageChange,
 };
@@ -0,0 +1,266 @@
+/**
+ * duplicates.js
+ * Exact and near-duplicate detection.
+ *
+ * Every upload gets two fingerprints:
+ *   contentHash     SHA-256 of the file bytes (exact duplicates)
+ *   perceptualHash  64-bit difference hash (dHash) of a 9x8 greyscale
+ *                   thumbnail, as 16 hex chars; images that look the same
+ *                   after re-encoding or resizing differ by only a few bits
+ *
+ * DUPLICATE_POLICY decides what POST /upload does with a match:
+ *   off             no checks
+ *   report          accept the upload and list the matches (default)
+ *   reject          refuse exact duplicates with 409, report similar ones
+ *   reject-similar  refuse exact and similar duplicates with 409
+ * Images whose perceptual hashes differ in at most DUPLICATE_MAX_DISTANCE
+ * bits (default 6) count as similar. Blank or nearly uniform images get no
+ * perceptual hash: every one of them would hash to the same bits.
+ *
+ * Only images of the same user are compared; one user's upload never
+ * reveals what another user has.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const sharp = require('sharp');
+const { findImageById, findImagesByOwner, patchImage } = require('./database');
+const { trashImage } = require('./trash');
+const { httpError } = require('./errors');
+
+const POLICIES = ['off', 'report', 'reject', 'reject-similar'];
+const DUPLICATE_POLICY = POLICIES.includes(process.env.DUPLICATE_POLICY) ? process.env.DUPLICATE_POLICY : 'report';
+const DUPLICATE_MAX_DISTANCE = Number(process.env.DUPLICATE_MAX_DISTANCE) || 6;
+// Thumbnails whose brightness varies less than this (standard deviation, 0-255) are too flat to fingerprint
+const MIN_HASH_CONTRAST = 4;
+const FLAT_HASH = '0'.repeat(16);
+
+function contentHash(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// dHash: one bit per horizontally adjacent pixel pair, set when brightness increases
+async function perceptualHash(filePath) {
+  const pixels = await sharp(filePath)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+  const variance = pixels.reduce((sum, value) => sum + (value - mean) ** 2, 0) / pixels.length;
+  if (Math.sqrt(variance) < MIN_HASH_CONTRAST) return null;
+
+  let hex = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      byte = (byte << 1) | (left < right ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return usableHash(hex);
+}
+
+// A hash with no bits set says nothing about the image (and older records may have one stored)
+function usableHash(hash) {
+  return hash && hash !== FLAT_HASH ? hash : null;
+}
+
+/**
+ * Both fingerprints for a file. perceptualHash is null when the file cannot
+ * be decoded as an image or is too flat to fingerprint.
+ */
+async function fingerprint(filePath) {
+  const [exact, visual] = await Promise.all([
+    contentHash(filePath),
+    perceptualHash(filePath).catch(err => {
+      console.warn(`[DUPLICATES] No perceptual hash for ${filePath}: ${err.message}`);
+      return null;
+    }),
+  ]);
+  return { contentHash: exact, perceptualHash: visual };
+}
+
+function popcount32(n) {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+// Number of differing bits between two 16-hex-char perceptual hashes
+function hashDistance(a, b) {
+  return popcount32((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0) +
+    popcount32((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0);
+}
+
+function summarize(img, kind, distance) {
+  return { id: img.id, originalName: img.originalName, filename: img.filename, kind, distance };
+}
+
+/**
+ * Images of `ownerId` matching the given fingerprints, exact matches first.
+ * Each match is { id, originalName, filename, kind: exact | similar, distance }.
+ */
+function findDuplicates({ contentHash: exact, perceptualHash }, { ownerId, excludeId } = {}) {
+  const visual = usableHash(perceptualHash);
+  const matches = [];
+  findImagesByOwner(ownerId).forEach(img => {
+    if (String(img.id) === String(excludeId)) return;
+    if (exact && img.contentHash === exact) {
+      matches.push(summarize(img, 'exact', 0));
+    } else if (visual && usableHash(img.perceptualHash)) {
+      const distance = hashDistance(visual, img.perceptualHash);
+      if (distance <= DUPLICATE_MAX_DISTANCE) matches.push(summarize(img, 'similar', distance));
+    }
+  });
+  return matches.sort((a, b) => a.distance - b.distance);
+}
+
+// Whether DUPLICATE_POLICY refuses an upload with these matches
+function shouldReject(matches) {
+  if (DUPLICATE_POLICY === 'reject') return matches.some(m => m.kind === 'exact');
+  if (DUPLICATE_POLICY === 'reject-similar') return matches.length > 0;
+  return false;
+}
+
+/**
+ * Splits a perceptual hash into DUPLICATE_MAX_DISTANCE + 1 segments. Two
+ * hashes that differ in at most DUPLICATE_MAX_DISTANCE bits agree on at least
+ * one whole segment, so only images sharing a segment need comparing.
+ */
+function hashSegments(hash) {
+  const count = DUPLICATE_MAX_DISTANCE + 1;
+  // Too loose a distance for segments to narrow anything down
+  if (count > hash.length) return ['*'];
+  const segments = [];
+  let start = 0;
+  for (let i = 0; i < count; i++) {
+    const end = Math.round(((i + 1) * hash.length) / count);
+    segments.push(`${i}:${hash.slice(start, end)}`);
+    start = end;
+  }
+  return segments;
+}
+
+/**
+ * Groups of two or more images of `ownerId` that are exact or near duplicates
+ * of each other, largest first. Similar pairs are chained (if A~B and B~C,
+ * all three form one group).
+ */
+function duplicateGroups(ownerId) {
+  const images = findImagesByOwner(ownerId).filter(img => img.contentHash || usableHash(img.perceptualHash));
+  const visual = images.map(img => usableHash(img.perceptualHash));
+  const parent = images.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+
+  // Candidate pairs come from shared buckets instead of comparing every pair
+  const buckets = new Map();
+  const addToBucket = (key, i) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  };
+  images.forEach((img, i) => {
+    if (img.contentHash) addToBucket(`content:${img.contentHash}`, i);
+    if (visual[i]) hashSegments(visual[i]).forEach(segment => addToBucket(`visual:${segment}`, i));
+  });
+
+  const compared = new Set();
+  const edges = [];
+  buckets.forEach(members => {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const i = members[x];
+        const j = members[y];
+        const pair = `${i}:${j}`;
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+
+        const a = images[i];
+        const b = images[j];
+        let distance = null;
+        if (a.contentHash && a.contentHash === b.contentHash) {
+          distance = 0;
+        } else if (visual[i] && visual[j]) {
+          const d = hashDistance(visual[i], visual[j]);
+          if (d <= DUPLICATE_MAX_DISTANCE) distance = d;
+        }
+        if (distance === null) continue;
+        union(i, j);
+        edges.push([i, distance]);
+      }
+    }
+  });
+
+  const maxDistance = new Map();
+  edges.forEach(([i, distance]) => {
+    const root = find(i);
+    maxDistance.set(root, Math.max(maxDistance.get(root) || 0, distance));
+  });
+
+  const groups = new Map();
+  images.forEach((img, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(img);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => {
+      const exact = members.every(img => img.contentHash && img.contentHash === members[0].contentHash);
+      return {
+        kind: exact ? 'exact' : 'similar',
+        maxDistance: maxDistance.get(root) || 0,
+        images: members.sort((a, b) => String(a.uploadedAt).localeCompare(String(b.uploadedAt))),
+      };
+    })
+    .sort((a, b) => b.images.length - a.images.length);
+}
+
+/**
+ * Keeps `keepId` and moves each of `mergeIds` to the trash, after copying
+ * their tags and album memberships onto the kept image. Returns the kept
+ * record and the ids of the removed images. The trashing is audited as done
+ * by `actor`.
+ */
+function mergeDuplicates(keepId, mergeIds, ownerId, actor) {
+  if (!Array.isArray(mergeIds) || mergeIds.length === 0) {
+    throw httpError(400, 'mergeIds must be a non-empty array');
+  }
+  const keep = findImageById(keepId);
+  if (!keep || keep.ownerId !== ownerId) {
+    throw httpError(404, 'Image to keep not found');
+  }
+  const others = [...new Set(mergeIds.map(String))]
+    .filter(id => id !== String(keep.id))
+    .map(id => {
+      const img = findImageById(id);
+      if (!img || img.ownerId !== ownerId) throw httpError(404, `Image ${id} not found`);
+      return img;
+    });
+
+  const kept = patchImage(keep.id, current => ({
+    tags: [...new Set([...(current.tags || []), ...others.flatMap(img => img.tags || [])])],
+    albumIds: [...new Set([...(current.albumIds || []), ...others.flatMap(img => img.albumIds || [])])],
+  }));
+  others.forEach(img => trashImage(img.id, { actor, details: { reason: `Merged into duplicate ${keep.id}` } }));
+  return { kept, removed: others.map(img => img.id) };
+}
+
+module.exports = {
+  DUPLICATE_POLICY,
+  fingerprint,
+  findDuplicates,
+  shouldReject,
+  duplicateGroups,
+  mergeDuplicates,
+};
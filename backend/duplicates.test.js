@@ -0,0 +1,79 @@
+/**
+ * duplicates.test.js
+ * Tests for fingerprinting and grouping of duplicate images.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { useTempDataDir } = require('./testing');
+
+const dataDir = useTempDataDir();
+
+const { insertImage } = require('./database');
+const { fingerprint, findDuplicates, duplicateGroups } = require('./duplicates');
+
+const BASE_HASH = '3c7e9a51d2084bf6';
+
+// `hash` with the given bit positions (0 = most significant) flipped
+function flipBits(hash, bits) {
+  let value = BigInt(`0x${hash}`);
+  bits.forEach(bit => { value ^= 1n << BigInt(63 - bit); });
+  return value.toString(16).padStart(16, '0');
+}
+
+function addImage(id, fields) {
+  insertImage({ id, ownerId: 'u1', originalName: `${id}.png`, uploadedAt: '2026-01-01T00:00:00.000Z', ...fields });
+}
+
+function groupIds() {
+  return duplicateGroups('u1').map(group => group.images.map(img => img.id).sort());
+}
+
+test('gives flat images no perceptual hash', async () => {
+  const file = path.join(dataDir, 'flat.png');
+  await sharp({ create: { width: 32, height: 32, channels: 3, background: '#808080' } }).png().toFile(file);
+  const { contentHash, perceptualHash } = await fingerprint(file);
+  assert.match(contentHash, /^[0-9a-f]{64}$/);
+  assert.strictEqual(perceptualHash, null);
+});
+
+test('hashes images with detail', async () => {
+  const file = path.join(dataDir, 'stripes.png');
+  const pixels = Buffer.alloc(72 * 64);
+  pixels.forEach((_, i) => { pixels[i] = (i % 72) % 16 < 8 ? 40 : 220; });
+  await sharp(pixels, { raw: { width: 72, height: 64, channels: 1 } }).png().toFile(file);
+  const { perceptualHash } = await fingerprint(file);
+  assert.match(perceptualHash, /^[0-9a-f]{16}$/);
+  assert.notStrictEqual(perceptualHash, '0'.repeat(16));
+});
+
+test('groups exact and similar images, chaining similar pairs', () => {
+  // Differences spread over every segment of the hash
+  addImage('a', { perceptualHash: BASE_HASH });
+  addImage('b', { perceptualHash: flipBits(BASE_HASH, [1, 12, 23, 34, 45, 56]) });
+  addImage('c', { perceptualHash: flipBits(BASE_HASH, [1, 12, 23, 34, 45, 56, 5, 16, 27, 38, 49]) });
+  addImage('far', { perceptualHash: flipBits(BASE_HASH, Array.from({ length: 40 }, (_, i) => i)) });
+  addImage('d', { contentHash: 'same-bytes' });
+  addImage('ee', { contentHash: 'same-bytes' });
+  insertImage({ id: 'other-user', ownerId: 'u2', perceptualHash: BASE_HASH });
+
+  assert.deepStrictEqual(groupIds(), [['a', 'b', 'c'], ['d', 'ee']]);
+  const [similar, exact] = duplicateGroups('u1');
+  assert.strictEqual(similar.kind, 'similar');
+  assert.strictEqual(similar.maxDistance, 6);
+  assert.strictEqual(exact.kind, 'exact');
+});
+
+test('never matches images on a flat stored hash', () => {
+  addImage('flat1', { perceptualHash: '0'.repeat(16) });
+  addImage('flat2', { perceptualHash: '0'.repeat(16) });
+
+  assert.deepStrictEqual(groupIds(), [['a', 'b', 'c'], ['d', 'ee']]);
+  assert.deepStrictEqual(findDuplicates({ perceptualHash: '0'.repeat(16) }, { ownerId: 'u1' }), []);
+  assert.deepStrictEqual(
+    findDuplicates({ perceptualHash: BASE_HASH }, { ownerId: 'u1', excludeId: 'a' }).map(m => m.id),
+    ['b']
+  );
+});
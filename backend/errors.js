@@ -0,0 +1,23 @@
+// Error carrying the HTTP status a route should answer with
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Readable message for Errors and for the `{ error: { message } }` objects the Cloudinary SDK rejects with
+function errorMessage(err) {
+  if (!err) return 'Unknown error';
+  return err.message || (err.error && err.error.message) || String(err);
+}
+
+// Answers with err.status (500 if unset) and a JSON error body; unexpected errors are logged
+function sendError(res, err, context) {
+  const status = err.status || 500;
+  if (status >= 500) {
+    console.error(`${context}:`, err);
+  }
+  res.status(status).json({ error: errorMessage(err) });
+}
+
+module.exports = { httpError, errorMessage, sendError };
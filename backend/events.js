@@ -0,0 +1,32 @@
+/**
+ * events.js
+ * In-process bus for the changes that open pages need to hear about, pushed
+ * to browsers by GET /events (routes/events.js) as Server-Sent Events.
+ *
+ * Event shapes (every event carries the `ownerId` it is delivered to):
+ *   image: { ownerId, action, imageId, status, result } — one per audit
+ *          entry (see audit.js); `status` is the image's status afterwards,
+ *          null once the record is gone
+ *   job:   { ownerId, job } — a background job was queued, started,
+ *          retried, completed or failed (see workers/queue.js)
+ */
+const { EventEmitter } = require('events');
+
+const bus = new EventEmitter();
+// One listener per open connection
+bus.setMaxListeners(0);
+
+function publish(type, data) {
+  bus.emit('event', { type, at: new Date().toISOString(), ...data });
+}
+
+// Calls `listener(event)` for every event until the returned function is called
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+module.exports = {
+  publish,
+  subscribe,
+};
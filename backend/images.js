@@ -0,0 +1,119 @@
+/**
+ * images.js
+ * Image lifecycle operations shared by several routes.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./store');
+const { findImageById, deleteImageById, patchImage, releaseBackup } = require('./database');
+const { blobPath, hasBlob } = require('./blobs');
+const { providerFor } = require('./providers');
+const { enqueue } = require('./workers/queue');
+const { removeDerivatives } = require('./thumbnails');
+const { recordAudit } = require('./audit');
+const { httpError } = require('./errors');
+
+// Files of earlier versions, one directory per image (see versions.js)
+const VERSIONS_DIR = path.join(DATA_DIR, 'versions');
+const MAX_NOTES_LENGTH = 2000;
+
+// rename() cannot cross filesystems, e.g. when DATA_DIR is on another disk
+function moveFileSync(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+/**
+ * Removes everything an image leaves behind once its record is gone: the
+ * local file, earlier versions, cached thumbnails and (if no other image
+ * shares it) its backup blob. The cloud asset is removed by a background
+ * `delete` job, which is returned (null when the image was never uploaded);
+ * the assets of earlier versions get jobs of their own. The jobs are
+ * attributed to `actor` in the audit log.
+ */
+function destroyImage(img, { actor } = {}) {
+  try {
+    if (img.localPath && fs.existsSync(img.localPath)) {
+      fs.unlinkSync(img.localPath);
+    }
+  } catch (fsErr) {
+    console.warn('Could not delete local file:', fsErr.message);
+  }
+
+  releaseBackup(img.backupHash);
+  removeDerivatives(img.id);
+
+  const versions = img.versions || [];
+  fs.rmSync(path.join(VERSIONS_DIR, String(img.id)), { recursive: true, force: true });
+  versions.forEach(version => releaseBackup(version.backupHash));
+  // A promoted version shares its asset with the version it was copied from
+  new Set(versions.map(version => version.remoteId).filter(id => id && id !== img.remoteId))
+    .forEach(remoteId => {
+      const { provider } = versions.find(version => version.remoteId === remoteId);
+      enqueue('delete', { imageId: img.id, ownerId: img.ownerId, provider, remoteId, actor });
+    });
+
+  return img.remoteId
+    // The record is gone by now, so the job names the owner itself (see routes/jobs.js)
+    ? enqueue('delete', { imageId: img.id, ownerId: img.ownerId, provider: img.provider, remoteId: img.remoteId, actor })
+    : null;
+}
+
+// Deletes an image for good, skipping the trash (see trash.js); audited as a `delete` by `actor`
+function deleteImage(id, { actor } = {}) {
+  const img = findImageById(id);
+  if (!img) {
+    throw httpError(404, 'Image not found');
+  }
+  deleteImageById(id);
+  recordAudit({ actor, action: 'delete', imageId: img.id, ownerId: img.ownerId, before: img });
+  return destroyImage(img, { actor });
+}
+
+// Free-text notes on an image (searchable, see search.js); empty clears them
+function setNotes(id, notes) {
+  if (notes !== null && typeof notes !== 'string') {
+    throw httpError(400, 'notes must be a string');
+  }
+  const trimmed = (notes || '').trim();
+  if (trimmed.length > MAX_NOTES_LENGTH) {
+    throw httpError(400, `Notes must be at most ${MAX_NOTES_LENGTH} characters`);
+  }
+  const updated = patchImage(id, { notes: trimmed || null });
+  if (!updated) {
+    throw httpError(404, 'Image not found');
+  }
+  return updated;
+}
+
+/**
+ * Readable stream of the image's original: the local file, else the backup
+ * blob, else the cloud asset. Throws 404 when no copy is left.
+ */
+async function openOriginal(img) {
+  if (img.localPath && fs.existsSync(img.localPath)) {
+    return fs.createReadStream(img.localPath);
+  }
+  if (img.backupHash && hasBlob(img.backupHash)) {
+    return fs.createReadStream(blobPath(img.backupHash));
+  }
+  if (img.remoteId) {
+    return providerFor(img).download(img.remoteId);
+  }
+  throw httpError(404, 'No copy of the image is available');
+}
+
+module.exports = {
+  VERSIONS_DIR,
+  moveFileSync,
+  destroyImage,
+  deleteImage,
+  setNotes,
+  openOriginal,
+};
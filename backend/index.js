@@ -1,28 +1,104 @@
+require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
-const { uploadImage, fetchResource, deleteResource } = require('./cloudinary');
+const cloudinaryEmulator = require('./providers/cloudinary-emulator');
+const { checkImageById, startReconciler } = require('./workers/reconcile');
+const { startAutoRestore } = require('./workers/auto-restore');
+const { startCloudSync } = require('./workers/cloud-sync');
+const { startTrashRetention } = require('./workers/trash-retention');
+const { enqueue, hasActiveJob, startQueue } = require('./workers/queue');
+const { registerJobHandlers } = require('./workers/handlers');
+const jobsRouter = require('./routes/jobs');
+const albumsRouter = require('./routes/albums');
+const tagsRouter = require('./routes/tags');
+const duplicatesRouter = require('./routes/duplicates');
+const trashRouter = require('./routes/trash');
+const authRouter = require('./routes/auth');
+const adminRouter = require('./routes/admin');
+const sharesRouter = require('./routes/shares');
+const sharedRouter = require('./routes/shared');
+const auditRouter = require('./routes/audit');
+const eventsRouter = require('./routes/events');
+const { requireUser, requireRole, viewersReadOnly, requireOwnImage } = require('./auth');
+const { hasRole } = require('./users');
 const {
-  getDB,
-  setDB,
+  findImagesByOwner,
   findImageById,
-  updateImageRecord,
-  deleteImageById,
-  syncDBWithFiles
+  findImageByFilename
 } = require('./database');
+const { blobPath, hasBlob } = require('./blobs');
+const { paginate, parseList, parseBoolean } = require('./listing');
+const { searchImages } = require('./search');
+const { deleteImage, setNotes } = require('./images');
+const { trashImage } = require('./trash');
+const { listVersions, replaceImage, promoteVersion } = require('./versions');
+const { runBulkAction, streamBulkDownload } = require('./bulk');
+const { isZipFile, streamExport, importLibrary } = require('./library');
+const { DATA_DIR } = require('./store');
+const { getDerivative } = require('./thumbnails');
+const { IMAGE_EXTENSIONS, isImageFile, ingestUpload } = require('./ingest');
+const resumable = require('./resumable');
+const { actorOf } = require('./audit');
+const { httpError, sendError } = require('./errors');
+
+registerJobHandlers();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const UPLOAD_DIR = path.join(__dirname, 'uploads');
 
+// `sort` values accepted by the list endpoints
+const IMAGE_SORT_KEYS = {
+  date: img => img.uploadedAt,
+  name: img => img.originalName || img.filename,
+  size: img => img.size,
+};
+const LOCAL_FILE_SORT_KEYS = {
+  date: file => file.createdAt,
+  name: file => file.originalName,
+  size: file => file.size,
+};
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Serve the /uploads directory as a static resource
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Offline Cloudinary stand-in serves its "cloud" assets from this app
+if (cloudinaryEmulator.ENABLED) {
+  app.use(cloudinaryEmulator.ROUTE, cloudinaryEmulator.router);
+}
+
+// Login, logout and sign-up; everything after this needs a session (see auth.js)
+app.use('/auth', authRouter);
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Share links: public, the signed token is the only check (see shares.js)
+app.use('/s', sharedRouter);
+
+app.use(requireUser);
+app.use(viewersReadOnly);
+
+// Users and API keys
+app.use('/admin', requireRole('admin'), adminRouter);
+
+// Every :id below is an image id; other users' images answer 404
+app.param('id', requireOwnImage);
+
+// Local files, for their owner only
+app.get('/uploads/:filename', (req, res) => {
+  const img = findImageByFilename(path.basename(req.params.filename));
+  if (!img || img.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.sendFile(path.join(UPLOAD_DIR, img.filename));
+});
 
 // Ensure upload directory exists
 if (!fs.existsSync(UPLOAD_DIR)) {
@@ -43,7 +119,7 @@ const upload = multer({
   storage,
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
+    if (isImageFile(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Only image files are allowed'));
@@ -51,8 +127,65 @@ const upload = multer({
   }
 });
 
+// Batch uploads skip non-image files instead of failing the whole request
+const MAX_BATCH_FILES = 50;
+const batchUpload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (isImageFile(file.originalname, file.mimetype)) {
+      cb(null, true);
+    } else {
+      req.skippedFiles = [...(req.skippedFiles || []), file.originalname];
+      cb(null, false);
+    }
+  }
+});
+
+// Answers multer's limit errors (too large, too many files) with JSON
+function receiveBatch(req, res, next) {
+  batchUpload.array('images', MAX_BATCH_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+    next(err);
+  });
+}
+
+// Library imports are staged here and removed once read
+const IMPORT_MAX_SIZE = Number(process.env.IMPORT_MAX_SIZE) || 2 * 1024 * 1024 * 1024;
+const importUpload = multer({
+  dest: path.join(DATA_DIR, 'imports'),
+  limits: { fileSize: IMPORT_MAX_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (isZipFile(file.originalname, file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(httpError(415, 'Only zip archives can be imported'));
+    }
+  }
+});
+
+// Answers a rejected archive (too large, not a zip) with JSON
+function receiveArchive(req, res, next) {
+  importUpload.single('archive')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+    if (err && err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    next(err);
+  });
+}
+
+// Resumable (tus) uploads for large files; see resumable.js
+app.use('/files', resumable.handle);
+
 // Routes
-// Upload endpoint: saves locally and uploads to Cloudinary
+// Upload endpoint: saves locally and queues the upload to the configured storage provider
 app.post('/upload', upload.single('image'), async (req, res) => {
   const file = req.file;
   if (!file) {
@@ -60,192 +193,380 @@ app.post('/upload', upload.single('image'), async (req, res) => {
   }
   
   try {
-    // Use helper for Cloudinary upload
-    const result = await uploadImage(file.path, file.originalname);
-    
-    // Save metadata
-    const db = getDB();
-    const imageData = {
-      id: Date.now().toString(),
+    const { image, job, duplicates } = await ingestUpload({
+      path: file.path,
       filename: file.filename,
       originalName: file.originalname,
-      localPath: file.path,
-      cloudinaryUrl: result.secure_url,
-      cloudinaryPublicId: result.public_id,
-      uploadedAt: new Date().toISOString(),
-      backupKey: req.body.backupKey || null,
-      backupData: req.body.backupData || null,
-      status: 'available'
-    };
-    
-    db.push(imageData);
-    setDB(db);
+      size: file.size,
+      mimeType: file.mimetype,
+    }, {
+      ownerId: req.user.id,
+      actor: actorOf(req),
+      backupData: req.body.backupData,
+      backupKey: req.body.backupKey,
+    });
     
-    res.status(201).json({ 
-      message: 'Image uploaded successfully', 
-      data: imageData 
+    res.status(202).json({ 
+      message: 'Image queued for upload', 
+      data: image,
+      job,
+      duplicates
     });
   } catch (err) {
-    console.error('Upload error:', err);
-    // Clean up the uploaded file if Cloudinary upload fails
-    if (file.path && fs.existsSync(file.path)) {
-      fs.unlinkSync(file.path);
+    if (err.duplicates) {
+      return res.status(409).json({ error: err.message, duplicates: err.duplicates });
     }
+    // Bad input, e.g. a malformed backupData
+    if (err.status) {
+      return sendError(res, err, 'Upload error');
+    }
+    console.error('Upload error:', err);
     res.status(500).json({ error: 'Failed to upload image', details: err.message });
   }
 });
 
-// List all images with integrity check
+// Several images in one request (field "images", up to MAX_BATCH_FILES).
+// Files are recorded one after another, so duplicates within the batch are
+// caught too. Answers 207 with one result per file:
+//   { originalName, status: queued | duplicate | rejected | failed, data, job, duplicates, error }
+app.post('/upload/batch', receiveBatch, async (req, res) => {
+  const files = req.files || [];
+  const skipped = req.skippedFiles || [];
+  if (files.length === 0 && skipped.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+
+  const results = [];
+  for (const file of files) {
+    try {
+      const { image, job, duplicates } = await ingestUpload({
+        path: file.path,
+        filename: file.filename,
+        originalName: file.originalname,
+        size: file.size,
+        mimeType: file.mimetype,
+      }, { ownerId: req.user.id, actor: actorOf(req) });
+      results.push({ originalName: file.originalname, status: 'queued', data: image, job, duplicates });
+    } catch (err) {
+      if (err.duplicates) {
+        results.push({ originalName: file.originalname, status: 'duplicate', error: err.message, duplicates: err.duplicates });
+      } else {
+        console.error(`Batch upload error (${file.originalname}):`, err);
+        results.push({ originalName: file.originalname, status: 'failed', error: err.message });
+      }
+    }
+  }
+  skipped.forEach(originalName => {
+    results.push({ originalName, status: 'rejected', error: 'Only image files are allowed' });
+  });
+
+  const queued = results.filter(result => result.status === 'queued').length;
+  res.status(207).json({
+    message: `${queued} of ${results.length} image(s) queued for upload`,
+    results,
+  });
+});
+
+// List images with the status cached by the reconciliation worker.
+// Paged and sorted (see listing.js); filter with ?status=a,b, ?local=true|false,
+// ?album=<album id> and ?tag=<tag name>
 app.get('/images', async (req, res) => {
   try {
-    syncDBWithFiles(); // Ensures DB is up-to-date with actual files
-    const db = getDB();
-    const imagesWithStatus = await Promise.all(db.map(async img => {
-      try {
-        // Check if local file exists
-        const hasLocalFile = fs.existsSync(img.localPath);
-        
-        // Use helper to check Cloudinary resource
-        await fetchResource(img.cloudinaryPublicId);
-        return { 
-          ...img, 
-          status: 'available',
-          hasLocalFile 
-        };
-      } catch (err) {
-        // Image not found in Cloudinary
-        return { 
-          ...img, 
-          status: 'missing',
-          hasLocalFile: fs.existsSync(img.localPath)
-        };
-      }
-    }));
-    
-    res.json(imagesWithStatus);
+    const statuses = parseList(req.query.status);
+    const local = parseBoolean(req.query.local);
+    const { album, tag } = req.query;
+    const images = findImagesByOwner(req.user.id)
+      .filter(img => statuses.length === 0 || statuses.includes(img.status))
+      .filter(img => local === undefined || Boolean(img.hasLocalFile) === local)
+      .filter(img => !album || (img.albumIds || []).includes(album))
+      .filter(img => !tag || (img.tags || []).includes(String(tag).toLowerCase()));
+    res.json(paginate(images, req.query, { sortKeys: IMAGE_SORT_KEYS, defaultSort: 'date' }));
   } catch (err) {
     console.error('Error fetching images:', err);
     res.status(500).json({ error: 'Failed to fetch images', details: err.message });
   }
 });
 
-// Restore image to Cloudinary if it's missing
-app.post('/restore/:id', async (req, res) => {
-  const { id } = req.params;
-  const img = findImageById(id);
-  
-  if (!img) {
-    return res.status(404).json({ error: 'Image not found' });
+// Search names, tags, notes and metadata (prefix and fuzzy matching); best matches first
+app.get('/images/search', (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) {
+    return res.status(400).json({ error: 'Missing search query (q)' });
   }
-  
-  // Add debugging logs to verify the restore process
-  console.log("Restoring image with ID:", id);
-  console.log("Local path of the image:", img.localPath);
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  res.json({ query: q, ...searchImages(q, { ownerId: req.user.id, limit }) });
+});
 
+// Single image; ?refresh=true re-checks it against the provider first
+app.get('/images/:id', async (req, res) => {
   try {
-    // Check if local file exists
-    if (!fs.existsSync(img.localPath)) {
-      console.error("Local file not found:", img.localPath);
-      return res.status(404).json({ error: 'Local image file not found' });
+    const img = req.query.refresh === 'true'
+      ? await checkImageById(req.params.id)
+      : findImageById(req.params.id);
+    if (!img) {
+      return res.status(404).json({ error: 'Image not found' });
     }
-    
-    // Use helper to re-upload to Cloudinary
-    const result = await uploadImage(img.localPath, img.originalName);
-    
-    // Update metadata
-    img.cloudinaryUrl = result.secure_url;
-    img.cloudinaryPublicId = result.public_id;
-    img.restoredAt = new Date().toISOString();
-    img.status = 'available';
-    updateImageRecord(img);
-    
-    res.json({ 
-      message: 'Image restored to Cloudinary', 
-      data: img 
-    });
+    res.json(img);
+  } catch (err) {
+    console.error('Error fetching image:', err);
+    res.status(500).json({ error: 'Failed to fetch image', details: err.message });
+  }
+});
+
+// Update an image's editable fields; body { notes }
+app.patch('/images/:id', (req, res) => {
+  const { notes } = req.body || {};
+  try {
+    if (notes === undefined) {
+      return res.status(400).json({ error: 'Nothing to update (expected notes)' });
+    }
+    res.json(setNotes(req.params.id, notes));
   } catch (err) {
-    console.error('Restore error:', err);
-    res.status(500).json({ error: 'Failed to restore image', details: err.message });
+    sendError(res, err, 'Error updating image');
   }
 });
 
-// Delete image
-app.delete('/images/:id', async (req, res) => {
+// Restore image to cloud storage if it's missing
+app.post('/restore/:id', (req, res) => {
   const { id } = req.params;
   const img = findImageById(id);
   
   if (!img) {
     return res.status(404).json({ error: 'Image not found' });
   }
-  
+  if (img.status !== 'missing') {
+    return res.status(409).json({ error: `Only missing images can be restored (image is ${img.status})` });
+  }
+  if (!img.localPath || !fs.existsSync(img.localPath)) {
+    return res.status(404).json({ error: 'Local image file not found' });
+  }
+  if (hasActiveJob('restore', id)) {
+    return res.status(409).json({ error: 'A restore is already queued' });
+  }
+
+  const job = enqueue('restore', { imageId: id, ownerId: img.ownerId, trigger: 'manual', actor: actorOf(req) });
+  res.status(202).json({ 
+    message: 'Restore queued', 
+    data: img,
+    job
+  });
+});
+
+// Download the stored backup blob for an image
+app.get('/images/:id/backup', (req, res) => {
+  const img = findImageById(req.params.id);
+  if (!img || !img.backupHash || !hasBlob(img.backupHash)) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  res.type(img.backupMimeType || 'application/octet-stream');
+  res.sendFile(blobPath(img.backupHash));
+});
+
+// Resized copy of the local file: ?w= is rounded up to one of DERIVATIVE_WIDTHS.
+// WebP is served to browsers that accept it, JPEG otherwise.
+app.get('/images/:id/thumb', async (req, res) => {
+  const img = findImageById(req.params.id);
+  if (!img || !img.localPath || !fs.existsSync(img.localPath)) {
+    return res.status(404).json({ error: 'Local image not found' });
+  }
   try {
-    // Use helper to delete from Cloudinary
-    try {
-      await deleteResource(img.cloudinaryPublicId);
-    } catch (cloudErr) {
-      console.warn('Could not delete from Cloudinary:', cloudErr.message);
+    const format = req.accepts(['image/webp', 'image/jpeg']) === 'image/webp' ? 'webp' : 'jpeg';
+    const derivative = await getDerivative(img, req.query.w, format);
+    res.vary('Accept');
+    res.type(format);
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.sendFile(derivative);
+  } catch (err) {
+    sendError(res, err, 'Thumbnail error');
+  }
+});
+
+// One action for many images: body { action, imageIds: [...], ...options }.
+// Answers 207 with an outcome per image; "download" answers with a zip instead
+app.post('/images/bulk', async (req, res) => {
+  const { action, imageIds, ...options } = req.body || {};
+  try {
+    if (action === 'delete' && options.permanent && !hasRole(req.role, 'admin')) {
+      return res.status(403).json({ error: 'Permanent deletes need the admin role' });
     }
-    
-    // Delete local file
-    try {
-      if (fs.existsSync(img.localPath)) {
-        fs.unlinkSync(img.localPath);
+    if (action === 'download') {
+      return await streamBulkDownload(imageIds, res, req.user.id);
+    }
+    const results = runBulkAction(action, imageIds, options, req.user.id, actorOf(req));
+    const succeeded = results.filter(result => result.status === 'ok').length;
+    res.status(207).json({
+      message: `${action}: ${succeeded} of ${results.length} image(s) updated`,
+      action,
+      results,
+    });
+  } catch (err) {
+    // A download that fails mid-stream can only be cut off
+    if (res.headersSent) {
+      console.error('Bulk download error:', err);
+      return res.destroy(err);
+    }
+    sendError(res, err, 'Bulk action error');
+  }
+});
+
+// Upload a new version of an image (field "image"); earlier versions are kept
+app.post('/images/:id/replace', upload.single('image'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  try {
+    const { image, job } = await replaceImage(req.params.id, {
+      path: req.file.path,
+      filename: req.file.filename,
+      size: req.file.size,
+      mimeType: req.file.mimetype,
+    }, { actor: actorOf(req) });
+    res.status(202).json({ message: `Version ${image.version} queued for upload`, data: image, job });
+  } catch (err) {
+    sendError(res, err, 'Replace error');
+  }
+});
+
+// Current and earlier versions of an image, newest first
+app.get('/images/:id/versions', (req, res) => {
+  try {
+    res.json(listVersions(req.params.id));
+  } catch (err) {
+    sendError(res, err, 'Error listing versions');
+  }
+});
+
+// Make an earlier version current again (as a new version)
+app.post('/images/:id/versions/:version/promote', async (req, res) => {
+  try {
+    const { image, job } = await promoteVersion(req.params.id, req.params.version, { actor: actorOf(req) });
+    res.json({ message: `Version ${req.params.version} is current again as version ${image.version}`, data: image, job });
+  } catch (err) {
+    sendError(res, err, 'Error promoting version');
+  }
+});
+
+// Move an image to the trash; ?permanent=true deletes it right away (admins only)
+app.delete('/images/:id', (req, res) => {
+  try {
+    if (parseBoolean(req.query.permanent)) {
+      if (!hasRole(req.role, 'admin')) {
+        return res.status(403).json({ error: 'Permanent deletes need the admin role' });
       }
-    } catch (fsErr) {
-      console.warn('Could not delete local file:', fsErr.message);
+      // The cloud asset is removed in the background, with retries
+      const job = deleteImage(req.params.id, { actor: actorOf(req) });
+      return res.json({ message: 'Image deleted successfully', job });
     }
-    
-    // Remove from database
-    deleteImageById(id);
-    
-    res.json({ message: 'Image deleted successfully' });
+    const item = trashImage(req.params.id, { actor: actorOf(req) });
+    res.json({ message: 'Image moved to trash', data: item });
   } catch (err) {
-    console.error('Delete error:', err);
-    res.status(500).json({ error: 'Failed to delete image', details: err.message });
+    sendError(res, err, 'Delete error');
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Background jobs (uploads, restores, deletions)
+app.use('/jobs', jobsRouter);
+
+// Albums and tags
+app.use('/albums', albumsRouter);
+app.use('/tags', tagsRouter);
+
+// Exact and near-duplicate images
+app.use('/duplicates', duplicatesRouter);
+
+// Deleted images, until they are purged
+app.use('/trash', trashRouter);
+
+// Creating, listing and revoking share links
+app.use('/shares', sharesRouter);
+
+// Who uploaded, restored, deleted or synced what, and how it went
+app.use('/audit', auditRouter);
+
+// Live image and job events for open pages (Server-Sent Events)
+app.use('/events', eventsRouter);
+
+// Whole library as a zip: originals plus a manifest of records and checksums (see library.js)
+app.get('/export', async (req, res) => {
+  try {
+    await streamExport(res, req.user.id);
+  } catch (err) {
+    // Once the zip has started it can only be cut off
+    if (res.headersSent) {
+      console.error('Export error:', err);
+      return res.destroy(err);
+    }
+    sendError(res, err, 'Export error');
+  }
+});
+
+// Adds the images from an export (field "archive"); reupload=true sends them
+// to the configured provider again instead of keeping the exported cloud references
+app.post('/import', receiveArchive, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No archive uploaded (field "archive")' });
+  }
+  try {
+    const reupload = parseBoolean(req.query.reupload ?? req.body.reupload) === true;
+    const results = await importLibrary(req.file.path, { ownerId: req.user.id, actor: actorOf(req), reupload });
+    const imported = results.filter(result => result.status === 'imported').length;
+    res.status(207).json({ message: `Imported ${imported} of ${results.length} image(s)`, results });
+  } catch (err) {
+    sendError(res, err, 'Import error');
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
 });
 
-// Update the endpoint to match frontend request
+// The user's files in the uploads directory, paged and sorted like /images.
+// Each file carries the status of its image record; filter with ?status=a,b
 app.get('/local-images', async (req, res) => {
   try {
-    const uploadsDir = path.join(__dirname, 'uploads');
-    const files = await fs.promises.readdir(uploadsDir);
-    
+    const files = (await fs.promises.readdir(UPLOAD_DIR))
+      .filter(filename => IMAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase()));
+
+    // Untracked files have no owner and are not listed
+    const owned = files
+      .map(filename => findImageByFilename(filename))
+      .filter(record => record && record.ownerId === req.user.id);
+
     const images = await Promise.all(
-      files.map(async (filename) => {
-        const filePath = path.join(uploadsDir, filename);
-        const stats = await fs.promises.stat(filePath);
-        
+      owned.map(async (record) => {
+        const stats = await fs.promises.stat(path.join(UPLOAD_DIR, record.filename));
+
         return {
-          filename,
-          originalName: filename,
+          id: record.id,
+          filename: record.filename,
+          originalName: record.originalName,
           size: stats.size,
-          createdAt: stats.birthtime,
-          path: `/api/uploads/${filename}`
+          createdAt: stats.birthtime.toISOString(),
+          status: record.status,
+          path: `/api/uploads/${record.filename}`
         };
       })
     );
 
-    // Filter out non-image files
-    const imageFiles = images.filter(file => {
-      const ext = path.extname(file.filename).toLowerCase();
-      return ['.jpg', '.jpeg', '.png', '.gif', '.webp'].includes(ext);
-    });
-
-    res.json(imageFiles);
+    const statuses = parseList(req.query.status);
+    const filtered = images.filter(file => statuses.length === 0 || statuses.includes(file.status));
+    res.json(paginate(filtered, req.query, { sortKeys: LOCAL_FILE_SORT_KEYS, defaultSort: 'date' }));
   } catch (error) {
     console.error('Error listing local images:', error);
     res.status(500).json({ error: 'Failed to list local images' });
   }
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Upload directory: ${UPLOAD_DIR}`);
-});
+// Start the server when run directly; tests load the app without it
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Upload directory: ${UPLOAD_DIR}`);
+    startQueue();
+    startReconciler();
+    startAutoRestore();
+    startCloudSync();
+    resumable.startResumableCleanup();
+    startTrashRetention();
+  });
+}
+
+module.exports = app;
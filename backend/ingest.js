@@ -0,0 +1,87 @@
+/**
+ * ingest.js
+ * Turns a file saved in uploads/ into an image record and queues its upload
+ * to the storage provider. Shared by POST /upload and resumable uploads.
+ */
+const fs = require('fs');
+const path = require('path');
+const { insertImage } = require('./database');
+const { storeBackupData, storeBackupFile } = require('./blobs');
+const { tryExtractMetadata } = require('./metadata');
+const { fingerprint, findDuplicates, shouldReject, DUPLICATE_POLICY } = require('./duplicates');
+const { enqueue } = require('./workers/queue');
+const { recordAudit } = require('./audit');
+const { httpError } = require('./errors');
+
+// Camera RAW formats; browsers usually report no mime type for these
+const RAW_EXTENSIONS = ['.dng', '.cr2', '.cr3', '.nef', '.arw', '.orf', '.rw2', '.raf'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.tif', '.tiff', ...RAW_EXTENSIONS];
+
+function isImageFile(name, mimeType) {
+  return (mimeType || '').startsWith('image/') ||
+    IMAGE_EXTENSIONS.includes(path.extname(name || '').toLowerCase());
+}
+
+/**
+ * Records `file` ({ path, filename, originalName, size, mimeType }) as an
+ * image of user `ownerId` and queues its cloud upload. The attempt is audited
+ * as an `upload` by `actor` (see audit.js), whether it succeeds or not. The backup blob comes
+ * from `backupData` when the browser sent one, otherwise from the file itself.
+ *
+ * Returns { image, job, duplicates }. When DUPLICATE_POLICY rejects the file
+ * it throws a 409 error carrying the matches as `err.duplicates`. The file is
+ * deleted whenever it could not be recorded.
+ */
+async function ingestUpload(file, { ownerId, actor, backupData, backupKey } = {}) {
+  try {
+    const hashes = await fingerprint(file.path);
+    const duplicates = DUPLICATE_POLICY === 'off' ? [] : findDuplicates(hashes, { ownerId });
+    if (shouldReject(duplicates)) {
+      const err = httpError(409, 'This image is already in the library');
+      err.duplicates = duplicates;
+      throw err;
+    }
+
+    // Keep the backup as a content-addressed blob, not inline
+    const backup = backupData
+      ? storeBackupData(backupData)
+      : await storeBackupFile(file.path, file.mimeType);
+    const metadata = await tryExtractMetadata(file.path);
+
+    // Save metadata; the cloud fields are filled in by the upload job
+    const image = insertImage({
+      ownerId,
+      filename: file.filename,
+      originalName: file.originalName,
+      localPath: file.path,
+      provider: null,
+      remoteId: null,
+      remoteUrl: null,
+      uploadedAt: new Date().toISOString(),
+      size: file.size,
+      ...hashes,
+      metadata,
+      albumIds: [],
+      tags: [],
+      backupKey: backupKey || null,
+      ...backup,
+      status: 'pending',
+      hasLocalFile: true
+    });
+    recordAudit({ actor, action: 'upload', imageId: image.id, ownerId, after: image });
+    const job = enqueue('upload', { imageId: image.id, ownerId: image.ownerId, actor });
+    return { image, job, duplicates };
+  } catch (err) {
+    recordAudit({ actor, action: 'upload', ownerId, error: err, details: { originalName: file.originalName } });
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  IMAGE_EXTENSIONS,
+  isImageFile,
+  ingestUpload,
+};
@@ -0,0 +1,291 @@
+/**
+ * library.js
+ * Whole-library export and import (GET /export, POST /import), for moving a
+ * library to another machine or keeping an offline snapshot.
+ *
+ * An export is a zip with every original under originals/<image id>/ and a
+ * manifest.json holding the image records, albums, tags and the SHA-256 of
+ * each original. Importing adds the images that are not in the library yet,
+ * checking every file against its checksum; images whose id already exists
+ * are skipped, so importing the same archive twice is harmless.
+ *
+ * An imported image keeps the exported cloud reference only when it can be
+ * trusted: the image was available in the cloud when it was exported, keeps
+ * its id and no other record points at the same asset. Every other image is
+ * uploaded again.
+ *
+ * Both work on one user's library: the export holds that user's images and
+ * albums, and imported images become theirs.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const yauzl = require('yauzl');
+const { getDB, findImageById, findImagesByOwner, insertImage, releaseBackup } = require('./database');
+const { openOriginal } = require('./images');
+const { listAlbums, importAlbums } = require('./albums');
+const { listTags, ensureTags } = require('./tags');
+const { listAllTrash } = require('./trash');
+const { storeBackupFile } = require('./blobs');
+const { enqueue } = require('./workers/queue');
+const { recordAudit } = require('./audit');
+const { createZip, appendEntry } = require('./zip');
+const { httpError, errorMessage } = require('./errors');
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const MANIFEST = 'manifest.json';
+const FORMAT = 'cloudapp-library';
+const FORMAT_VERSION = 1;
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip'];
+
+// Whether an uploaded file looks like a zip; the archive itself is checked when it is opened
+function isZipFile(name, mimeType) {
+  return ZIP_MIME_TYPES.includes(mimeType) || path.extname(name || '').toLowerCase() === '.zip';
+}
+
+// Passes a stream through while hashing it; `result()` is { sha256, bytes } once it has ended
+function checksumStream() {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  stream.result = () => ({ sha256: hash.digest('hex'), bytes });
+  return stream;
+}
+
+/**
+ * Adds `source` to the archive as `name` and returns its { sha256, bytes },
+ * or { error } when reading it failed part-way. archiver waits for a source
+ * to end, so a read error ends the entry early rather than stalling the
+ * export; the cut-short entry is left out of the manifest.
+ */
+async function appendOriginal(archive, source, name) {
+  const checksum = checksumStream();
+  let readError = null;
+  source.on('error', err => {
+    readError = err;
+    checksum.end();
+  });
+  source.pipe(checksum);
+  await appendEntry(archive, checksum, name);
+  return readError ? { error: readError } : checksum.result();
+}
+
+/**
+ * Streams the export of `ownerId`'s library to `res`. The manifest is written last, once every
+ * original has been hashed; images with no copy left, or whose copy could not
+ * be read, are listed in it with `file: null` and the reason as `error`.
+ */
+async function streamExport(res, ownerId) {
+  const archive = createZip(res, `library-${new Date().toISOString().slice(0, 10)}.zip`);
+  const images = [];
+
+  for (const img of findImagesByOwner(ownerId)) {
+    // Paths are only meaningful on this machine; only the current version is exported
+    const { localPath, hasLocalFile, versions, ownerId: owner, ...record } = img;
+    let source;
+    try {
+      source = await openOriginal(img);
+    } catch (err) {
+      images.push({ ...record, file: null, error: errorMessage(err) });
+      continue;
+    }
+    const file = `originals/${img.id}/${path.basename(img.filename || img.originalName)}`;
+    const { error, ...checksum } = await appendOriginal(archive, source, file);
+    if (error) {
+      console.warn(`[EXPORT] Could not read the original of image ${img.id}: ${errorMessage(error)}`);
+      images.push({ ...record, file: null, error: errorMessage(error) });
+      continue;
+    }
+    images.push({ ...record, file, ...checksum });
+  }
+
+  const manifest = {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    images,
+    albums: listAlbums(ownerId).map(({ imageCount, coverFilename, ownerId: owner, ...album }) => album),
+    // Only the tags on the exported images
+    tags: listTags(ownerId).filter(tag => tag.imageCount > 0).map(tag => tag.name),
+  };
+  archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST });
+  await archive.finalize();
+  return manifest;
+}
+
+// yauzl is callback-based; these wrap the few calls used here
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (err, zip) => {
+      if (err) reject(httpError(400, `Not a readable zip file: ${err.message}`));
+      else resolve(zip);
+    });
+  });
+}
+
+// Every entry in the archive, by name
+function readEntries(zip) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map();
+    zip.on('entry', entry => {
+      entries.set(entry.fileName, entry);
+      zip.readEntry();
+    });
+    zip.on('end', () => resolve(entries));
+    zip.on('error', reject);
+    zip.readEntry();
+  });
+}
+
+function openEntry(zip, entry) {
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve(stream)));
+  });
+}
+
+async function readManifest(zip, entries) {
+  const entry = entries.get(MANIFEST);
+  if (!entry) {
+    throw httpError(400, `Not a library export: ${MANIFEST} is missing`);
+  }
+  const chunks = [];
+  for await (const chunk of await openEntry(zip, entry)) {
+    chunks.push(chunk);
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (err) {
+    throw httpError(400, `${MANIFEST} is not valid JSON`);
+  }
+  if (manifest.format !== FORMAT || !Array.isArray(manifest.images)) {
+    throw httpError(400, 'Not a library export');
+  }
+  if (manifest.version > FORMAT_VERSION) {
+    throw httpError(400, `Library export version ${manifest.version} is newer than this server supports`);
+  }
+  return manifest;
+}
+
+// Writes the entry to `target` and returns its { sha256, bytes }
+async function extractEntry(zip, entry, target) {
+  const source = await openEntry(zip, entry);
+  const checksum = checksumStream();
+  await new Promise((resolve, reject) => {
+    pipeline(source, checksum, fs.createWriteStream(target), err => (err ? reject(err) : resolve()));
+  });
+  return checksum.result();
+}
+
+// Keeps the exported filename unless another file already has it
+function localFilename(record) {
+  const name = path.basename(record.filename || record.originalName || `${record.id}`);
+  return fs.existsSync(path.join(UPLOAD_DIR, name)) ? `${Date.now()}-${name}` : name;
+}
+
+// Every cloud asset a record points at, including older versions and trashed images
+function remoteIdsInUse() {
+  return new Set([...getDB(), ...listAllTrash()]
+    .flatMap(img => [img, ...(img.versions || [])])
+    .map(img => img.remoteId)
+    .filter(Boolean));
+}
+
+async function importImage(zip, entries, record, { albumIds, reupload, usedRemoteIds, ownerId, actor }) {
+  const id = String(record.id);
+  const outcome = { id, originalName: record.originalName };
+  const existing = findImageById(id);
+  if (existing && existing.ownerId === ownerId) {
+    return { ...outcome, status: 'skipped', error: 'Already in the library' };
+  }
+  const entry = record.file && entries.get(record.file);
+  if (!entry) {
+    return { ...outcome, status: 'failed', error: record.error || 'Original is missing from the archive' };
+  }
+
+  const filename = localFilename(record);
+  const localPath = path.join(UPLOAD_DIR, filename);
+  let backup = null;
+  try {
+    const { sha256, bytes } = await extractEntry(zip, entry, localPath);
+    if (record.sha256 && sha256 !== record.sha256) {
+      throw new Error('Checksum mismatch: the archive is damaged');
+    }
+
+    const { file, sha256: expected, bytes: expectedBytes, error, ...fields } = record;
+    backup = await storeBackupFile(localPath, record.backupMimeType);
+    // Another user's image may have the id; this copy then gets a new one and
+    // is uploaded again, as is any image whose cloud reference is doubtful
+    const keepCloud = !reupload && !existing && record.status === 'available' && Boolean(record.remoteId) &&
+      !usedRemoteIds.has(record.remoteId);
+    if (keepCloud) usedRemoteIds.add(record.remoteId);
+    const image = insertImage({
+      ...fields,
+      id: existing ? undefined : id,
+      ownerId,
+      filename,
+      localPath,
+      size: bytes,
+      hasLocalFile: true,
+      albumIds: (record.albumIds || []).map(albumId => albumIds.get(albumId)).filter(Boolean),
+      ...backup,
+      ...(keepCloud ? {} : { provider: null, remoteId: null, remoteUrl: null, status: 'pending' }),
+    });
+    recordAudit({ actor, action: 'upload', imageId: image.id, ownerId, after: image, details: { source: 'import' } });
+    // Kept cloud references are checked by the reconciler like any other
+    const job = keepCloud ? null : enqueue('upload', { imageId: image.id, ownerId: image.ownerId, actor });
+    return { ...outcome, status: 'imported', newId: image.id === id ? undefined : image.id, job };
+  } catch (err) {
+    if (fs.existsSync(localPath)) {
+      fs.unlinkSync(localPath);
+    }
+    if (backup) releaseBackup(backup.backupHash);
+    recordAudit({ actor, action: 'upload', ownerId, error: err, details: { source: 'import', originalName: record.originalName } });
+    return { ...outcome, status: 'failed', error: errorMessage(err) };
+  }
+}
+
+/**
+ * Adds the contents of the export at `zipPath` to the library of `ownerId`. With
+ * `reupload`, every imported image is uploaded again to the configured
+ * provider instead of keeping the cloud references from the export.
+ *
+ * Returns one outcome per exported image: { id, originalName, status, error?,
+ * newId?, job? } with status "imported", "skipped" or "failed"; `newId` is set
+ * when the exported id belonged to another user, and `job` when the image is
+ * uploaded again. Throws 400 when the file is
+ * not a library export. Each imported image is audited as an `upload` by
+ * `actor`.
+ */
+async function importLibrary(zipPath, { ownerId, actor, reupload = false } = {}) {
+  const zip = await openZip(zipPath);
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  try {
+    const entries = await readEntries(zip);
+    const manifest = await readManifest(zip, entries);
+    const albumIds = importAlbums(manifest.albums || [], ownerId);
+    ensureTags(manifest.tags || [], ownerId);
+
+    const usedRemoteIds = remoteIdsInUse();
+    const results = [];
+    for (const record of manifest.images) {
+      results.push(await importImage(zip, entries, record, { albumIds, reupload, usedRemoteIds, ownerId, actor }));
+    }
+    return results;
+  } finally {
+    zip.close();
+  }
+}
+
+module.exports = {
+  isZipFile,
+  streamExport,
+  importLibrary,
+};
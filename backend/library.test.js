@@ -0,0 +1,152 @@
+/**
+ * library.test.js
+ * Tests for library export and import.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const { useTempDataDir } = require('./testing');
+
+const dataDir = useTempDataDir();
+
+const { insertImage, findImageById } = require('./database');
+const { streamExport, importLibrary } = require('./library');
+const { registerHandler } = require('./workers/queue');
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const actor = { type: 'user', id: 'u1', username: 'alice' };
+
+registerHandler('upload', async () => ({ skipped: 'Not uploaded in tests' }));
+
+function sha256(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+// Writes a zip holding `files` ({ name: contents }) and returns its path
+async function writeZip(name, files) {
+  const zipPath = path.join(dataDir, name);
+  const archive = archiver('zip');
+  const done = new Promise((resolve, reject) => {
+    archive.pipe(fs.createWriteStream(zipPath)).on('close', resolve).on('error', reject);
+  });
+  Object.entries(files).forEach(([entry, contents]) => archive.append(contents, { name: entry }));
+  await archive.finalize();
+  await done;
+  return zipPath;
+}
+
+// Runs streamExport into memory; resolves with the manifest and the entry names in the zip
+async function runExport(ownerId) {
+  const res = new PassThrough();
+  res.attachment = () => {};
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => res.on('end', resolve));
+  const manifest = await streamExport(res, ownerId);
+  await finished;
+
+  const names = await new Promise((resolve, reject) => {
+    yauzl.fromBuffer(Buffer.concat(chunks), (err, zip) => {
+      if (err) return reject(err);
+      const entries = [];
+      zip.on('entry', entry => entries.push(entry.fileName));
+      zip.on('end', () => resolve(entries));
+      zip.on('error', reject);
+    });
+  });
+  return { manifest, names };
+}
+
+test('refuses an original whose checksum does not match the manifest', async () => {
+  const filename = `library-test-${crypto.randomUUID()}.png`;
+  const zipPath = await writeZip('damaged.zip', {
+    'manifest.json': JSON.stringify({
+      format: 'cloudapp-library',
+      version: 1,
+      images: [{
+        id: 'imported-1',
+        originalName: 'photo.png',
+        filename,
+        file: `originals/imported-1/${filename}`,
+        sha256: sha256('the original bytes'),
+      }],
+    }),
+    [`originals/imported-1/${filename}`]: 'bytes changed in transit',
+  });
+
+  const [result] = await importLibrary(zipPath, { ownerId: 'u1', actor });
+  assert.strictEqual(result.status, 'failed');
+  assert.match(result.error, /Checksum mismatch/);
+  assert.strictEqual(findImageById('imported-1'), undefined);
+  assert.strictEqual(fs.existsSync(path.join(UPLOAD_DIR, filename)), false);
+});
+
+test('keeps only the cloud references it can trust', async (t) => {
+  insertImage({ id: 'theirs', ownerId: 'u9', remoteId: 'r-theirs', status: 'available' });
+  insertImage({ id: 'other', ownerId: 'u9', remoteId: 'r-taken', status: 'available' });
+
+  const prefix = `library-test-${crypto.randomUUID()}`;
+  const records = [
+    { id: 'trusted', status: 'available', remoteId: 'r-trusted' },
+    { id: 'unverified', status: 'missing', remoteId: 'r-unverified' },
+    { id: 'taken', status: 'available', remoteId: 'r-taken' },
+    { id: 'theirs', status: 'available', remoteId: 'r-copied' },
+    { id: 'same-asset', status: 'available', remoteId: 'r-trusted' },
+  ].map(record => ({
+    ...record,
+    provider: 'cloudinary',
+    remoteUrl: `https://example.test/${record.remoteId}`,
+    originalName: `${record.id}.png`,
+    filename: `${prefix}-${record.id}.png`,
+    file: `originals/${record.id}/${prefix}-${record.id}.png`,
+    sha256: sha256(record.id),
+  }));
+  const files = Object.fromEntries(records.map(record => [record.file, record.id]));
+  const zipPath = await writeZip('cloud.zip', {
+    'manifest.json': JSON.stringify({ format: 'cloudapp-library', version: 1, images: records }),
+    ...files,
+  });
+
+  const results = await importLibrary(zipPath, { ownerId: 'u3', actor });
+  const imported = new Map(results.map(result => [result.id, findImageById(result.newId || result.id)]));
+  t.after(() => imported.forEach(img => fs.rmSync(img.localPath, { force: true })));
+
+  assert.deepStrictEqual(results.map(result => result.status), records.map(() => 'imported'));
+  assert.strictEqual(imported.get('trusted').remoteId, 'r-trusted');
+  assert.strictEqual(imported.get('trusted').status, 'available');
+  assert.strictEqual(results[0].job, null);
+  ['unverified', 'taken', 'theirs', 'same-asset'].forEach(id => {
+    const img = imported.get(id);
+    assert.deepStrictEqual([img.provider, img.remoteId, img.remoteUrl, img.status], [null, null, null, 'pending'], id);
+    assert.strictEqual(img.ownerId, 'u3');
+    assert.strictEqual(results.find(result => result.id === id).job.type, 'upload');
+  });
+  assert.notStrictEqual(imported.get('theirs').id, 'theirs');
+  assert.strictEqual(findImageById('theirs').ownerId, 'u9');
+});
+
+test('answers 400 for a zip that is not a library export', async () => {
+  const zipPath = await writeZip('other.zip', { 'notes.txt': 'hello' });
+  await assert.rejects(importLibrary(zipPath, { ownerId: 'u1' }), err => err.status === 400);
+});
+
+test('lists an original that fails to read as missing and finishes the export', async () => {
+  const readable = path.join(dataDir, 'readable.png');
+  fs.writeFileSync(readable, 'image bytes');
+  insertImage({ id: 'ok', ownerId: 'u2', originalName: 'ok.png', filename: 'ok.png', localPath: readable });
+  // A directory opens fine but fails on the first read
+  insertImage({ id: 'broken', ownerId: 'u2', originalName: 'broken.png', filename: 'broken.png', localPath: dataDir });
+
+  const { manifest, names } = await runExport('u2');
+  const byId = new Map(manifest.images.map(img => [img.id, img]));
+  assert.strictEqual(byId.get('ok').file, 'originals/ok/ok.png');
+  assert.strictEqual(byId.get('ok').sha256, sha256('image bytes'));
+  assert.strictEqual(byId.get('broken').file, null);
+  assert.match(byId.get('broken').error, /EISDIR/);
+  assert.ok(names.includes('manifest.json'));
+});
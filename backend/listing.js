@@ -0,0 +1,77 @@
+/**
+ * Paging, sorting and filtering shared by the list endpoints.
+ *
+ * Query parameters:
+ *   page    1-based page number (default 1)
+ *   limit   items per page (default 24, max 100)
+ *   sort    one of the keys the endpoint supports (e.g. date, name, size)
+ *   order   asc | desc (default desc)
+ *
+ * Responses have the shape { items, page, limit, total, totalPages, sort, order }.
+ */
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+function toInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Missing values sort last in either direction
+function compareValues(a, b) {
+  if (a == null || a === '') return b == null || b === '' ? 0 : 1;
+  if (b == null || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// "a,b" -> ['a', 'b']; empty or missing -> []
+function parseList(value) {
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// "true" / "false" -> boolean; anything else -> undefined (no filter)
+function parseBoolean(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+/**
+ * Sorts and slices `items` according to `query`. `sortKeys` maps each
+ * supported `sort` value to a function returning the value to compare.
+ */
+function paginate(items, query, { sortKeys, defaultSort }) {
+  const limit = Math.min(toInt(query.limit, DEFAULT_LIMIT), MAX_LIMIT);
+  const sort = Object.hasOwn(sortKeys, query.sort) ? query.sort : defaultSort;
+  const order = query.order === 'asc' ? 'asc' : 'desc';
+  const total = items.length;
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  const page = Math.min(toInt(query.page, 1), totalPages);
+
+  const key = sortKeys[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  const sorted = [...items].sort((a, b) => {
+    const va = key(a);
+    const vb = key(b);
+    // Keep missing values at the end regardless of direction
+    if (va == null || vb == null || va === '' || vb === '') return compareValues(va, vb);
+    return direction * compareValues(va, vb);
+  });
+
+  return {
+    items: sorted.slice((page - 1) * limit, page * limit),
+    page,
+    limit,
+    total,
+    totalPages,
+    sort,
+    order,
+  };
+}
+
+module.exports = {
+  paginate,
+  parseList,
+  parseBoolean,
+};
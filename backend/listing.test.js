@@ -0,0 +1,35 @@
+/**
+ * listing.test.js
+ * Tests for paging and sorting of the list endpoints.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { paginate } = require('./listing');
+
+const items = [
+  { name: 'b', size: 2 },
+  { name: 'a', size: null },
+  { name: 'c', size: 1 },
+];
+const options = {
+  sortKeys: { name: item => item.name, size: item => item.size },
+  defaultSort: 'name',
+};
+
+test('sorts by the requested key and keeps missing values last', () => {
+  const page = paginate(items, { sort: 'size', order: 'asc' }, options);
+  assert.deepStrictEqual(page.items.map(item => item.name), ['c', 'b', 'a']);
+});
+
+test('falls back to the default sort for keys it does not support', () => {
+  ['__proto__', 'constructor', 'toString', 'bogus'].forEach(sort => {
+    const page = paginate(items, { sort }, options);
+    assert.strictEqual(page.sort, 'name');
+    assert.deepStrictEqual(page.items.map(item => item.name), ['c', 'b', 'a']);
+  });
+});
+
+test('clamps the page to the last one', () => {
+  const page = paginate(items, { limit: '2', page: '9' }, options);
+  assert.deepStrictEqual([page.page, page.totalPages, page.items.length], [2, 2, 1]);
+});
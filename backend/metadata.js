@@ -0,0 +1,88 @@
+/**
+ * metadata.js
+ * Reads image headers and EXIF (via sharp and exif-reader) into the
+ * `metadata` object stored on each image record:
+ *
+ *   { format, width, height, orientation, capturedAt, cameraMake,
+ *     cameraModel, gps: { latitude, longitude, altitude } | null, extractedAt }
+ *
+ * width/height are the stored pixel dimensions; `orientation` is the EXIF
+ * orientation (1-8), where 5-8 mean the image is displayed rotated by 90°.
+ * Handles JPEG, PNG, WebP and GIF; EXIF fields are null when a file has none.
+ */
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+// [degrees, minutes, seconds] + "N"/"S"/"E"/"W" -> signed decimal degrees
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length === 0) return null;
+  const [degrees = 0, minutes = 0, seconds = 0] = dms;
+  const value = degrees + minutes / 60 + seconds / 3600;
+  if (!Number.isFinite(value)) return null;
+  const signed = ref === 'S' || ref === 'W' ? -value : value;
+  return Number(signed.toFixed(6));
+}
+
+function toGps(info) {
+  if (!info) return null;
+  const latitude = toDecimalDegrees(info.GPSLatitude, info.GPSLatitudeRef);
+  const longitude = toDecimalDegrees(info.GPSLongitude, info.GPSLongitudeRef);
+  if (latitude === null || longitude === null) return null;
+  const altitude = typeof info.GPSAltitude === 'number'
+    ? (info.GPSAltitudeRef === 1 ? -info.GPSAltitude : info.GPSAltitude)
+    : null;
+  return { latitude, longitude, altitude };
+}
+
+function toIsoDate(value) {
+  if (!(value instanceof Date) || Number.isNaN(value.getTime())) return null;
+  return value.toISOString();
+}
+
+function readExif(buffer) {
+  if (!buffer) return {};
+  try {
+    return exifReader(buffer);
+  } catch (err) {
+    console.warn('[METADATA] Could not parse EXIF block:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Extracts metadata from the image at `filePath`. Throws if the file is not
+ * an image sharp can read.
+ */
+async function extractMetadata(filePath) {
+  const info = await sharp(filePath).metadata();
+  const exif = readExif(info.exif);
+  const image = exif.Image || {};
+  const photo = exif.Photo || {};
+
+  return {
+    format: info.format,
+    width: info.width,
+    height: info.height,
+    orientation: info.orientation || image.Orientation || 1,
+    capturedAt: toIsoDate(photo.DateTimeOriginal) || toIsoDate(photo.DateTimeDigitized) || toIsoDate(image.DateTime),
+    cameraMake: image.Make ? String(image.Make).trim() : null,
+    cameraModel: image.Model ? String(image.Model).trim() : null,
+    gps: toGps(exif.GPSInfo),
+    extractedAt: new Date().toISOString(),
+  };
+}
+
+// Like extractMetadata, but logs and returns null for unreadable files
+async function tryExtractMetadata(filePath) {
+  try {
+    return await extractMetadata(filePath);
+  } catch (err) {
+    console.warn(`[METADATA] Could not read ${filePath}: ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  extractMetadata,
+  tryExtractMetadata,
+};
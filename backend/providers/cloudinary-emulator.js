@@ -0,0 +1,215 @@
+/**
+ * Offline stand-in for the Cloudinary SDK (v2), for development and tests.
+ *
+ * Enabled with CLOUDINARY_EMULATOR=true. Assets are copied into
+ * data/emulated-cloud and served by `router` (mounted at /emulated-cloud),
+ * using Cloudinary-style delivery URLs:
+ *   <base>/<cloud_name>/image/upload/v<version>/<public_id>.<format>
+ *
+ * Only the calls this backend makes are emulated, with the same response and
+ * error shapes as the real service: uploader.upload, uploader.upload_large
+ * (in one piece, with the SDK's callback signature), uploader.destroy,
+ * uploader.remove_all_tags, api.ping, api.resource, api.resources and
+ * api.update (tags only). Destroyed assets answer 404 everywhere,
+ * which is what the missing/restore flow depends on; sending DELETE to a
+ * delivery URL destroys the asset behind the app's back.
+ */
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const store = require('../store');
+
+const ENABLED = process.env.CLOUDINARY_EMULATOR === 'true';
+const ROUTE = '/emulated-cloud';
+const ASSETS_DIR = path.join(store.DATA_DIR, 'emulated-cloud');
+const CLOUD_NAME = process.env.CLOUDINARY_CLOUD_NAME || 'emulated';
+const BASE_URL = process.env.CLOUDINARY_EMULATOR_URL ||
+  `http://localhost:${process.env.PORT || 3001}${ROUTE}`;
+
+let resources = null;
+
+// Opened lazily so requiring this module never touches the data directory
+function collection() {
+  if (!resources) {
+    resources = store.collection('emulated_cloud');
+  }
+  return resources;
+}
+
+function assetPath(resource) {
+  return path.join(ASSETS_DIR, `${resource.public_id}.${resource.format}`);
+}
+
+function deliveryUrl(publicId, version, format) {
+  return `${BASE_URL}/${CLOUD_NAME}/image/upload/v${version}/${publicId}.${format}`;
+}
+
+// Errors are rejected in the same shape the SDK uses for API responses
+function apiError(message, httpCode) {
+  return { error: { message, http_code: httpCode } };
+}
+
+function randomSuffix() {
+  return crypto.randomBytes(4).toString('base64').replace(/[^a-z0-9]/gi, '').toLowerCase().slice(0, 6);
+}
+
+function toResponse({ id, ...resource }) {
+  return resource;
+}
+
+// The SDK accepts tags as an array or a comma-separated string
+function toTagList(tags) {
+  if (!tags) return [];
+  return (Array.isArray(tags) ? tags : String(tags).split(',')).map(t => String(t).trim()).filter(Boolean);
+}
+
+async function upload(localPath, options = {}) {
+  if (!fs.existsSync(localPath)) {
+    throw apiError(`File not found: ${localPath}`, 400);
+  }
+  const ext = path.extname(options.filename_override || localPath);
+  const format = ext.slice(1).toLowerCase() || 'jpg';
+  const baseName = path.basename(options.filename_override || localPath, ext).replace(/[^\w-]+/g, '_');
+
+  let publicId = options.public_id;
+  if (!publicId) {
+    publicId = options.use_filename ? `${baseName}_${randomSuffix()}` : crypto.randomBytes(10).toString('hex');
+  }
+  if (options.folder) {
+    publicId = `${options.folder}/${publicId}`;
+  }
+
+  const version = Math.floor(Date.now() / 1000);
+  const bytes = fs.statSync(localPath).size;
+  const resource = {
+    id: publicId,
+    asset_id: crypto.randomBytes(16).toString('hex'),
+    public_id: publicId,
+    version,
+    version_id: crypto.randomBytes(16).toString('hex'),
+    signature: crypto.randomBytes(20).toString('hex'),
+    format,
+    resource_type: 'image',
+    created_at: new Date().toISOString(),
+    tags: toTagList(options.tags),
+    bytes,
+    type: 'upload',
+    etag: crypto.createHash('md5').update(fs.readFileSync(localPath)).digest('hex'),
+    placeholder: false,
+    url: deliveryUrl(publicId, version, format).replace(/^https:/, 'http:'),
+    secure_url: deliveryUrl(publicId, version, format),
+    folder: options.folder || '',
+    original_filename: baseName,
+  };
+
+  const target = assetPath(resource);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(localPath, target);
+  collection().put(resource);
+  return toResponse(resource);
+}
+
+async function destroy(publicId) {
+  const resource = collection().get(publicId);
+  if (!resource) {
+    return { result: 'not found' };
+  }
+  fs.rmSync(assetPath(resource), { force: true });
+  collection().remove(publicId);
+  return { result: 'ok' };
+}
+
+async function resource(publicId) {
+  const found = collection().get(publicId);
+  if (!found) {
+    throw apiError(`Resource not found - ${publicId}`, 404);
+  }
+  return toResponse(found);
+}
+
+async function update(publicId, options = {}) {
+  const found = collection().get(publicId);
+  if (!found) {
+    throw apiError(`Resource not found - ${publicId}`, 404);
+  }
+  const updated = options.tags === undefined ? found : { ...found, tags: toTagList(options.tags) };
+  collection().put(updated);
+  return toResponse(updated);
+}
+
+async function removeAllTags(publicIds = []) {
+  const changed = publicIds.filter(id => collection().has(id));
+  changed.forEach(id => collection().put({ ...collection().get(id), tags: [] }));
+  return { public_ids: changed };
+}
+
+async function listResources({ prefix = '', max_results = 10, next_cursor } = {}) {
+  const matching = collection().all()
+    .filter(r => r.public_id.startsWith(prefix))
+    .sort((a, b) => a.public_id.localeCompare(b.public_id));
+  const start = next_cursor ? Number(next_cursor) : 0;
+  const end = start + max_results;
+  return {
+    resources: matching.slice(start, end).map(toResponse),
+    next_cursor: end < matching.length ? String(end) : undefined,
+  };
+}
+
+// Resolves /<cloud_name>/image/upload/[transformations/][v<version>/]<public_id>.<format>
+function resolveDeliveryPath(cloudName, rest) {
+  const segments = rest.split('/');
+  const versionIndex = segments.findIndex(s => /^v\d+$/.test(s));
+  const idSegments = versionIndex === -1
+    ? segments.filter((s, i) => i === segments.length - 1 || !/^[a-z]{1,3}_/.test(s))
+    : segments.slice(versionIndex + 1);
+  const requested = idSegments.join('/');
+  const publicId = requested.slice(0, requested.length - path.extname(requested).length);
+  const found = collection().get(publicId);
+  if (cloudName !== CLOUD_NAME || !found || !fs.existsSync(assetPath(found))) {
+    return null;
+  }
+  return found;
+}
+
+const DELIVERY_PATH = /^\/([^/]+)\/image\/upload\/(.+)$/;
+const router = express.Router();
+
+router.get(DELIVERY_PATH, (req, res) => {
+  const found = resolveDeliveryPath(req.params[0], req.params[1]);
+  if (!found) {
+    return res.status(404).send('Resource not found');
+  }
+  res.sendFile(assetPath(found));
+});
+
+// Out-of-band delete, to simulate an asset disappearing from the cloud
+router.delete(DELIVERY_PATH, async (req, res) => {
+  const found = resolveDeliveryPath(req.params[0], req.params[1]);
+  if (!found) {
+    return res.status(404).json(apiError('Resource not found', 404));
+  }
+  res.json(await destroy(found.public_id));
+});
+
+module.exports = {
+  ENABLED,
+  ROUTE,
+  router,
+  config: () => ({ cloud_name: CLOUD_NAME }),
+  uploader: {
+    upload,
+    upload_large: (localPath, options, callback) => {
+      upload(localPath, options).then(result => callback(undefined, result), callback);
+    },
+    destroy,
+    remove_all_tags: removeAllTags,
+  },
+  api: {
+    ping: async () => ({ status: 'ok' }),
+    resource,
+    resources: listResources,
+    update,
+  },
+};
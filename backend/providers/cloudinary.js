@@ -0,0 +1,140 @@
+require('dotenv').config();
+const fs = require('fs');
+const axios = require('axios');
+const emulator = require('./cloudinary-emulator');
+
+// CLOUDINARY_EMULATOR=true swaps the SDK for the offline stand-in
+const cloudinary = emulator.ENABLED ? emulator : require('cloudinary').v2;
+
+const FOLDER = process.env.STORAGE_FOLDER || 'cloudapp';
+// Larger files go up in chunks: a single request would hit Cloudinary's size
+// limit or time out. Chunks must be at least 5 MB.
+const LARGE_FILE_BYTES = Number(process.env.CLOUDINARY_LARGE_FILE_BYTES) || 20 * 1024 * 1024;
+const CHUNK_SIZE = Number(process.env.CLOUDINARY_CHUNK_SIZE) || 20 * 1024 * 1024;
+
+if (!emulator.ENABLED) {
+  // Ensure credentials are present in environment
+  ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'].forEach(key => {
+    if (!process.env[key]) {
+      throw new Error(`Missing required environment variable: ${key} (set CLOUDINARY_EMULATOR=true to run offline)`);
+    }
+  });
+
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+}
+
+function isNotFound(error) {
+  const status = error && (error.http_code || (error.error && error.error.http_code));
+  return status === 404;
+}
+
+// Normalizes a Cloudinary resource into the provider-neutral shape
+function toAsset(resource) {
+  return {
+    id: resource.public_id,
+    url: resource.secure_url,
+    bytes: resource.bytes,
+    format: resource.format,
+    width: resource.width,
+    height: resource.height,
+    version: resource.version,
+  };
+}
+
+// upload_large reports through its callback; it returns the upload stream, not a promise
+function uploadLarge(localPath, options) {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_large(localPath, options, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+}
+
+async function upload(localPath, { name, tags = [] } = {}) {
+  const options = {
+    folder: FOLDER,
+    use_filename: true,
+    filename_override: name,
+    tags,
+  };
+  const { size } = await fs.promises.stat(localPath);
+  const result = size > LARGE_FILE_BYTES
+    // upload_large defaults to resource_type "raw"
+    ? await uploadLarge(localPath, { ...options, resource_type: 'image', chunk_size: CHUNK_SIZE })
+    : await cloudinary.uploader.upload(localPath, options);
+  return toAsset(result);
+}
+
+// Resource details, or null when the asset does not exist
+async function head(id) {
+  try {
+    return toAsset(await cloudinary.api.resource(id));
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+async function exists(id) {
+  return (await head(id)) !== null;
+}
+
+async function remove(id) {
+  const result = await cloudinary.uploader.destroy(id);
+  return result.result === 'ok';
+}
+
+// Readable stream of the original asset
+async function download(id) {
+  const asset = await head(id);
+  if (!asset) {
+    const error = new Error(`Resource not found: ${id}`);
+    error.http_code = 404;
+    throw error;
+  }
+  const response = await axios.get(asset.url, { responseType: 'stream' });
+  return response.data;
+}
+
+async function list({ prefix = FOLDER } = {}) {
+  const assets = [];
+  let cursor;
+  do {
+    const page = await cloudinary.api.resources({
+      type: 'upload',
+      prefix,
+      max_results: 500,
+      next_cursor: cursor,
+    });
+    assets.push(...page.resources.map(toAsset));
+    cursor = page.next_cursor;
+  } while (cursor);
+  return assets;
+}
+
+// Replaces all tags on the asset (Cloudinary has no "set tags to nothing" update)
+async function setTags(id, tags) {
+  if (tags.length === 0) {
+    await cloudinary.uploader.remove_all_tags([id]);
+  } else {
+    await cloudinary.api.update(id, { tags });
+  }
+}
+
+async function ping() {
+  await cloudinary.api.ping();
+}
+
+module.exports = {
+  name: 'cloudinary',
+  upload,
+  head,
+  exists,
+  remove,
+  download,
+  list,
+  setTags,
+  ping,
+};
@@ -0,0 +1,43 @@
+/**
+ * Storage provider registry.
+ *
+ * Every provider exposes the same interface:
+ *   upload(localPath, { name, tags }) -> asset
+ *   head(id)                     -> asset, or null if it does not exist
+ *   exists(id)                   -> boolean
+ *   remove(id)                   -> boolean (true if something was deleted)
+ *   download(id)                 -> Readable stream
+ *   list({ prefix })             -> asset[]
+ *   setTags(id, tags)            -> replaces the asset's tags
+ *   ping()                       -> resolves if the provider is reachable
+ * where an asset is `{ id, url, bytes, format, ... }`.
+ *
+ * New uploads go to STORAGE_PROVIDER (default "cloudinary"); existing records
+ * keep using the provider named in their `provider` field.
+ */
+
+// Loaded lazily so a provider's required env vars are only checked when it is used
+const PROVIDERS = {
+  cloudinary: () => require('./cloudinary'),
+  s3: () => require('./s3'),
+};
+
+const DEFAULT_PROVIDER = process.env.STORAGE_PROVIDER || 'cloudinary';
+
+function getProvider(name = DEFAULT_PROVIDER) {
+  const load = PROVIDERS[name];
+  if (!load) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+  return load();
+}
+
+function providerFor(imageRecord) {
+  return getProvider(imageRecord.provider || DEFAULT_PROVIDER);
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  providerFor,
+};
@@ -0,0 +1,180 @@
+/**
+ * S3-compatible storage provider (AWS S3, MinIO, R2, ...).
+ *
+ * For a local MinIO:
+ *   STORAGE_PROVIDER=s3
+ *   S3_ENDPOINT=http://localhost:9000
+ *   S3_FORCE_PATH_STYLE=true
+ *   S3_BUCKET=cloudapp
+ *   S3_ACCESS_KEY_ID=minioadmin
+ *   S3_SECRET_ACCESS_KEY=minioadmin
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  HeadBucketCommand,
+  PutObjectTaggingCommand,
+} = require('@aws-sdk/client-s3');
+
+const FOLDER = process.env.STORAGE_FOLDER || 'cloudapp';
+const BUCKET = process.env.S3_BUCKET;
+const ENDPOINT = process.env.S3_ENDPOINT;
+const REGION = process.env.S3_REGION || 'us-east-1';
+const FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE === 'true';
+
+['S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY'].forEach(key => {
+  if (!process.env[key]) {
+    throw new Error(`Missing required environment variable: ${key}`);
+  }
+});
+
+const client = new S3Client({
+  region: REGION,
+  endpoint: ENDPOINT,
+  forcePathStyle: FORCE_PATH_STYLE,
+  credentials: {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  },
+});
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+};
+
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+// Public URL of an object; S3_PUBLIC_URL overrides it for CDNs or custom domains
+function objectUrl(key) {
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  if (process.env.S3_PUBLIC_URL) {
+    return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${encodedKey}`;
+  }
+  if (ENDPOINT) {
+    const base = ENDPOINT.replace(/\/$/, '');
+    return FORCE_PATH_STYLE
+      ? `${base}/${BUCKET}/${encodedKey}`
+      : base.replace('://', `://${BUCKET}.`) + `/${encodedKey}`;
+  }
+  return `https://${BUCKET}.s3.${REGION}.amazonaws.com/${encodedKey}`;
+}
+
+// S3 allows at most 10 tags per object and a limited character set in keys
+const MAX_OBJECT_TAGS = 10;
+
+function toTagSet(tags) {
+  if (tags.length > MAX_OBJECT_TAGS) {
+    console.warn(`[S3] Only the first ${MAX_OBJECT_TAGS} of ${tags.length} tags are stored on the object.`);
+  }
+  return tags.slice(0, MAX_OBJECT_TAGS).map(tag => ({
+    Key: tag.replace(/[^\p{L}\p{N} .:+=@_/-]/gu, '_').slice(0, 128),
+    Value: '',
+  }));
+}
+
+function toAsset(key, { bytes, format, version } = {}) {
+  return {
+    id: key,
+    url: objectUrl(key),
+    bytes,
+    format: format || path.extname(key).slice(1).toLowerCase(),
+    version,
+  };
+}
+
+async function upload(localPath, { name, tags = [] } = {}) {
+  const base = path.basename(name || localPath).replace(/[^\w.-]+/g, '_');
+  const key = `${FOLDER}/${Date.now()}-${base}`;
+  const { size } = await fs.promises.stat(localPath);
+  const result = await client.send(new PutObjectCommand({
+    Bucket: BUCKET,
+    Key: key,
+    Body: fs.createReadStream(localPath),
+    ContentLength: size,
+    ContentType: MIME_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+    Tagging: new URLSearchParams(toTagSet(tags).map(tag => [tag.Key, tag.Value])).toString() || undefined,
+  }));
+  return toAsset(key, { bytes: size, version: result.VersionId });
+}
+
+// Object details, or null when the object does not exist
+async function head(id) {
+  try {
+    const result = await client.send(new HeadObjectCommand({ Bucket: BUCKET, Key: id }));
+    return toAsset(id, { bytes: result.ContentLength, version: result.VersionId });
+  } catch (error) {
+    if (isNotFound(error)) return null;
+    throw error;
+  }
+}
+
+async function exists(id) {
+  return (await head(id)) !== null;
+}
+
+async function remove(id) {
+  const found = await exists(id);
+  await client.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: id }));
+  return found;
+}
+
+// Readable stream of the stored object
+async function download(id) {
+  const result = await client.send(new GetObjectCommand({ Bucket: BUCKET, Key: id }));
+  return result.Body;
+}
+
+async function list({ prefix = FOLDER } = {}) {
+  const assets = [];
+  let token;
+  do {
+    const page = await client.send(new ListObjectsV2Command({
+      Bucket: BUCKET,
+      Prefix: prefix,
+      ContinuationToken: token,
+    }));
+    (page.Contents || []).forEach(obj => assets.push(toAsset(obj.Key, { bytes: obj.Size })));
+    token = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (token);
+  return assets;
+}
+
+async function setTags(id, tags) {
+  await client.send(new PutObjectTaggingCommand({
+    Bucket: BUCKET,
+    Key: id,
+    Tagging: { TagSet: toTagSet(tags) },
+  }));
+}
+
+async function ping() {
+  await client.send(new HeadBucketCommand({ Bucket: BUCKET }));
+}
+
+module.exports = {
+  name: 's3',
+  upload,
+  head,
+  exists,
+  remove,
+  download,
+  list,
+  setTags,
+  ping,
+};
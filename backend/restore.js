@@ -0,0 +1,98 @@
+/**
+ * restore.js
+ * Re-uploads an image from its local copy to the configured storage provider.
+ * Shared by POST /restore/:id and the automatic restore worker; every attempt
+ * is appended to the image's `restoreHistory`.
+ */
+const fs = require('fs');
+const { findImageById, patchImage } = require('./database');
+const { getProvider, providerFor } = require('./providers');
+const { cloudLabels } = require('./albums');
+const { recordAudit, systemActor } = require('./audit');
+const { httpError, errorMessage } = require('./errors');
+
+const MAX_HISTORY = 20;
+
+function withHistory(current, entry) {
+  const history = [...(current.restoreHistory || []), { at: new Date().toISOString(), ...entry }];
+  return history.slice(-MAX_HISTORY);
+}
+
+// Appends an entry to restoreHistory without touching anything else
+function recordRestoreEvent(id, entry, changes = {}) {
+  return patchImage(id, current => ({ ...changes, restoreHistory: withHistory(current, entry) }));
+}
+
+/**
+ * Restores image `id`. `trigger` is "manual" or "auto"; `attempt` is the
+ * attempt number for automatic retries. Throws an error with `status` set when
+ * the image or its local file does not exist, and 409 when the image is not
+ * `missing` (it may have come back since the restore was queued). Every
+ * attempt on a missing image is audited as a `restore` by `actor` (the
+ * auto-restore worker by default).
+ */
+async function restoreImage(id, { trigger = 'manual', attempt = 1, actor = systemActor('auto-restore') } = {}) {
+  const img = findImageById(id);
+  if (!img) {
+    throw httpError(404, 'Image not found');
+  }
+  // Uploading an image that is still in the cloud would only add a second asset
+  if (img.status !== 'missing') {
+    throw httpError(409, `Only missing images can be restored (image is ${img.status})`);
+  }
+  const audit = (after, error) => recordAudit({
+    actor,
+    action: 'restore',
+    imageId: img.id,
+    ownerId: img.ownerId,
+    before: img,
+    after,
+    error,
+    details: { trigger, attempt },
+  });
+
+  if (!img.localPath || !fs.existsSync(img.localPath)) {
+    console.error('Local file not found:', img.localPath);
+    const after = recordRestoreEvent(id, { trigger, attempt, outcome: 'failed', error: 'Local image file not found' }, {
+      hasLocalFile: false,
+    });
+    const err = httpError(404, 'Local image file not found');
+    audit(after, err);
+    throw err;
+  }
+
+  try {
+    const provider = getProvider();
+    const asset = await provider.upload(img.localPath, { name: img.originalName, tags: cloudLabels(img) });
+    const restoredAt = new Date().toISOString();
+    const restored = recordRestoreEvent(id, { trigger, attempt, outcome: 'restored' }, {
+      provider: provider.name,
+      remoteId: asset.id,
+      remoteUrl: asset.url,
+      restoredAt,
+      status: 'available',
+      hasLocalFile: true,
+      lastCheckedAt: restoredAt,
+    });
+    // Deleted while the upload was in flight: don't leave an orphaned asset behind
+    if (!restored) {
+      await provider.remove(asset.id);
+      throw httpError(404, 'Image not found');
+    }
+    // The reconciler found the old asset gone, but don't leave it behind if it turns up again
+    if (img.remoteId && img.remoteId !== asset.id) {
+      providerFor(img).remove(img.remoteId)
+        .catch(err => console.warn(`[RESTORE] Could not remove old asset ${img.remoteId}:`, errorMessage(err)));
+    }
+    audit(restored);
+    return restored;
+  } catch (err) {
+    audit(recordRestoreEvent(id, { trigger, attempt, outcome: 'failed', error: errorMessage(err) }), err);
+    throw err;
+  }
+}
+
+module.exports = {
+  restoreImage,
+  recordRestoreEvent,
+};
@@ -0,0 +1,112 @@
+/**
+ * resumable.js
+ * Resumable uploads over the tus protocol (https://tus.io), mounted at /files.
+ *
+ * Chunks are appended to data/resumable/<upload id>; a client that loses its
+ * connection asks for the current offset and continues from there. Once the
+ * last chunk arrives the file is moved to uploads/ and goes through the same
+ * pipeline as POST /upload, owned by the user who sent the last chunk. The
+ * final PATCH answers 200 with the same JSON as POST /upload, or 409 when
+ * DUPLICATE_POLICY rejects the file.
+ *
+ *   RESUMABLE_MAX_SIZE        largest accepted file, in bytes (default 500 MB)
+ *   RESUMABLE_EXPIRATION_MS   unfinished uploads are dropped after this long (default 24 h)
+ */
+const path = require('path');
+const { Server } = require('@tus/server');
+const { FileStore } = require('@tus/file-store');
+const { DATA_DIR } = require('./store');
+const { isImageFile, ingestUpload } = require('./ingest');
+const { moveFileSync } = require('./images');
+const { actorOf } = require('./audit');
+const { errorMessage } = require('./errors');
+
+const RESUMABLE_DIR = path.join(DATA_DIR, 'resumable');
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const RESUMABLE_MAX_SIZE = Number(process.env.RESUMABLE_MAX_SIZE) || 500 * 1024 * 1024;
+const RESUMABLE_EXPIRATION_MS = Number(process.env.RESUMABLE_EXPIRATION_MS) || 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const datastore = new FileStore({
+  directory: RESUMABLE_DIR,
+  expirationPeriodInMilliseconds: RESUMABLE_EXPIRATION_MS,
+});
+
+function jsonResponse(status, body) {
+  return {
+    status_code: status,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  };
+}
+
+async function onUploadCreate(req, res, upload) {
+  const { filename, filetype } = upload.metadata || {};
+  if (!filename) {
+    throw { status_code: 400, body: 'Upload-Metadata must include a filename\n' };
+  }
+  if (!isImageFile(filename, filetype)) {
+    throw { status_code: 415, body: 'Only image files are allowed\n' };
+  }
+  return res;
+}
+
+async function onUploadFinish(req, res, upload) {
+  const { filename: originalName, filetype, backupKey } = upload.metadata;
+  const filename = `${Date.now()}-${path.basename(originalName)}`;
+  const localPath = path.join(UPLOAD_DIR, filename);
+
+  // The upload is complete, so the tus bookkeeping for it can go
+  moveFileSync(path.join(RESUMABLE_DIR, upload.id), localPath);
+  await datastore.configstore.delete(upload.id);
+
+  try {
+    const { image, job, duplicates } = await ingestUpload({
+      path: localPath,
+      filename,
+      originalName,
+      size: upload.size,
+      mimeType: filetype,
+    }, { ownerId: req.user.id, actor: actorOf(req), backupKey });
+    return {
+      res,
+      ...jsonResponse(200, { message: 'Image queued for upload', data: image, job, duplicates }),
+    };
+  } catch (err) {
+    if (err.duplicates) {
+      throw jsonResponse(409, { error: err.message, duplicates: err.duplicates });
+    }
+    console.error('Resumable upload error:', err);
+    throw jsonResponse(500, { error: 'Failed to upload image', details: errorMessage(err) });
+  }
+}
+
+const server = new Server({
+  path: '/files',
+  datastore,
+  maxSize: RESUMABLE_MAX_SIZE,
+  // Upload URLs go through the frontend's /api proxy, like the other file links
+  generateUrl: (req, { id }) => `/api/files/${id}`,
+  onUploadCreate,
+  onUploadFinish,
+});
+
+function handle(req, res) {
+  return server.handle(req, res);
+}
+
+// Removes unfinished uploads older than RESUMABLE_EXPIRATION_MS, hourly
+function startResumableCleanup() {
+  const cleanUp = () => server.cleanUpExpiredUploads()
+    .then(count => {
+      if (count > 0) console.log(`[RESUMABLE] Removed ${count} expired upload(s).`);
+    })
+    .catch(err => console.error('[RESUMABLE] Cleanup failed:', err));
+  cleanUp();
+  setInterval(cleanUp, CLEANUP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  handle,
+  startResumableCleanup,
+};
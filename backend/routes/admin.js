@@ -0,0 +1,87 @@
+const express = require('express');
+const {
+  checkRole,
+  hasRole,
+  publicUser,
+  findUserById,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+} = require('../users');
+const { listApiKeys, createApiKey, revokeApiKey } = require('../apikeys');
+const { httpError, sendError } = require('../errors');
+
+// Mounted behind requireRole('admin') in index.js
+const router = express.Router();
+
+router.get('/users', (req, res) => {
+  res.json(listUsers());
+});
+
+// body { username, password, role }
+router.post('/users', async (req, res) => {
+  try {
+    const user = await createUser(req.body);
+    res.status(201).json(publicUser(user));
+  } catch (err) {
+    sendError(res, err, 'Error creating user');
+  }
+});
+
+// body { role?, password? }
+router.patch('/users/:id', async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    res.json(publicUser(await updateUser(req.params.id, { role, password })));
+  } catch (err) {
+    sendError(res, err, 'Error updating user');
+  }
+});
+
+// Only for users who own no images; their sessions and API keys go with them
+router.delete('/users/:id', (req, res) => {
+  try {
+    const user = deleteUser(req.params.id, { actingUserId: req.user.id });
+    res.json({ message: `Deleted user ${user.username}` });
+  } catch (err) {
+    sendError(res, err, 'Error deleting user');
+  }
+});
+
+// Every key, newest first, with its user's name
+router.get('/keys', (req, res) => {
+  res.json(listApiKeys().map(key => {
+    const user = findUserById(key.userId);
+    return { ...key, username: user ? user.username : null };
+  }));
+});
+
+// body { name, role, userId? }; userId defaults to the admin making the request.
+// The secret is in the response as `key` and cannot be shown again.
+router.post('/keys', (req, res) => {
+  try {
+    const { name, role, userId = req.user.id } = req.body || {};
+    const user = findUserById(userId);
+    if (!user) {
+      throw httpError(404, 'User not found');
+    }
+    checkRole(role);
+    if (!hasRole(user.role, role)) {
+      throw httpError(400, `${user.username} is ${user.role}; a key cannot have more rights than its user`);
+    }
+    res.status(201).json(createApiKey({ name, role, userId: user.id }));
+  } catch (err) {
+    sendError(res, err, 'Error creating API key');
+  }
+});
+
+router.delete('/keys/:id', (req, res) => {
+  try {
+    res.json({ message: 'API key revoked', data: revokeApiKey(req.params.id) });
+  } catch (err) {
+    sendError(res, err, 'Error revoking API key');
+  }
+});
+
+module.exports = router;
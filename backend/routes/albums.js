@@ -0,0 +1,81 @@
+const express = require('express');
+const {
+  listAlbums,
+  getAlbum,
+  createAlbum,
+  updateAlbum,
+  deleteAlbum,
+  addImagesToAlbum,
+  removeImagesFromAlbum,
+} = require('../albums');
+const { queueLabelSync } = require('../workers/handlers');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(listAlbums(req.user.id));
+});
+
+router.post('/', (req, res) => {
+  try {
+    res.status(201).json(createAlbum(req.body, req.user.id));
+  } catch (err) {
+    sendError(res, err, 'Error creating album');
+  }
+});
+
+router.get('/:id', (req, res) => {
+  try {
+    res.json(getAlbum(req.params.id, req.user.id));
+  } catch (err) {
+    sendError(res, err, 'Error fetching album');
+  }
+});
+
+// Rename / re-describe; a rename re-tags the album's cloud assets
+router.patch('/:id', (req, res) => {
+  try {
+    const { album, affectedImageIds } = updateAlbum(req.params.id, req.body, req.user.id);
+    queueLabelSync(affectedImageIds);
+    res.json(album);
+  } catch (err) {
+    sendError(res, err, 'Error updating album');
+  }
+});
+
+// Deletes the album only; its images stay in the library
+router.delete('/:id', (req, res) => {
+  try {
+    const affectedImageIds = deleteAlbum(req.params.id, req.user.id);
+    queueLabelSync(affectedImageIds);
+    res.json({ message: 'Album deleted', updated: affectedImageIds.length });
+  } catch (err) {
+    sendError(res, err, 'Error deleting album');
+  }
+});
+
+// Bulk add / remove: body { imageIds: [...] }
+router.post('/:id/images', (req, res) => {
+  try {
+    const { imageIds } = req.body || {};
+    const updated = addImagesToAlbum(req.params.id, imageIds, req.user.id);
+    queueLabelSync(updated);
+    res.json({ message: 'Images added to album', updated: updated.length });
+  } catch (err) {
+    sendError(res, err, 'Error adding images to album');
+  }
+});
+
+router.delete('/:id/images', (req, res) => {
+  try {
+    const { imageIds } = req.body || {};
+    const updated = removeImagesFromAlbum(req.params.id, imageIds, req.user.id);
+    queueLabelSync(updated);
+    res.json({ message: 'Images removed from album', updated: updated.length });
+  } catch (err) {
+    sendError(res, err, 'Error removing images from album');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const { AUDIT_ACTIONS, listAudit } = require('../audit');
+const { hasRole } = require('../users');
+const { paginate, parseList } = require('../listing');
+const { httpError, sendError } = require('../errors');
+
+const router = express.Router();
+
+const AUDIT_SORT_KEYS = {
+  date: entry => entry.at,
+};
+
+// ISO timestamp for a ?since= / ?until= value; 400 if it is not a date
+function parseDate(value, name) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be a date`);
+  }
+  return date.toISOString();
+}
+
+// Audit entries, newest first, paged like the other lists. Users see the
+// entries for their own images; admins see everyone's, or one user's with
+// ?ownerId=. Filters: ?imageId=, ?actorId=, ?action=upload,trash, ?result=,
+// ?since=, ?until=
+router.get('/', (req, res) => {
+  try {
+    const actions = parseList(req.query.action);
+    const unknown = actions.filter(action => !AUDIT_ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      throw httpError(400, `Unknown action(s): ${unknown.join(', ')}`);
+    }
+    if (req.query.result && !['ok', 'failed'].includes(req.query.result)) {
+      throw httpError(400, 'result must be ok or failed');
+    }
+    const entries = listAudit({
+      ownerId: hasRole(req.role, 'admin') ? req.query.ownerId : req.user.id,
+      imageId: req.query.imageId,
+      actorId: req.query.actorId,
+      actions,
+      result: req.query.result,
+      since: parseDate(req.query.since, 'since'),
+      until: parseDate(req.query.until, 'until'),
+    });
+    res.json({ ...paginate(entries, req.query, { sortKeys: AUDIT_SORT_KEYS, defaultSort: 'date' }), actions: AUDIT_ACTIONS });
+  } catch (err) {
+    sendError(res, err, 'Error reading audit log');
+  }
+});
+
+module.exports = router;
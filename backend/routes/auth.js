@@ -0,0 +1,56 @@
+const express = require('express');
+const {
+  publicUser,
+  signupOpen,
+  registerUser,
+  authenticate,
+  createSession,
+  deleteSession,
+  pruneSessions,
+} = require('../users');
+const { sessionToken, setSessionCookie, clearSessionCookie, loadUser } = require('../auth');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+// Logs the user in by setting the session cookie
+function startSession(res, user) {
+  pruneSessions();
+  const { token, expiresAt } = createSession(user.id);
+  setSessionCookie(res, token);
+  return { user: publicUser(user), expiresAt };
+}
+
+// Who is logged in (user is null when nobody is) and whether new accounts can be created
+router.get('/session', loadUser, (req, res) => {
+  res.json({ user: req.user ? publicUser(req.user) : null, signupOpen: signupOpen() });
+});
+
+// Creates an account and logs it in: body { username, password }
+router.post('/register', async (req, res) => {
+  try {
+    const user = await registerUser(req.body);
+    res.status(201).json(startSession(res, user));
+  } catch (err) {
+    sendError(res, err, 'Error creating account');
+  }
+});
+
+// body { username, password }
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user = await authenticate(username, password);
+    res.json(startSession(res, user));
+  } catch (err) {
+    sendError(res, err, 'Login error');
+  }
+});
+
+router.post('/logout', (req, res) => {
+  deleteSession(sessionToken(req));
+  clearSessionCookie(res);
+  res.json({ message: 'Logged out' });
+});
+
+module.exports = router;
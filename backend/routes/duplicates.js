@@ -0,0 +1,26 @@
+const express = require('express');
+const { duplicateGroups, mergeDuplicates } = require('../duplicates');
+const { queueLabelSync } = require('../workers/handlers');
+const { actorOf } = require('../audit');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+// Groups of exact and near-identical images
+router.get('/', (req, res) => {
+  res.json(duplicateGroups(req.user.id));
+});
+
+// Keep one image of a group and delete the rest: body { keepId, mergeIds: [...] }
+router.post('/merge', (req, res) => {
+  try {
+    const { keepId, mergeIds } = req.body || {};
+    const result = mergeDuplicates(keepId, mergeIds, req.user.id, actorOf(req));
+    queueLabelSync([result.kept.id]);
+    res.json({ message: `Merged ${result.removed.length} image(s)`, ...result });
+  } catch (err) {
+    sendError(res, err, 'Error merging duplicates');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const { subscribe } = require('../events');
+
+const router = express.Router();
+
+// Comment line sent when nothing else is, so proxies keep the connection open
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// How long browsers wait before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// Server-Sent Events stream of the user's image and job events (see events.js)
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const unsubscribe = subscribe(event => {
+    if (event.ownerId !== req.user.id) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
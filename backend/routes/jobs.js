@@ -0,0 +1,37 @@
+const express = require('express');
+const { listJobs, getJob, retryJob } = require('../workers/queue');
+
+const router = express.Router();
+
+// 404 for unknown jobs and for other users' jobs
+function requireOwnJob(req, res, next, id) {
+  const job = getJob(id);
+  if (!job || job.ownerId !== req.user.id) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  next();
+}
+
+router.param('id', requireOwnJob);
+
+// List jobs, newest first; filter with ?status=, ?type=, ?imageId=, ?limit=
+router.get('/', (req, res) => {
+  const { status, type, imageId } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, 500);
+  res.json(listJobs({ ownerId: req.user.id, status, type, imageId, limit }));
+});
+
+router.get('/:id', (req, res) => {
+  res.json(getJob(req.params.id));
+});
+
+// Re-queue a failed job
+router.post('/:id/retry', (req, res) => {
+  try {
+    res.json({ message: 'Job re-queued', data: retryJob(req.params.id) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
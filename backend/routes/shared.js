@@ -0,0 +1,88 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { resolveShare, sharedContent, sharedImage, recordDownload } = require('../shares');
+const { openOriginal } = require('../images');
+const { getDerivative } = require('../thumbnails');
+const { sendError } = require('../errors');
+
+// Public: mounted before requireUser in index.js, so the token is the only check
+const router = express.Router();
+
+// What a visitor may see of an image: no paths, owner or cloud URLs
+function sharedImageInfo(img) {
+  return {
+    id: img.id,
+    originalName: img.originalName,
+    size: img.size,
+    uploadedAt: img.uploadedAt,
+    width: img.metadata?.width ?? null,
+    height: img.metadata?.height ?? null,
+    hasThumbnail: Boolean(img.localPath && fs.existsSync(img.localPath)),
+  };
+}
+
+// What the share page shows: the image or album, and what is left of the link
+router.get('/:token', (req, res) => {
+  try {
+    const share = resolveShare(req.params.token);
+    const { album, images } = sharedContent(share);
+    res.json({
+      type: share.type,
+      name: album ? album.name : images[0].originalName,
+      description: album?.description || '',
+      expiresAt: share.expiresAt,
+      downloadsLeft: share.maxDownloads === null ? null : share.maxDownloads - share.downloads,
+      images: images.map(sharedImageInfo),
+    });
+  } catch (err) {
+    sendError(res, err, 'Error opening share link');
+  }
+});
+
+// Thumbnail of a shared image, like GET /images/:id/thumb; not counted as a download
+router.get('/:token/images/:imageId/thumb', async (req, res) => {
+  try {
+    const img = sharedImage(resolveShare(req.params.token), req.params.imageId);
+    if (!img.localPath || !fs.existsSync(img.localPath)) {
+      return res.status(404).json({ error: 'Local image not found' });
+    }
+    const format = req.accepts(['image/webp', 'image/jpeg']) === 'image/webp' ? 'webp' : 'jpeg';
+    const derivative = await getDerivative(img, req.query.w, format);
+    res.vary('Accept');
+    res.type(format);
+    // The link can be revoked at any time, so shared caches must not keep it
+    res.set('Cache-Control', 'private, max-age=300');
+    res.sendFile(derivative);
+  } catch (err) {
+    sendError(res, err, 'Thumbnail error');
+  }
+});
+
+// The original (local file, else backup, else cloud asset); each request is one download
+router.get('/:token/images/:imageId', async (req, res) => {
+  try {
+    const share = resolveShare(req.params.token);
+    const img = sharedImage(share, req.params.imageId);
+    const source = await openOriginal(img);
+    try {
+      recordDownload(share);
+    } catch (err) {
+      source.destroy();
+      throw err;
+    }
+    const name = path.basename(img.originalName || img.filename);
+    res.type(path.extname(name) || img.backupMimeType || 'application/octet-stream');
+    res.attachment(name);
+    res.set('Cache-Control', 'no-store');
+    source.on('error', err => {
+      console.error('Error streaming shared image:', err.message);
+      res.destroy(err);
+    });
+    source.pipe(res);
+  } catch (err) {
+    sendError(res, err, 'Error downloading shared image');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const { createShare, listShares, revokeShare } = require('../shares');
+const { parseBoolean } = require('../listing');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+// The user's active share links, newest first; ?all=true includes revoked,
+// expired and used-up ones, ?type= and ?targetId= narrow to one image or album
+router.get('/', (req, res) => {
+  const { type, targetId } = req.query;
+  res.json(listShares(req.user.id, { all: parseBoolean(req.query.all) === true, type, targetId }));
+});
+
+// body { type: 'image' | 'album', targetId, expiresInHours, maxDownloads }
+router.post('/', (req, res) => {
+  try {
+    res.status(201).json(createShare(req.body, req.user.id));
+  } catch (err) {
+    sendError(res, err, 'Error creating share link');
+  }
+});
+
+// Revokes a link; it answers 404 from then on
+router.delete('/:shareId', (req, res) => {
+  try {
+    res.json(revokeShare(req.params.shareId, req.user.id));
+  } catch (err) {
+    sendError(res, err, 'Error revoking share link');
+  }
+});
+
+module.exports = router;
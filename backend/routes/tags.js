@@ -0,0 +1,55 @@
+const express = require('express');
+const { listTags, createTag, renameTag, deleteTag, assignTags } = require('../tags');
+const { queueLabelSync } = require('../workers/handlers');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(listTags(req.user.id));
+});
+
+router.post('/', (req, res) => {
+  try {
+    const { name } = req.body || {};
+    res.status(201).json(createTag(name, req.user.id));
+  } catch (err) {
+    sendError(res, err, 'Error creating tag');
+  }
+});
+
+// Bulk assignment: body { imageIds: [...], add: [names], remove: [names] }
+router.post('/assign', (req, res) => {
+  try {
+    const { imageIds, add, remove } = req.body || {};
+    const updated = assignTags(imageIds, { add, remove }, req.user.id);
+    queueLabelSync(updated);
+    res.json({ message: 'Tags updated', updated: updated.length });
+  } catch (err) {
+    sendError(res, err, 'Error assigning tags');
+  }
+});
+
+// Rename a tag on every one of the user's images that carries it
+router.patch('/:id', (req, res) => {
+  try {
+    const { name } = req.body || {};
+    const { tag, affectedImageIds } = renameTag(req.params.id, name, req.user.id);
+    queueLabelSync(affectedImageIds);
+    res.json(tag);
+  } catch (err) {
+    sendError(res, err, 'Error renaming tag');
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  try {
+    const affectedImageIds = deleteTag(req.params.id, req.user.id);
+    queueLabelSync(affectedImageIds);
+    res.json({ message: 'Tag deleted', updated: affectedImageIds.length });
+  } catch (err) {
+    sendError(res, err, 'Error deleting tag');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const fs = require('fs');
+const {
+  TRASH_RETENTION_DAYS,
+  listTrash,
+  getTrashItem,
+  restoreFromTrash,
+  purgeTrashItem,
+  emptyTrash,
+} = require('../trash');
+const { getDerivative } = require('../thumbnails');
+const { queueLabelSync } = require('../workers/handlers');
+const { requireRole } = require('../auth');
+const { actorOf } = require('../audit');
+const { sendError } = require('../errors');
+
+const router = express.Router();
+
+// Trashed images, newest first
+router.get('/', (req, res) => {
+  res.json({ retentionDays: TRASH_RETENTION_DAYS, items: listTrash(req.user.id) });
+});
+
+// Empties the trash (admins only); the cloud assets are removed by background jobs
+router.delete('/', requireRole('admin'), (req, res) => {
+  try {
+    const purged = emptyTrash(req.user.id, { actor: actorOf(req) });
+    res.json({ message: `Permanently deleted ${purged} image(s)`, purged });
+  } catch (err) {
+    sendError(res, err, 'Error emptying trash');
+  }
+});
+
+// Thumbnail of a trashed image, like GET /images/:id/thumb
+router.get('/:id/thumb', async (req, res) => {
+  try {
+    const item = getTrashItem(req.params.id, req.user.id);
+    if (!item.localPath || !fs.existsSync(item.localPath)) {
+      return res.status(404).json({ error: 'Local image not found' });
+    }
+    const format = req.accepts(['image/webp', 'image/jpeg']) === 'image/webp' ? 'webp' : 'jpeg';
+    const derivative = await getDerivative(item, req.query.w, format);
+    res.vary('Accept');
+    res.type(format);
+    res.sendFile(derivative);
+  } catch (err) {
+    sendError(res, err, 'Trash thumbnail error');
+  }
+});
+
+// Puts the image back in the library
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const image = await restoreFromTrash(req.params.id, req.user.id, { actor: actorOf(req) });
+    // Albums may have been renamed or deleted while it was in the trash
+    queueLabelSync([image.id]);
+    res.json({ message: 'Image restored from trash', data: image });
+  } catch (err) {
+    sendError(res, err, 'Error restoring from trash');
+  }
+});
+
+// Deletes one trashed image for good (admins only)
+router.delete('/:id', requireRole('admin'), (req, res) => {
+  try {
+    const job = purgeTrashItem(req.params.id, req.user.id, { actor: actorOf(req) });
+    res.json({ message: 'Image permanently deleted', job });
+  } catch (err) {
+    sendError(res, err, 'Error purging image');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+/**
+ * search.js
+ * Full-text search over image records.
+ *
+ * An inverted index (token -> image id -> weight) is built from each image's
+ * originalName, tags, notes and extracted metadata the first time a search
+ * runs, and is kept current from the store's change notifications.
+ *
+ * Every query term has to match at least one token of an image, either
+ * exactly, as a prefix, or within a small edit distance (fuzzy). Exact
+ * matches score highest and name/tag matches outweigh notes and metadata.
+ */
+const { getDB, findImageById, onImageChange } = require('./database');
+
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 3,
+  notes: 1,
+  metadata: 1,
+};
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.6,
+  fuzzy: 0.4,
+};
+const MIN_FUZZY_LENGTH = 4;
+
+// token -> Map(imageId -> weight)
+const postings = new Map();
+// imageId -> Set(token), so an image's entries can be dropped when it changes
+const imageTokens = new Map();
+let built = false;
+
+function tokenize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Strings and numbers found anywhere inside a metadata value
+function flattenValues(value, out = []) {
+  if (value === null || value === undefined) return out;
+  if (Array.isArray(value)) {
+    value.forEach(v => flattenValues(v, out));
+  } else if (typeof value === 'object') {
+    Object.values(value).forEach(v => flattenValues(v, out));
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    out.push(value);
+  }
+  return out;
+}
+
+function fieldsOf(img) {
+  // When the metadata was read says nothing about the image itself
+  const { extractedAt, ...metadata } = img.metadata || {};
+  return {
+    name: [img.originalName || img.filename || ''],
+    tags: Array.isArray(img.tags) ? img.tags : [],
+    notes: img.notes ? [img.notes] : [],
+    metadata: flattenValues(metadata),
+  };
+}
+
+function removeFromIndex(id) {
+  const tokens = imageTokens.get(id);
+  if (!tokens) return;
+  tokens.forEach(token => {
+    const ids = postings.get(token);
+    if (!ids) return;
+    ids.delete(id);
+    if (ids.size === 0) postings.delete(token);
+  });
+  imageTokens.delete(id);
+}
+
+function addToIndex(img) {
+  const id = String(img.id);
+  const tokens = new Set();
+  Object.entries(fieldsOf(img)).forEach(([field, values]) => {
+    values.forEach(value => {
+      tokenize(value).forEach(token => {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const ids = postings.get(token);
+        ids.set(id, Math.max(ids.get(id) || 0, FIELD_WEIGHTS[field]));
+        tokens.add(token);
+      });
+    });
+  });
+  imageTokens.set(id, tokens);
+}
+
+function ensureIndex() {
+  if (built) return;
+  getDB().forEach(addToIndex);
+  built = true;
+}
+
+onImageChange((id, record) => {
+  if (!built) return;
+  removeFromIndex(id);
+  if (record) addToIndex(record);
+});
+
+// Levenshtein distance, giving up once it is known to exceed `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Scores per image id for one query term
+function matchTerm(term) {
+  const maxDistance = term.length < MIN_FUZZY_LENGTH ? 0 : term.length < 8 ? 1 : 2;
+  const scores = new Map();
+  for (const [token, ids] of postings) {
+    let match = 0;
+    if (token === term) match = MATCH_SCORES.exact;
+    else if (token.startsWith(term)) match = MATCH_SCORES.prefix;
+    else if (maxDistance > 0 && editDistance(term, token, maxDistance) <= maxDistance) match = MATCH_SCORES.fuzzy;
+    if (!match) continue;
+    ids.forEach((weight, id) => {
+      scores.set(id, Math.max(scores.get(id) || 0, match * weight));
+    });
+  }
+  return scores;
+}
+
+/**
+ * Returns the images of `ownerId` matching every term of `query`, best first,
+ * as { items: [{ ...image, score }], total }.
+ */
+function searchImages(query, { ownerId, limit = 20 } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return { items: [], total: 0 };
+  ensureIndex();
+
+  let totals = null;
+  for (const term of terms) {
+    const scores = matchTerm(term);
+    if (totals === null) {
+      totals = scores;
+    } else {
+      for (const id of totals.keys()) {
+        if (scores.has(id)) totals.set(id, totals.get(id) + scores.get(id));
+        else totals.delete(id);
+      }
+    }
+    if (totals.size === 0) break;
+  }
+
+  const ranked = [...totals]
+    .map(([id, score]) => [findImageById(id), score])
+    .filter(([img]) => img && img.ownerId === ownerId)
+    .sort((a, b) => b[1] - a[1]);
+  const items = ranked.slice(0, limit)
+    .map(([img, score]) => ({ ...img, score: Number(score.toFixed(3)) }));
+
+  return { items, total: ranked.length };
+}
+
+module.exports = {
+  searchImages,
+};
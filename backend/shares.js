@@ -0,0 +1,237 @@
+/**
+ * shares.js
+ * Share links that let people without an account see one image or album.
+ *
+ * A link carries a token "<share id>.<expiry>.<signature>", where the
+ * signature is an HMAC-SHA256 of the id and expiry under SHARE_SECRET. A
+ * forged or altered token is rejected before the store is consulted; the
+ * `shares` record then adds what a token cannot express: revocation and the
+ * optional download limit. Without SHARE_SECRET a random secret is generated
+ * once and kept in the data directory, so links survive restarts.
+ *
+ * A shared album shows the images that are in it when the link is opened,
+ * not when it was created. Thumbnails are free; every original served counts
+ * as one download.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const { findImageById, findImagesByOwner } = require('./database');
+const { getAlbum } = require('./albums');
+const { httpError } = require('./errors');
+
+const SHARE_TYPES = ['image', 'album'];
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_EXPIRY_HOURS = 7 * 24;
+const MAX_EXPIRY_HOURS = 365 * 24;
+const SECRET_PATH = path.join(store.DATA_DIR, 'share-secret');
+
+const shares = store.collection('shares', { indexes: ['ownerId'] });
+
+function loadSecret() {
+  if (process.env.SHARE_SECRET) return process.env.SHARE_SECRET;
+  if (!fs.existsSync(SECRET_PATH)) {
+    fs.mkdirSync(store.DATA_DIR, { recursive: true });
+    fs.writeFileSync(SECRET_PATH, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  }
+  return fs.readFileSync(SECRET_PATH, 'utf8').trim();
+}
+
+const SECRET = loadSecret();
+
+function sign(id, expires) {
+  return crypto.createHmac('sha256', SECRET).update(`${id}.${expires}`).digest('base64url');
+}
+
+function tokenFor(share) {
+  const expires = new Date(share.expiresAt).getTime();
+  return `${share.id}.${expires}.${sign(share.id, expires)}`;
+}
+
+// The share id of a correctly signed token, or null
+function verifyToken(token) {
+  const [id, expires, signature, ...rest] = String(token || '').split('.');
+  if (!id || !expires || !signature || rest.length > 0) return null;
+  const expected = Buffer.from(sign(id, expires));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? id : null;
+}
+
+// 'active', 'revoked', 'expired' or 'used-up'
+function shareStatus(share, now = Date.now()) {
+  if (share.revokedAt) return 'revoked';
+  if (new Date(share.expiresAt).getTime() <= now) return 'expired';
+  if (share.maxDownloads !== null && share.downloads >= share.maxDownloads) return 'used-up';
+  return 'active';
+}
+
+// What the owner sees of a share, with its token so the link can be copied again
+function describeShare(share) {
+  return { ...share, token: tokenFor(share), status: shareStatus(share) };
+}
+
+function checkExpiry(expiresInHours) {
+  if (expiresInHours === undefined || expiresInHours === null || expiresInHours === '') {
+    return DEFAULT_EXPIRY_HOURS;
+  }
+  const hours = Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_EXPIRY_HOURS) {
+    throw httpError(400, `expiresInHours must be between 0 and ${MAX_EXPIRY_HOURS}`);
+  }
+  return hours;
+}
+
+function checkMaxDownloads(maxDownloads) {
+  if (maxDownloads === undefined || maxDownloads === null || maxDownloads === '') return null;
+  const limit = Number(maxDownloads);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw httpError(400, 'maxDownloads must be a positive whole number');
+  }
+  return limit;
+}
+
+// Name shown for the shared image or album; throws 404 if it is not the owner's
+function targetName(type, targetId, ownerId) {
+  if (type === 'album') {
+    return getAlbum(targetId, ownerId).name;
+  }
+  const img = findImageById(targetId);
+  if (!img || img.ownerId !== ownerId) {
+    throw httpError(404, 'Image not found');
+  }
+  return img.originalName;
+}
+
+/**
+ * Creates a link to image or album `targetId` of `ownerId`. `expiresInHours`
+ * defaults to a week; `maxDownloads` (optional) limits how many originals
+ * can be fetched through it.
+ */
+function createShare({ type, targetId, expiresInHours, maxDownloads } = {}, ownerId) {
+  if (!SHARE_TYPES.includes(type)) {
+    throw httpError(400, `type must be one of: ${SHARE_TYPES.join(', ')}`);
+  }
+  const hours = checkExpiry(expiresInHours);
+  const limit = checkMaxDownloads(maxDownloads);
+  const now = Date.now();
+  const share = {
+    id: crypto.randomUUID(),
+    ownerId,
+    type,
+    targetId: String(targetId),
+    targetName: targetName(type, String(targetId), ownerId),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + hours * HOUR_MS).toISOString(),
+    maxDownloads: limit,
+    downloads: 0,
+    revokedAt: null,
+  };
+  shares.put(share);
+  return describeShare(share);
+}
+
+/**
+ * Shares of `ownerId`, newest first. Only active ones unless `all` is set;
+ * `type` and `targetId` narrow the list to one image or album.
+ */
+function listShares(ownerId, { all = false, type, targetId } = {}) {
+  return shares.findBy('ownerId', ownerId)
+    .filter(share => !type || share.type === type)
+    .filter(share => !targetId || share.targetId === String(targetId))
+    .map(describeShare)
+    .filter(share => all || share.status === 'active')
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function revokeShare(id, ownerId) {
+  const share = shares.get(id);
+  if (!share || share.ownerId !== ownerId) {
+    throw httpError(404, 'Share link not found');
+  }
+  const revoked = { ...share, revokedAt: share.revokedAt || new Date().toISOString() };
+  shares.put(revoked);
+  return describeShare(revoked);
+}
+
+// Removes every share of a deleted user
+function deleteSharesOf(ownerId) {
+  shares.findBy('ownerId', ownerId).forEach(share => shares.remove(share.id));
+}
+
+/**
+ * The active share behind `token`. Bad signatures and revoked links answer
+ * 404; expired and used-up links 410.
+ */
+function resolveShare(token) {
+  const id = verifyToken(token);
+  const share = id && shares.get(id);
+  if (!share || share.revokedAt) {
+    throw httpError(404, 'Share link not found');
+  }
+  const status = shareStatus(share);
+  if (status === 'expired') {
+    throw httpError(410, 'This share link has expired');
+  }
+  if (status === 'used-up') {
+    throw httpError(410, 'This share link has reached its download limit');
+  }
+  return share;
+}
+
+/**
+ * The images a share currently gives access to, plus the album for album
+ * shares. Throws 404 once the image or album is gone.
+ */
+function sharedContent(share) {
+  if (share.type === 'album') {
+    let album;
+    try {
+      album = getAlbum(share.targetId, share.ownerId);
+    } catch (err) {
+      throw httpError(404, 'The shared album no longer exists');
+    }
+    const images = findImagesByOwner(share.ownerId)
+      .filter(img => (img.albumIds || []).includes(album.id))
+      .sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+    return { album, images };
+  }
+  const img = findImageById(share.targetId);
+  if (!img || img.ownerId !== share.ownerId) {
+    throw httpError(404, 'The shared image no longer exists');
+  }
+  return { album: null, images: [img] };
+}
+
+// One image of the share; 404 for anything the share does not cover
+function sharedImage(share, imageId) {
+  const img = sharedContent(share).images.find(image => image.id === String(imageId));
+  if (!img) {
+    throw httpError(404, 'Image not found');
+  }
+  return img;
+}
+
+// Counts one download; 410 if the limit was reached in the meantime. Store
+// writes are synchronous, so two requests cannot both take the last one.
+function recordDownload(share) {
+  const current = shares.get(share.id);
+  if (!current || shareStatus(current) !== 'active') {
+    throw httpError(410, 'This share link is no longer active');
+  }
+  const updated = { ...current, downloads: current.downloads + 1 };
+  shares.put(updated);
+  return updated;
+}
+
+module.exports = {
+  SHARE_TYPES,
+  createShare,
+  listShares,
+  revokeShare,
+  deleteSharesOf,
+  resolveShare,
+  sharedContent,
+  sharedImage,
+  recordDownload,
+};
@@ -0,0 +1,79 @@
+/**
+ * shares.test.js
+ * Tests for share link tokens: signatures, expiry, download limits and
+ * revocation.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./testing');
+
+useTempDataDir();
+
+const { insertImage } = require('./database');
+const { createShare, revokeShare, resolveShare, recordDownload } = require('./shares');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+insertImage({ id: 'shared', ownerId: 'u1', originalName: 'beach.jpg' });
+
+function shareImage(options = {}) {
+  return createShare({ type: 'image', targetId: 'shared', ...options }, 'u1');
+}
+
+function assertRefused(token, status) {
+  assert.throws(() => resolveShare(token), err => err.status === status, token);
+}
+
+test('resolves a valid token', () => {
+  const { id, token } = shareImage();
+  assert.strictEqual(resolveShare(token).id, id);
+});
+
+test('rejects tokens that were tampered with', () => {
+  const { token } = shareImage();
+  const [id, expires, signature] = token.split('.');
+  const flip = value => (value.endsWith('A') ? `${value.slice(0, -1)}B` : `${value.slice(0, -1)}A`);
+
+  [
+    `${flip(id)}.${expires}.${signature}`,
+    `${id}.${Number(expires) + HOUR_MS}.${signature}`,
+    `${id}.${expires}.${flip(signature)}`,
+    `${id}.${expires}.${signature.slice(0, -1)}`,
+    `${id}.${expires}.${signature}.extra`,
+    `${id}.${expires}`,
+    '',
+  ].forEach(forged => assertRefused(forged, 404));
+  assertRefused(undefined, 404);
+});
+
+test('refuses a link once it has expired', (t) => {
+  const { token, expiresAt } = shareImage({ expiresInHours: 1 });
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse(expiresAt) - 1000 });
+  assert.ok(resolveShare(token));
+
+  t.mock.timers.tick(1000);
+  assertRefused(token, 410);
+});
+
+test('counts downloads up to maxDownloads', () => {
+  const { token } = shareImage({ maxDownloads: 2 });
+  const share = resolveShare(token);
+
+  assert.strictEqual(recordDownload(share).downloads, 1);
+  assert.strictEqual(recordDownload(resolveShare(token)).downloads, 2);
+  // A request that resolved the link before the last download was taken
+  assert.throws(() => recordDownload(share), err => err.status === 410);
+  assertRefused(token, 410);
+});
+
+test('refuses a revoked link', () => {
+  const { id, token } = shareImage();
+  revokeShare(id, 'u1');
+  assertRefused(token, 404);
+});
+
+test('validates the requested expiry and limit', () => {
+  assert.throws(() => shareImage({ maxDownloads: 0 }), err => err.status === 400);
+  assert.throws(() => shareImage({ expiresInHours: -1 }), err => err.status === 400);
+  assert.throws(() => createShare({ type: 'image', targetId: 'shared' }, 'u2'), err => err.status === 404);
+});
@@ -0,0 +1,289 @@
+/**
+ * store.js
+ * Small embedded store for the backend's metadata.
+ *
+ * Each collection lives in the data directory as a snapshot file
+ * (<name>.json) plus an append-only journal (<name>.journal). Every write is
+ * one JSON line appended and fsync'd before it is applied in memory, so a crash
+ * can at worst lose a half-written trailing line, which is dropped on the next
+ * start. When the journal grows past COMPACT_AFTER entries it is folded into a
+ * new snapshot written to a temp file and atomically renamed into place.
+ *
+ * Subscribers registered with `subscribe` hear about every committed change,
+ * which lets derived in-memory structures (like the search index) stay current.
+ *
+ * Writes are synchronous, so requests served by the same process can never
+ * interleave inside a write. A LOCK file keeps a second process (e.g. one of
+ * the cleanup scripts) from writing to the same data directory at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const LOCK_PATH = path.join(DATA_DIR, 'LOCK');
+const COMPACT_AFTER = 500;
+
+const collections = new Map();
+let lockFd = null;
+
+function ensureDataDir() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function releaseLock() {
+  if (lockFd === null) return;
+  try {
+    fs.closeSync(lockFd);
+    fs.unlinkSync(LOCK_PATH);
+  } catch (err) {
+    // Nothing useful to do while the process is exiting
+  }
+  lockFd = null;
+}
+
+function acquireLock() {
+  if (lockFd !== null) return;
+  ensureDataDir();
+  try {
+    lockFd = fs.openSync(LOCK_PATH, 'wx');
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    const pid = Number(fs.readFileSync(LOCK_PATH, 'utf8'));
+    if (pid && pid !== process.pid && isProcessAlive(pid)) {
+      throw new Error(
+        `Data directory ${DATA_DIR} is in use by process ${pid}. Stop the server before running this command.`
+      );
+    }
+    // Stale lock left behind by a process that did not exit cleanly
+    fs.unlinkSync(LOCK_PATH);
+    lockFd = fs.openSync(LOCK_PATH, 'wx');
+  }
+  fs.writeSync(lockFd, String(process.pid));
+  process.on('exit', releaseLock);
+}
+
+function clone(record) {
+  return record === undefined ? undefined : structuredClone(record);
+}
+
+function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+function createCollection(name, { indexes = [] } = {}) {
+  const snapshotPath = path.join(DATA_DIR, `${name}.json`);
+  const journalPath = path.join(DATA_DIR, `${name}.journal`);
+  const records = new Map();
+  const indexMaps = new Map(indexes.map(field => [field, new Map()]));
+  const isNew = !fs.existsSync(snapshotPath) && !fs.existsSync(journalPath);
+  const listeners = new Set();
+  let journalEntries = 0;
+
+  function indexAdd(record) {
+    for (const [field, map] of indexMaps) {
+      const value = record[field];
+      if (value === undefined || value === null) continue;
+      if (!map.has(value)) map.set(value, new Set());
+      map.get(value).add(String(record.id));
+    }
+  }
+
+  function indexRemove(record) {
+    for (const [field, map] of indexMaps) {
+      const ids = map.get(record[field]);
+      if (!ids) continue;
+      ids.delete(String(record.id));
+      if (ids.size === 0) map.delete(record[field]);
+    }
+  }
+
+  function applyOp(op) {
+    if (op.op === 'put') {
+      const id = String(op.record.id);
+      const existing = records.get(id);
+      if (existing) indexRemove(existing);
+      records.set(id, op.record);
+      indexAdd(op.record);
+    } else if (op.op === 'del') {
+      const id = String(op.id);
+      const existing = records.get(id);
+      if (existing) {
+        indexRemove(existing);
+        records.delete(id);
+      }
+    } else if (op.op === 'tx') {
+      op.ops.forEach(applyOp);
+    }
+  }
+
+  function load() {
+    if (fs.existsSync(snapshotPath)) {
+      JSON.parse(fs.readFileSync(snapshotPath, 'utf8')).forEach(record => {
+        applyOp({ op: 'put', record });
+      });
+    }
+    if (!fs.existsSync(journalPath)) return;
+
+    const contents = fs.readFileSync(journalPath);
+    let offset = 0;
+    while (offset < contents.length) {
+      const end = contents.indexOf(0x0a, offset);
+      if (end === -1) break; // Trailing line without newline was never committed
+      let op;
+      try {
+        op = JSON.parse(contents.toString('utf8', offset, end));
+      } catch (err) {
+        break;
+      }
+      applyOp(op);
+      journalEntries++;
+      offset = end + 1;
+    }
+    if (offset < contents.length) {
+      console.warn(`[STORE] Dropping incomplete journal tail for "${name}".`);
+      fs.truncateSync(journalPath, offset);
+    }
+  }
+
+  function compact() {
+    writeFileAtomic(snapshotPath, JSON.stringify([...records.values()], null, 2));
+    fs.truncateSync(journalPath, 0);
+    journalEntries = 0;
+  }
+
+  function commit(op) {
+    const fd = fs.openSync(journalPath, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(op) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    applyOp(op);
+    journalEntries++;
+    if (journalEntries >= COMPACT_AFTER) compact();
+    notify(op);
+  }
+
+  // Tells subscribers about each committed change as (id, record), record being null on delete
+  function notify(op) {
+    if (listeners.size === 0) return;
+    const changes = op.op === 'tx' ? op.ops : [op];
+    changes.forEach(change => {
+      const id = String(change.op === 'put' ? change.record.id : change.id);
+      listeners.forEach(listener => {
+        try {
+          listener(id, change.op === 'put' ? clone(change.record) : null);
+        } catch (err) {
+          console.error(`[STORE] Change listener for "${name}" failed:`, err);
+        }
+      });
+    });
+  }
+
+  // Registers fn(id, record) for changes committed from now on; returns an unsubscribe function
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function findBy(field, value) {
+    const map = indexMaps.get(field);
+    if (map) {
+      const ids = map.get(value);
+      return ids ? [...ids].map(id => clone(records.get(id))) : [];
+    }
+    return [...records.values()].filter(r => r[field] === value).map(clone);
+  }
+
+  // Runs fn against a staging view; all of its writes land as one journal entry.
+  function transaction(fn) {
+    const staged = new Map();
+    const ops = [];
+    const tx = {
+      get(id) {
+        const key = String(id);
+        return clone(staged.has(key) ? staged.get(key) : records.get(key));
+      },
+      all() {
+        const merged = new Map(records);
+        for (const [key, record] of staged) {
+          if (record === undefined) merged.delete(key);
+          else merged.set(key, record);
+        }
+        return [...merged.values()].map(clone);
+      },
+      put(record) {
+        const copy = clone(record);
+        staged.set(String(copy.id), copy);
+        ops.push({ op: 'put', record: copy });
+      },
+      remove(id) {
+        const key = String(id);
+        const existed = tx.get(key) !== undefined;
+        staged.set(key, undefined);
+        ops.push({ op: 'del', id: key });
+        return existed;
+      },
+    };
+    const result = fn(tx);
+    if (ops.length > 0) commit({ op: 'tx', ops });
+    return result;
+  }
+
+  load();
+
+  return {
+    name,
+    isNew,
+    all: () => [...records.values()].map(clone),
+    get: id => clone(records.get(String(id))),
+    has: id => records.has(String(id)),
+    count: () => records.size,
+    findBy,
+    put: record => commit({ op: 'put', record: clone(record) }),
+    remove(id) {
+      if (!records.has(String(id))) return false;
+      commit({ op: 'del', id: String(id) });
+      return true;
+    },
+    transaction,
+    compact,
+    subscribe,
+  };
+}
+
+// Returns the named collection, opening (and locking the data dir) on first use.
+function collection(name, options) {
+  if (!collections.has(name)) {
+    acquireLock();
+    collections.set(name, createCollection(name, options));
+  }
+  return collections.get(name);
+}
+
+module.exports = {
+  DATA_DIR,
+  collection,
+  writeFileAtomic,
+};
@@ -0,0 +1,182 @@
+/**
+ * tags.js
+ * Free-form labels for images. Tag names are stored lower-case in the
+ * `tags` collection and copied by name into each image's `tags` array, which
+ * keeps them searchable. Renaming or deleting a tag rewrites every image that
+ * carries it; assigning an unknown tag creates it.
+ *
+ * Tags belong to a user (`ownerId`), like albums: each user has their own
+ * names, and a rename or delete only rewrites that user's images. The
+ * functions below take the id of the user making the request; other users'
+ * tags answer 404.
+ */
+const crypto = require('crypto');
+const store = require('./store');
+const { getDB, findImageById, findImagesByOwner, patchImages } = require('./database');
+const { checkImageIds } = require('./albums');
+const { httpError } = require('./errors');
+
+const MAX_TAG_LENGTH = 50;
+
+const tags = store.collection('tags', { indexes: ['ownerId'] });
+
+function newTag(name, ownerId) {
+  return { id: crypto.randomUUID(), name, ownerId, createdAt: new Date().toISOString() };
+}
+
+// Tags from before they were per user have no owner: every user whose images
+// carry one gets a copy of their own; unused ones wait for claimUnownedTags
+function splitSharedTags() {
+  const shared = tags.all().filter(tag => !tag.ownerId);
+  if (shared.length === 0) return;
+  const owners = new Map();
+  getDB().filter(img => img.ownerId).forEach(img => (img.tags || []).forEach(name => {
+    if (!owners.has(name)) owners.set(name, new Set());
+    owners.get(name).add(img.ownerId);
+  }));
+  tags.transaction(tx => shared.forEach(tag => {
+    if (!owners.has(tag.name)) return;
+    owners.get(tag.name).forEach(ownerId => {
+      if (!findTagByName(tag.name, ownerId)) tx.put({ ...tag, id: crypto.randomUUID(), ownerId });
+    });
+    tx.remove(tag.id);
+  }));
+}
+
+function normalizeName(name) {
+  const normalized = String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  if (!normalized) {
+    throw httpError(400, 'Tag name is required');
+  }
+  if (normalized.length > MAX_TAG_LENGTH) {
+    throw httpError(400, `Tag name must be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  if (normalized.includes(',')) {
+    throw httpError(400, 'Tag names cannot contain commas');
+  }
+  return normalized;
+}
+
+function requireTag(id, ownerId) {
+  const tag = tags.get(id);
+  if (!tag || tag.ownerId !== ownerId) {
+    throw httpError(404, 'Tag not found');
+  }
+  return tag;
+}
+
+function findTagByName(name, ownerId) {
+  return tags.findBy('ownerId', ownerId).find(tag => tag.name === name) || null;
+}
+
+function imageIdsWithTag(name, ownerId) {
+  return findImagesByOwner(ownerId).filter(img => (img.tags || []).includes(name)).map(img => img.id);
+}
+
+// The tags of `ownerId` by name, with the number of their images carrying each
+function listTags(ownerId) {
+  const counts = new Map();
+  findImagesByOwner(ownerId).forEach(img => (img.tags || []).forEach(name => counts.set(name, (counts.get(name) || 0) + 1)));
+  return tags.findBy('ownerId', ownerId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(tag => ({ ...tag, imageCount: counts.get(tag.name) || 0 }));
+}
+
+function createTag(name, ownerId) {
+  const normalized = normalizeName(name);
+  if (findTagByName(normalized, ownerId)) {
+    throw httpError(409, `Tag "${normalized}" already exists`);
+  }
+  const tag = newTag(normalized, ownerId);
+  tags.put(tag);
+  return tag;
+}
+
+// Renames a tag on the owner's images; returns the tag and the ids of the images that changed
+function renameTag(id, name, ownerId) {
+  const current = requireTag(id, ownerId);
+  const normalized = normalizeName(name);
+  if (normalized === current.name) {
+    return { tag: current, affectedImageIds: [] };
+  }
+  if (findTagByName(normalized, ownerId)) {
+    throw httpError(409, `Tag "${normalized}" already exists`);
+  }
+  const affected = patchImages(imageIdsWithTag(current.name, ownerId), img => ({
+    tags: img.tags.map(tag => (tag === current.name ? normalized : tag)),
+  }));
+  const tag = { ...current, name: normalized };
+  tags.put(tag);
+  return { tag, affectedImageIds: affected.map(img => img.id) };
+}
+
+// Deletes a tag and strips it from its images; returns the ids of those images
+function deleteTag(id, ownerId) {
+  const tag = requireTag(id, ownerId);
+  const affected = patchImages(imageIdsWithTag(tag.name, ownerId), img => ({
+    tags: img.tags.filter(name => name !== tag.name),
+  }));
+  tags.remove(id);
+  return affected.map(img => img.id);
+}
+
+// Creates any of the named tags `ownerId` doesn't have yet; returns the normalized names
+function ensureTags(names, ownerId) {
+  const normalized = [...new Set(names.map(normalizeName))];
+  normalized.forEach(name => {
+    if (!findTagByName(name, ownerId)) {
+      tags.put(newTag(name, ownerId));
+    }
+  });
+  return normalized;
+}
+
+// Gives every tag without an owner to `ownerId`; returns the number changed
+function claimUnownedTags(ownerId) {
+  const unowned = tags.all().filter(tag => !tag.ownerId);
+  tags.transaction(tx => unowned.forEach(tag => tx.put({ ...tag, ownerId })));
+  return unowned.length;
+}
+
+// Removes every tag of a user (when the account is deleted)
+function deleteTagsOf(ownerId) {
+  const owned = tags.findBy('ownerId', ownerId);
+  tags.transaction(tx => owned.forEach(tag => tx.remove(tag.id)));
+}
+
+/**
+ * Adds and removes tags on several images of `ownerId` at once; other users'
+ * images are left alone. Returns the ids of the images that actually changed.
+ */
+function assignTags(imageIds, { add = [], remove = [] } = {}, ownerId) {
+  const ids = checkImageIds(imageIds);
+  if (!Array.isArray(add) || !Array.isArray(remove)) {
+    throw httpError(400, 'add and remove must be arrays of tag names');
+  }
+  const toAdd = ensureTags(add, ownerId);
+  const toRemove = new Set(remove.map(normalizeName));
+
+  const changing = ids.filter(id => {
+    const current = findImageById(id);
+    if (!current || current.ownerId !== ownerId) return false;
+    const existing = current.tags || [];
+    return toAdd.some(name => !existing.includes(name)) || existing.some(name => toRemove.has(name));
+  });
+  return patchImages(changing, img => {
+    const kept = (img.tags || []).filter(name => !toRemove.has(name));
+    return { tags: [...new Set([...kept, ...toAdd])] };
+  }).map(img => img.id);
+}
+
+splitSharedTags();
+
+module.exports = {
+  listTags,
+  createTag,
+  renameTag,
+  deleteTag,
+  assignTags,
+  ensureTags,
+  claimUnownedTags,
+  deleteTagsOf,
+};
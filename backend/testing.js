@@ -0,0 +1,33 @@
+/**
+ * testing.js
+ * Shared setup for the `*.test.js` suites run by `npm test`.
+ *
+ * Call `useTempDataDir()` before requiring anything that opens the store: the
+ * suite then works in a throwaway data directory, removed when it exits.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function useTempDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudapp-test-'));
+  // An existing (empty) images collection keeps database.js from migrating
+  // the repository's legacy images.json into the test store
+  fs.writeFileSync(path.join(dir, 'images.json'), '[]');
+  process.env.DATA_DIR = dir;
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Resolves once check() returns a truthy value, polling every few milliseconds
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = { useTempDataDir, waitFor };
@@ -0,0 +1,86 @@
+/**
+ * thumbnails.js
+ * Resized derivatives of local images for the galleries.
+ *
+ * Derivatives are generated on first request and cached under
+ * data/derivatives/<image id>/<width>.<webp|jpeg>. Requested widths are
+ * rounded up to one of DERIVATIVE_WIDTHS so the cache stays small; a cached
+ * file older than its source is regenerated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { DATA_DIR, writeFileAtomic } = require('./store');
+
+const DERIVATIVES_DIR = path.join(DATA_DIR, 'derivatives');
+const DERIVATIVE_WIDTHS = [200, 400, 800, 1200];
+const DEFAULT_WIDTH = 400;
+const FORMATS = {
+  webp: img => img.webp({ quality: 80 }),
+  jpeg: img => img.jpeg({ quality: 80, mozjpeg: true }),
+};
+
+// Derivatives being generated, so concurrent requests for one share the work
+const inFlight = new Map();
+
+// Smallest derivative width that covers `requested`
+function snapWidth(requested) {
+  const width = Number(requested) || DEFAULT_WIDTH;
+  return DERIVATIVE_WIDTHS.find(w => w >= width) || DERIVATIVE_WIDTHS[DERIVATIVE_WIDTHS.length - 1];
+}
+
+function derivativePath(imageId, width, format) {
+  return path.join(DERIVATIVES_DIR, String(imageId).replace(/[^\w-]/g, '_'), `${width}.${format}`);
+}
+
+function isFresh(target, sourcePath) {
+  try {
+    return fs.statSync(target).mtimeMs >= fs.statSync(sourcePath).mtimeMs;
+  } catch (err) {
+    return false;
+  }
+}
+
+async function generate(sourcePath, target, width, format) {
+  const pipeline = sharp(sourcePath)
+    .rotate()
+    .resize({ width, withoutEnlargement: true });
+  const buffer = await FORMATS[format](pipeline).toBuffer();
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  writeFileAtomic(target, buffer);
+}
+
+/**
+ * Path of the derivative of an image's local file at (about) `width` pixels
+ * wide, generating it if needed. `format` is "webp" or "jpeg".
+ */
+async function getDerivative(img, width, format = 'jpeg') {
+  if (!FORMATS[format]) {
+    throw new Error(`Unsupported derivative format: ${format}`);
+  }
+  const snapped = snapWidth(width);
+  const target = derivativePath(img.id, snapped, format);
+  if (isFresh(target, img.localPath)) {
+    return target;
+  }
+
+  if (!inFlight.has(target)) {
+    inFlight.set(target, generate(img.localPath, target, snapped, format)
+      .finally(() => inFlight.delete(target)));
+  }
+  await inFlight.get(target);
+  return target;
+}
+
+// Drops every cached derivative of an image
+function removeDerivatives(imageId) {
+  const dir = path.dirname(derivativePath(imageId, DEFAULT_WIDTH, 'jpeg'));
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = {
+  DERIVATIVE_WIDTHS,
+  getDerivative,
+  removeDerivatives,
+};
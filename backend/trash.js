@@ -0,0 +1,165 @@
+/**
+ * trash.js
+ * Deleted images go to the trash first and can be put back until they are
+ * purged, by hand or after TRASH_RETENTION_DAYS (default 30).
+ *
+ * A trashed image leaves the `images` collection for the `trash` collection,
+ * so the galleries, search and workers stop seeing it. Its local file moves to
+ * data/trash/<image id>/ and its cloud asset, backup blob and thumbnails are
+ * kept until the purge.
+ *
+ * Trashed images keep their `ownerId`; the functions taking an `ownerId` only
+ * see that user's items.
+ */
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+const { findImageById, insertImage, deleteImageById } = require('./database');
+const { destroyImage, moveFileSync } = require('./images');
+const { hasBlob, storeBackupFile } = require('./blobs');
+const { recordAudit, systemActor } = require('./audit');
+const { httpError } = require('./errors');
+
+const TRASH_DIR = path.join(store.DATA_DIR, 'trash');
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const trash = store.collection('trash');
+
+function requireTrashItem(id, ownerId) {
+  const item = trash.get(String(id));
+  if (!item || item.ownerId !== ownerId) {
+    throw httpError(404, 'Image not found in trash');
+  }
+  return item;
+}
+
+// Newest first
+function listTrash(ownerId) {
+  return trash.all().filter(item => item.ownerId === ownerId).sort((a, b) => b.trashedAt.localeCompare(a.trashedAt));
+}
+
+function getTrashItem(id, ownerId) {
+  return requireTrashItem(id, ownerId);
+}
+
+/**
+ * Moves image `id` to the trash. The record keeps all its fields plus
+ * `trashedAt` and `purgeAt`; `localPath` points into the trash directory
+ * (null if the file was already gone). Audited as a `trash` by `actor`, with
+ * `details` (e.g. why) added to the entry.
+ */
+function trashImage(id, { actor, details = null } = {}) {
+  const img = findImageById(id);
+  if (!img) {
+    throw httpError(404, 'Image not found');
+  }
+
+  let localPath = null;
+  if (img.localPath && fs.existsSync(img.localPath)) {
+    localPath = path.join(TRASH_DIR, img.id, path.basename(img.localPath));
+    moveFileSync(img.localPath, localPath);
+  }
+
+  const trashedAt = new Date();
+  const item = {
+    ...img,
+    localPath,
+    hasLocalFile: Boolean(localPath),
+    trashedAt: trashedAt.toISOString(),
+    purgeAt: new Date(trashedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString(),
+  };
+  trash.put(item);
+  deleteImageById(img.id);
+  recordAudit({ actor, action: 'trash', imageId: img.id, ownerId: img.ownerId, before: img, after: item, details });
+  return item;
+}
+
+/**
+ * Puts a trashed image back in the library under its old id. The file
+ * returns to uploads/ (renamed if its name has been taken since), and the
+ * backup blob is rebuilt from it if it was released in the meantime.
+ * Audited as an `untrash` by `actor`, including refusals.
+ */
+async function restoreFromTrash(id, ownerId, { actor } = {}) {
+  const item = requireTrashItem(id, ownerId);
+  const refuse = (status, message) => {
+    const err = httpError(status, message);
+    recordAudit({ actor, action: 'untrash', imageId: item.id, ownerId, before: item, error: err });
+    return err;
+  };
+  if (findImageById(item.id)) {
+    throw refuse(409, 'An image with this id is already in the library');
+  }
+  if (!item.localPath || !fs.existsSync(item.localPath)) {
+    throw refuse(410, 'The trashed file is gone and cannot be restored');
+  }
+
+  const { trashedAt, purgeAt, ...record } = item;
+  const filename = fs.existsSync(path.join(UPLOAD_DIR, record.filename))
+    ? `${Date.now()}-${record.filename}`
+    : record.filename;
+  const localPath = path.join(UPLOAD_DIR, filename);
+  const backup = record.backupHash && !hasBlob(record.backupHash)
+    ? await storeBackupFile(item.localPath, record.backupMimeType)
+    : {};
+
+  moveFileSync(item.localPath, localPath);
+  fs.rmSync(path.dirname(item.localPath), { recursive: true, force: true });
+  trash.remove(item.id);
+  const image = insertImage({ ...record, ...backup, filename, localPath, hasLocalFile: true });
+  recordAudit({ actor, action: 'untrash', imageId: image.id, ownerId, before: item, after: image });
+  return image;
+}
+
+// Deletes a trashed image for good; returns the cloud `delete` job, if any
+function purgeTrashItem(id, ownerId, { actor, details = null } = {}) {
+  const item = requireTrashItem(id, ownerId);
+  trash.remove(item.id);
+  recordAudit({ actor, action: 'purge', imageId: item.id, ownerId, before: item, details });
+  const job = destroyImage(item, { actor });
+  fs.rmSync(path.join(TRASH_DIR, item.id), { recursive: true, force: true });
+  return job;
+}
+
+// Every trashed image, whoever it belongs to
+function listAllTrash() {
+  return trash.all();
+}
+
+// Purges every trashed image of `ownerId`; returns the number purged
+function emptyTrash(ownerId, { actor } = {}) {
+  const items = listTrash(ownerId);
+  items.forEach(item => purgeTrashItem(item.id, ownerId, { actor, details: { reason: 'Trash emptied' } }));
+  return items.length;
+}
+
+// Purges the images whose retention period is over; returns the number purged.
+// Unowned ones wait for the first account, since the cloud delete job needs an owner
+function purgeExpiredTrash(now = new Date()) {
+  const expired = trash.all().filter(item => item.ownerId && new Date(item.purgeAt) <= now);
+  const actor = systemActor('trash-retention');
+  expired.forEach(item => purgeTrashItem(item.id, item.ownerId, { actor, details: { reason: 'Retention period over' } }));
+  return expired.length;
+}
+
+// Gives every trashed image without an owner to `ownerId`; returns the number changed
+function claimUnownedTrash(ownerId) {
+  const unowned = trash.all().filter(item => !item.ownerId);
+  trash.transaction(tx => unowned.forEach(item => tx.put({ ...item, ownerId })));
+  return unowned.length;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  listTrash,
+  listAllTrash,
+  getTrashItem,
+  trashImage,
+  restoreFromTrash,
+  purgeTrashItem,
+  emptyTrash,
+  purgeExpiredTrash,
+  claimUnownedTrash,
+};
@@ -0,0 +1,74 @@
+/**
+ * trash.test.js
+ * Tests for moving images to the trash and purging them.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./testing');
+
+const dataDir = useTempDataDir();
+
+const { insertImage, findImageById } = require('./database');
+const { TRASH_RETENTION_DAYS, trashImage, listTrash, purgeExpiredTrash } = require('./trash');
+const { registerHandler, listJobs } = require('./workers/queue');
+const { listAudit } = require('./audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const actor = { type: 'user', id: 'u1', username: 'alice' };
+
+registerHandler('delete', async () => ({ deleted: true }));
+
+function addImage(id, ownerId = 'u1') {
+  const localPath = path.join(dataDir, `${id}.png`);
+  fs.writeFileSync(localPath, 'image bytes');
+  return insertImage({
+    id,
+    ownerId,
+    originalName: `${id}.png`,
+    filename: `${id}.png`,
+    localPath,
+    provider: 'cloudinary',
+    remoteId: `remote-${id}`,
+    status: 'available',
+  });
+}
+
+test('moves a trashed image out of the library until its retention is over', () => {
+  const img = addImage('1');
+  const item = trashImage(img.id, { actor });
+
+  assert.strictEqual(findImageById(img.id), undefined);
+  assert.strictEqual(fs.existsSync(img.localPath), false);
+  assert.ok(fs.existsSync(item.localPath));
+  assert.strictEqual(Date.parse(item.purgeAt) - Date.parse(item.trashedAt), TRASH_RETENTION_DAYS * DAY_MS);
+  assert.deepStrictEqual(listTrash('u1').map(entry => entry.id), ['1']);
+  assert.deepStrictEqual(listTrash('u2'), []);
+
+  assert.strictEqual(purgeExpiredTrash(new Date(Date.parse(item.purgeAt) - 1000)), 0);
+  assert.strictEqual(listTrash('u1').length, 1);
+});
+
+test('purges expired images, their files and their cloud assets', () => {
+  const [item] = listTrash('u1');
+  const purged = purgeExpiredTrash(new Date(Date.parse(item.purgeAt) + 1000));
+
+  assert.strictEqual(purged, 1);
+  assert.deepStrictEqual(listTrash('u1'), []);
+  assert.strictEqual(fs.existsSync(path.dirname(item.localPath)), false);
+  const [job] = listJobs({ ownerId: 'u1', type: 'delete' });
+  assert.strictEqual(job.payload.remoteId, 'remote-1');
+  assert.strictEqual(job.payload.actor.type, 'system');
+
+  const [entry] = listAudit({ imageId: '1', actions: ['purge'] });
+  assert.deepStrictEqual(entry.details, { reason: 'Retention period over' });
+});
+
+test('leaves expired images without an owner for the first account', () => {
+  // Trashed before accounts existed
+  const item = trashImage(addImage('legacy', null).id, { actor });
+
+  assert.strictEqual(purgeExpiredTrash(new Date(Date.parse(item.purgeAt) + 1000)), 0);
+  assert.ok(fs.existsSync(item.localPath));
+});
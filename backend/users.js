@@ -0,0 +1,308 @@
+/**
+ * users.js
+ * Local user accounts and login sessions.
+ *
+ * Passwords are stored as scrypt hashes with a per-user salt. A login creates
+ * a session: the browser gets a random token in a cookie (see auth.js) and
+ * only its SHA-256 is stored, so the sessions collection cannot be replayed
+ * if the data directory leaks. Sessions last SESSION_TTL_DAYS (default 7).
+ *
+ * Every user has a role (ROLES, lowest first): viewers can only look,
+ * uploaders can change their library, admins can also run cleanups and manage
+ * users and API keys (see auth.js and routes/admin.js).
+ *
+ * The first account can always be created; it becomes an admin and takes over
+ * every image, album and tag created before accounts existed. After that, sign-up
+ * is open only with ALLOW_SIGNUP=true and gives SIGNUP_ROLE (default
+ * uploader); admins can add users at any time.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const store = require('./store');
+const { claimUnownedImages, findImagesByOwner } = require('./database');
+const { claimUnownedAlbums, deleteAlbumsOf } = require('./albums');
+const { claimUnownedTrash, listTrash } = require('./trash');
+const { claimUnownedTags, deleteTagsOf } = require('./tags');
+const { deleteApiKeysOf } = require('./apikeys');
+const { deleteSharesOf } = require('./shares');
+const { httpError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 7;
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP === 'true';
+const ROLES = ['viewer', 'uploader', 'admin'];
+const SIGNUP_ROLE = ROLES.includes(process.env.SIGNUP_ROLE) ? process.env.SIGNUP_ROLE : 'uploader';
+
+const users = store.collection('users', { indexes: ['username'] });
+const sessions = store.collection('sessions', { indexes: ['userId'] });
+
+// Accounts from before roles existed: the oldest becomes admin, the rest uploaders
+function migrateRoles() {
+  const unassigned = users.all().filter(user => !user.role);
+  if (unassigned.length === 0) return;
+  const hasAdmin = users.all().some(user => user.role === 'admin');
+  const oldest = [...unassigned].sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+  users.transaction(tx => unassigned.forEach(user => {
+    tx.put({ ...user, role: !hasAdmin && user.id === oldest.id ? 'admin' : 'uploader' });
+  }));
+  console.log(`[USERS] Assigned roles to ${unassigned.length} account(s).`);
+}
+
+migrateRoles();
+
+// True if `role` is `required` or above
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// The lower of two roles, e.g. an API key's role capped by its user's
+function lowerRole(a, b) {
+  return hasRole(a, b) ? b : a;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) {
+    throw httpError(400, `role must be one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+// Stored as "scrypt:<salt>:<hash>", both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username is unknown, so both cases take as long
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function normalizeUsername(username) {
+  const normalized = String(username || '').trim().toLowerCase();
+  if (!USERNAME_PATTERN.test(normalized)) {
+    throw httpError(400, 'Username must be 3-32 characters: letters, digits, ".", "_" or "-"');
+  }
+  return normalized;
+}
+
+// What the API shows of an account; never the password hash
+function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+function findUserById(id) {
+  return users.get(id);
+}
+
+function requireUserById(id) {
+  const user = users.get(id);
+  if (!user) {
+    throw httpError(404, 'User not found');
+  }
+  return user;
+}
+
+// Accounts by name, each with the number of images it owns
+function listUsers() {
+  return users.all()
+    .sort((a, b) => a.username.localeCompare(b.username))
+    .map(user => ({ ...publicUser(user), imageCount: findImagesByOwner(user.id).length }));
+}
+
+function signupOpen() {
+  return ALLOW_SIGNUP || users.count() === 0;
+}
+
+function checkUsernameFree(name) {
+  if (users.findBy('username', name).length > 0) {
+    throw httpError(409, `Username "${name}" is taken`);
+  }
+}
+
+/**
+ * Adds an account with the given role; admins use this directly, sign-up goes
+ * through registerUser (`signup`). Hashing the password takes a while and
+ * other requests run meanwhile, so the checks are repeated once it is done,
+ * with nothing awaited between them and the write.
+ */
+async function createUser({ username, password, role = SIGNUP_ROLE } = {}, { signup = false } = {}) {
+  const name = normalizeUsername(username);
+  checkPassword(password);
+  checkRole(role);
+  checkUsernameFree(name);
+  const passwordHash = await hashPassword(password);
+
+  if (signup && !signupOpen()) {
+    throw httpError(403, 'Sign-up is closed');
+  }
+  checkUsernameFree(name);
+  const first = users.count() === 0;
+  const user = {
+    id: crypto.randomUUID(),
+    username: name,
+    role: first ? 'admin' : role,
+    passwordHash,
+    createdAt: new Date().toISOString(),
+  };
+  users.put(user);
+  if (first) {
+    const claimed = claimUnownedImages(user.id) + claimUnownedAlbums(user.id) + claimUnownedTrash(user.id)
+      + claimUnownedTags(user.id);
+    if (claimed > 0) {
+      console.log(`[USERS] ${user.username} took over ${claimed} record(s) created before accounts existed.`);
+    }
+  }
+  return user;
+}
+
+// Self-service sign-up, while signupOpen()
+function registerUser({ username, password } = {}) {
+  if (!signupOpen()) {
+    throw httpError(403, 'Sign-up is closed');
+  }
+  return createUser({ username, password, role: SIGNUP_ROLE }, { signup: true });
+}
+
+function adminCount() {
+  return users.all().filter(user => user.role === 'admin').length;
+}
+
+/**
+ * Changes the role and/or password of an account. A new password ends the
+ * user's sessions. The last admin cannot be demoted.
+ */
+async function updateUser(id, { role, password } = {}) {
+  requireUserById(id);
+  if (role !== undefined) checkRole(role);
+  const passwordHash = password === undefined ? null : await hashPassword(checkPassword(password));
+
+  // Read again after hashing: the account may have been changed or deleted meanwhile
+  const user = requireUserById(id);
+  const changes = {};
+  if (role !== undefined && role !== user.role) {
+    if (user.role === 'admin' && adminCount() === 1) {
+      throw httpError(409, 'The last admin cannot be demoted');
+    }
+    changes.role = role;
+  }
+  if (passwordHash) {
+    changes.passwordHash = passwordHash;
+  }
+  const updated = { ...user, ...changes };
+  users.put(updated);
+  if (changes.passwordHash) {
+    deleteSessionsOf(id);
+  }
+  return updated;
+}
+
+// Deletes an account that owns no images any more, with its sessions, API
+// keys, share links and (empty) albums; returns the removed user
+function deleteUser(id, { actingUserId } = {}) {
+  const user = requireUserById(id);
+  if (user.id === actingUserId) {
+    throw httpError(409, 'You cannot delete your own account');
+  }
+  const owned = findImagesByOwner(user.id).length + listTrash(user.id).length;
+  if (owned > 0) {
+    throw httpError(409, `${user.username} still owns ${owned} image(s)`);
+  }
+  users.remove(user.id);
+  deleteSessionsOf(user.id);
+  deleteApiKeysOf(user.id);
+  deleteAlbumsOf(user.id);
+  deleteTagsOf(user.id);
+  deleteSharesOf(user.id);
+  return user;
+}
+
+// The user for these credentials; 401 with the same message whichever is wrong
+async function authenticate(username, password) {
+  const user = users.findBy('username', String(username || '').trim().toLowerCase())[0];
+  const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : await DUMMY_HASH);
+  if (!user || !valid) {
+    throw httpError(401, 'Invalid username or password');
+  }
+  return user;
+}
+
+function tokenId(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Starts a session for `userId`; returns { token, expiresAt }
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + SESSION_TTL_DAYS * DAY_MS).toISOString();
+  sessions.put({ id: tokenId(token), userId, createdAt: createdAt.toISOString(), expiresAt });
+  return { token, expiresAt };
+}
+
+// The user a session token belongs to, or null if it is unknown or expired
+function userForSession(token) {
+  if (!token) return null;
+  const session = sessions.get(tokenId(token));
+  if (!session) return null;
+  if (new Date(session.expiresAt) <= new Date()) {
+    sessions.remove(session.id);
+    return null;
+  }
+  return findUserById(session.userId) || null;
+}
+
+function deleteSession(token) {
+  if (token) sessions.remove(tokenId(token));
+}
+
+function deleteSessionsOf(userId) {
+  sessions.findBy('userId', userId).forEach(session => sessions.remove(session.id));
+}
+
+// Drops expired sessions; returns the number removed
+function pruneSessions(now = new Date()) {
+  const expired = sessions.all().filter(session => new Date(session.expiresAt) <= now);
+  expired.forEach(session => sessions.remove(session.id));
+  return expired.length;
+}
+
+module.exports = {
+  ROLES,
+  SESSION_TTL_DAYS,
+  hasRole,
+  lowerRole,
+  checkRole,
+  publicUser,
+  findUserById,
+  listUsers,
+  signupOpen,
+  createUser,
+  registerUser,
+  updateUser,
+  deleteUser,
+  authenticate,
+  createSession,
+  userForSession,
+  deleteSession,
+  pruneSessions,
+};
@@ -0,0 +1,101 @@
+/**
+ * users.test.js
+ * Tests for accounts and login sessions, including requests that race each
+ * other while a password is being hashed.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./testing');
+
+useTempDataDir();
+
+const {
+  createUser,
+  registerUser,
+  updateUser,
+  deleteUser,
+  findUserById,
+  listUsers,
+  authenticate,
+  createSession,
+  userForSession,
+  deleteSession,
+  pruneSessions,
+  SESSION_TTL_DAYS,
+} = require('./users');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('lets only one of two simultaneous sign-ups become the first account', async () => {
+  const results = await Promise.allSettled([
+    registerUser({ username: 'alice', password: 'password-1' }),
+    registerUser({ username: 'bob', password: 'password-2' }),
+  ]);
+
+  const created = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const refused = results.filter(result => result.status === 'rejected').map(result => result.reason);
+  assert.strictEqual(created.length, 1);
+  assert.strictEqual(created[0].role, 'admin');
+  assert.deepStrictEqual(refused.map(err => err.status), [403]);
+  assert.strictEqual(listUsers().length, 1);
+});
+
+test('refuses a username taken while the password was hashed', async () => {
+  const results = await Promise.allSettled([
+    createUser({ username: 'Carol', password: 'password-3', role: 'viewer' }),
+    createUser({ username: 'carol', password: 'password-4', role: 'uploader' }),
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 409);
+  assert.strictEqual(listUsers().filter(user => user.username === 'carol').length, 1);
+});
+
+test('does not bring back an account deleted while its password was hashed', async () => {
+  const dave = await createUser({ username: 'dave', password: 'password-5', role: 'uploader' });
+  const update = updateUser(dave.id, { password: 'password-6' });
+  deleteUser(dave.id);
+
+  await assert.rejects(update, err => err.status === 404);
+  assert.strictEqual(findUserById(dave.id), undefined);
+});
+
+test('keeps a role changed while a password was hashed', async () => {
+  const erin = await createUser({ username: 'erin', password: 'password-7', role: 'uploader' });
+  const update = updateUser(erin.id, { password: 'password-8' });
+  await updateUser(erin.id, { role: 'viewer' });
+  await update;
+
+  assert.strictEqual(findUserById(erin.id).role, 'viewer');
+  assert.strictEqual((await authenticate('erin', 'password-8')).id, erin.id);
+});
+
+test('sessions identify their user until they end', async () => {
+  const frank = await createUser({ username: 'frank', password: 'password-9', role: 'viewer' });
+  const { token, expiresAt } = createSession(frank.id);
+
+  assert.strictEqual(Date.parse(expiresAt) - Date.now() <= SESSION_TTL_DAYS * DAY_MS, true);
+  assert.strictEqual(userForSession(token).id, frank.id);
+  assert.strictEqual(userForSession('not-a-token'), null);
+
+  deleteSession(token);
+  assert.strictEqual(userForSession(token), null);
+});
+
+test('a new password ends the sessions of the account', async () => {
+  const grace = await createUser({ username: 'grace', password: 'password-10', role: 'viewer' });
+  const { token } = createSession(grace.id);
+  await updateUser(grace.id, { password: 'password-11' });
+
+  assert.strictEqual(userForSession(token), null);
+  await assert.rejects(authenticate('grace', 'password-10'), err => err.status === 401);
+});
+
+test('prunes expired sessions', async () => {
+  const heidi = await createUser({ username: 'heidi', password: 'password-12', role: 'viewer' });
+  const { token, expiresAt } = createSession(heidi.id);
+
+  assert.strictEqual(pruneSessions(new Date(Date.parse(expiresAt) - 1000)), 0);
+  assert.ok(pruneSessions(new Date(Date.parse(expiresAt) + 1000)) >= 1);
+  assert.strictEqual(userForSession(token), null);
+});
@@ -0,0 +1,215 @@
+/**
+ * versions.js
+ * Replacing an image keeps its earlier versions.
+ *
+ * The record always describes the current version (`version`, starting at 1,
+ * and `versionCreatedAt`). Earlier versions are listed in `versions`, each
+ * with its own file, hashes, backup blob and cloud asset; their files move to
+ * data/versions/<image id>/ and their cloud assets are left in place.
+ *
+ * Promoting an old version copies it back as a new current version, so the
+ * history only ever grows. Its cloud asset is reused when it still exists,
+ * otherwise the image is uploaded again.
+ */
+const fs = require('fs');
+const path = require('path');
+const { findImageById, patchImage } = require('./database');
+const { VERSIONS_DIR, moveFileSync } = require('./images');
+const { hasBlob, storeBackupFile } = require('./blobs');
+const { tryExtractMetadata } = require('./metadata');
+const { fingerprint } = require('./duplicates');
+const { removeDerivatives } = require('./thumbnails');
+const { providerFor } = require('./providers');
+const { enqueue } = require('./workers/queue');
+const { queueLabelSync } = require('./workers/handlers');
+const { recordAudit } = require('./audit');
+const { httpError } = require('./errors');
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+
+// What belongs to one version of an image; everything else is shared
+const VERSION_FIELDS = [
+  'filename',
+  'localPath',
+  'size',
+  'contentHash',
+  'perceptualHash',
+  'metadata',
+  'backupHash',
+  'backupSize',
+  'backupMimeType',
+  'backupKey',
+  'provider',
+  'remoteId',
+  'remoteUrl',
+  'promotedFrom',
+];
+
+function requireImage(id) {
+  const img = findImageById(id);
+  if (!img) {
+    throw httpError(404, 'Image not found');
+  }
+  return img;
+}
+
+function currentVersion(img) {
+  const entry = { version: img.version || 1, createdAt: img.versionCreatedAt || img.uploadedAt };
+  VERSION_FIELDS.forEach(field => {
+    entry[field] = img[field] ?? null;
+  });
+  return entry;
+}
+
+function nextVersion(img) {
+  return Math.max(img.version || 1, ...(img.versions || []).map(v => v.version)) + 1;
+}
+
+/**
+ * The current version and the earlier ones, newest first:
+ * { current, versions: [{ version, createdAt, replacedAt, size, ... }] }.
+ */
+function listVersions(id) {
+  const img = requireImage(id);
+  return {
+    current: currentVersion(img),
+    versions: [...(img.versions || [])].sort((a, b) => b.version - a.version),
+  };
+}
+
+// Moves the current file into the versions directory; returns its history entry
+function archiveCurrentVersion(img, replacedAt) {
+  const entry = { ...currentVersion(img), replacedAt };
+  if (img.localPath && fs.existsSync(img.localPath)) {
+    entry.localPath = path.join(VERSIONS_DIR, String(img.id), `v${entry.version}-${path.basename(img.localPath)}`);
+    moveFileSync(img.localPath, entry.localPath);
+  } else {
+    entry.localPath = null;
+  }
+  return entry;
+}
+
+// Makes `changes` the current version of image `id` and archives the old one
+function switchVersion(id, changes) {
+  const now = new Date().toISOString();
+  const img = requireImage(id);
+  const previous = archiveCurrentVersion(img, now);
+  const updated = patchImage(id, current => ({
+    ...changes,
+    versions: [...(current.versions || []), previous],
+    version: nextVersion(current),
+    versionCreatedAt: now,
+    hasLocalFile: true,
+    lastUploadError: null,
+  }));
+  removeDerivatives(id);
+  return updated;
+}
+
+/**
+ * Makes `file` ({ path, filename, size, mimeType }, already in uploads/) the
+ * new current version of image `id` and queues its upload. The file is
+ * deleted if the replacement fails. Returns { image, job }. Audited as a
+ * `replace` by `actor`.
+ */
+async function replaceImage(id, file, { actor } = {}) {
+  try {
+    const before = requireImage(id);
+    const hashes = await fingerprint(file.path);
+    const backup = await storeBackupFile(file.path, file.mimeType);
+    const metadata = await tryExtractMetadata(file.path);
+
+    const image = switchVersion(id, {
+      filename: file.filename,
+      localPath: file.path,
+      size: file.size,
+      ...hashes,
+      metadata,
+      ...backup,
+      backupKey: null,
+      provider: null,
+      remoteId: null,
+      remoteUrl: null,
+      promotedFrom: null,
+      status: 'pending',
+    });
+    recordAudit({ actor, action: 'replace', imageId: id, ownerId: image.ownerId, before, after: image });
+    const job = enqueue('upload', { imageId: image.id, ownerId: image.ownerId, actor });
+    return { image, job };
+  } catch (err) {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+    throw err;
+  }
+}
+
+// True if the version's cloud asset can still be used
+async function hasCloudAsset(entry) {
+  if (!entry.remoteId) return false;
+  try {
+    return await providerFor(entry).exists(entry.remoteId);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Copies earlier version `number` of image `id` back as a new current
+ * version. Returns { image, job }; `job` is the upload job, or null when the
+ * version's cloud asset was still there. Audited as a `promote` by `actor`.
+ */
+async function promoteVersion(id, number, { actor } = {}) {
+  const img = requireImage(id);
+  const target = (img.versions || []).find(v => v.version === Number(number));
+  if (!target) {
+    throw httpError(404, `Version ${number} not found`);
+  }
+  if (!target.localPath || !fs.existsSync(target.localPath)) {
+    throw httpError(410, `The file of version ${number} is gone`);
+  }
+
+  const name = target.filename || path.basename(target.localPath);
+  const filename = fs.existsSync(path.join(UPLOAD_DIR, name)) ? `${Date.now()}-${name}` : name;
+  const localPath = path.join(UPLOAD_DIR, filename);
+  const backup = target.backupHash && hasBlob(target.backupHash)
+    ? {}
+    : await storeBackupFile(target.localPath, target.backupMimeType);
+  const reuseAsset = await hasCloudAsset(target);
+  fs.copyFileSync(target.localPath, localPath);
+
+  const { version, createdAt, replacedAt, ...fields } = target;
+  const image = switchVersion(id, {
+    ...fields,
+    ...backup,
+    filename,
+    localPath,
+    promotedFrom: version,
+    ...(reuseAsset
+      ? { status: 'available' }
+      : { provider: null, remoteId: null, remoteUrl: null, status: 'pending' }),
+  });
+
+  recordAudit({
+    actor,
+    action: 'promote',
+    imageId: id,
+    ownerId: image.ownerId,
+    before: img,
+    after: image,
+    details: { fromVersion: version },
+  });
+
+  if (reuseAsset) {
+    // Tags and albums may have changed since that version was current
+    queueLabelSync([image.id]);
+    return { image, job: null };
+  }
+  return { image, job: enqueue('upload', { imageId: image.id, ownerId: image.ownerId, actor }) };
+}
+
+module.exports = {
+  listVersions,
+  replaceImage,
+  promoteVersion,
+};
@@ -0,0 +1,95 @@
+/**
+ * Server-side restore policy for images that went missing in cloud storage.
+ *
+ * RESTORE_POLICY:
+ *   off     - do nothing; restores are manual (default)
+ *   notify  - log a warning and record a "notified" entry once per outage
+ *   auto    - queue a `restore` job, retrying with exponential backoff
+ *
+ * Works from the status cached by the reconciliation worker, so it makes no
+ * provider calls of its own. Restores run as jobs like manual ones, so they
+ * show on the Jobs page and never overlap a restore that is already queued.
+ * Retry state lives on the record (`autoRestore`): each queued attempt moves
+ * `nextAttemptAt` on, and the state is cleared once the image is back.
+ * Images nobody owns yet (from before accounts existed) are left alone until
+ * the first account takes them over; jobs always belong to an owner.
+ */
+const { getDB, patchImage } = require('../database');
+const { recordRestoreEvent } = require('../restore');
+const { systemActor } = require('../audit');
+const { enqueue, hasActiveJob } = require('./queue');
+
+const POLICIES = ['off', 'notify', 'auto'];
+const RESTORE_POLICY = POLICIES.includes(process.env.RESTORE_POLICY) ? process.env.RESTORE_POLICY : 'off';
+const RESTORE_CHECK_INTERVAL_MS = Number(process.env.RESTORE_CHECK_INTERVAL_MS) || 30 * 1000;
+const RESTORE_MAX_ATTEMPTS = Number(process.env.RESTORE_MAX_ATTEMPTS) || 5;
+const RESTORE_BACKOFF_MS = Number(process.env.RESTORE_BACKOFF_MS) || 60 * 1000;
+const RESTORE_BACKOFF_MAX_MS = Number(process.env.RESTORE_BACKOFF_MAX_MS) || 60 * 60 * 1000;
+
+let timer = null;
+
+function backoffDelay(attempt) {
+  return Math.min(RESTORE_BACKOFF_MS * 2 ** (attempt - 1), RESTORE_BACKOFF_MAX_MS);
+}
+
+function handleMissing(img) {
+  const state = img.autoRestore || { attempts: 0, nextAttemptAt: null, notifiedAt: null };
+
+  if (RESTORE_POLICY === 'notify') {
+    if (!state.notifiedAt) {
+      console.warn(`[AUTO-RESTORE] Image ${img.id} (${img.originalName}) is missing from cloud storage.`);
+      recordRestoreEvent(img.id, { trigger: 'auto', outcome: 'notified' }, {
+        autoRestore: { ...state, notifiedAt: new Date().toISOString() },
+      });
+    }
+    return;
+  }
+
+  if (!img.ownerId) return;
+  if (state.attempts >= RESTORE_MAX_ATTEMPTS) return;
+  if (state.nextAttemptAt && Date.parse(state.nextAttemptAt) > Date.now()) return;
+  // A manual, bulk or earlier automatic restore is still on its way
+  if (hasActiveJob('restore', img.id)) return;
+
+  // One try per job; the backoff between attempts is kept here
+  const attempt = state.attempts + 1;
+  const exhausted = attempt >= RESTORE_MAX_ATTEMPTS;
+  enqueue('restore', { imageId: img.id, ownerId: img.ownerId, trigger: 'auto', attempt, actor: systemActor('auto-restore') }, { maxAttempts: 1 });
+  patchImage(img.id, {
+    autoRestore: {
+      ...state,
+      attempts: attempt,
+      nextAttemptAt: exhausted ? null : new Date(Date.now() + backoffDelay(attempt)).toISOString(),
+    },
+  });
+  console.log(`[AUTO-RESTORE] Queued restore attempt ${attempt} for image ${img.id}` + (exhausted ? ' (last one).' : '.'));
+}
+
+function runAutoRestore() {
+  const images = getDB();
+  // Outage over: forget retry state so a future outage starts fresh
+  images
+    .filter(img => img.autoRestore && img.status !== 'missing')
+    .forEach(img => patchImage(img.id, { autoRestore: null }));
+
+  images.filter(img => img.status === 'missing').forEach(handleMissing);
+}
+
+function startAutoRestore() {
+  if (timer || RESTORE_POLICY === 'off') return;
+  console.log(`[AUTO-RESTORE] Policy "${RESTORE_POLICY}", checking every ${RESTORE_CHECK_INTERVAL_MS}ms.`);
+  timer = setInterval(() => {
+    try {
+      runAutoRestore();
+    } catch (err) {
+      console.error('[AUTO-RESTORE] Pass failed:', err);
+    }
+  }, RESTORE_CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  RESTORE_POLICY,
+  runAutoRestore,
+  startAutoRestore,
+};
@@ -0,0 +1,47 @@
+/**
+ * auto-restore.test.js
+ * Tests for the automatic restore policy.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('../testing');
+
+useTempDataDir();
+process.env.RESTORE_POLICY = 'auto';
+process.env.CLOUDINARY_EMULATOR = 'true';
+
+const { insertImage, findImageById, patchImage } = require('../database');
+const { registerHandler, listJobs, hasActiveJob } = require('./queue');
+const { runAutoRestore } = require('./auto-restore');
+
+// Restores never finish here, so each image keeps one active job
+registerHandler('restore', () => new Promise(() => {}));
+
+test('queues a restore for a missing image', () => {
+  insertImage({ id: 'owned', ownerId: 'u1', remoteId: 'gone', status: 'missing' });
+  runAutoRestore();
+
+  const [job] = listJobs({ ownerId: 'u1', type: 'restore' });
+  assert.strictEqual(job.payload.imageId, 'owned');
+  assert.strictEqual(job.payload.trigger, 'auto');
+  assert.strictEqual(findImageById('owned').autoRestore.attempts, 1);
+
+  // Still on its way: the next pass does not queue another one
+  runAutoRestore();
+  assert.strictEqual(listJobs({ ownerId: 'u1', type: 'restore' }).length, 1);
+});
+
+test('leaves images without an owner for the first account', () => {
+  // Migrated before accounts existed; no account has claimed it yet
+  insertImage({ id: 'legacy', remoteId: 'lost', status: 'missing' });
+
+  assert.doesNotThrow(() => runAutoRestore());
+  assert.strictEqual(hasActiveJob('restore', 'legacy'), false);
+  assert.strictEqual(findImageById('legacy').autoRestore, undefined);
+});
+
+test('forgets the retry state once the image is back', () => {
+  patchImage('owned', { status: 'available' });
+  runAutoRestore();
+  assert.strictEqual(findImageById('owned').autoRestore, null);
+});
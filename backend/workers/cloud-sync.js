@@ -0,0 +1,56 @@
+/**
+ * Local-first sync worker.
+ *
+ * Uploads are accepted as soon as the file is on disk. If the storage provider
+ * cannot be reached, the upload job gives up and the image is left with
+ * `status: "pending-cloud"`. This worker pings the provider every
+ * CLOUD_SYNC_INTERVAL_MS and, once it answers, queues a fresh upload job for
+ * each image that is still waiting for the cloud. An image whose local file
+ * is gone is marked `failed` by its upload job and is not picked up again.
+ * Images nobody owns yet wait for the first account to take them over.
+ */
+const { getDB } = require('../database');
+const { getProvider } = require('../providers');
+const { errorMessage } = require('../errors');
+const { enqueue, hasActiveJob } = require('./queue');
+
+const CLOUD_SYNC_INTERVAL_MS = Number(process.env.CLOUD_SYNC_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+let providerReachable = null;
+
+async function syncPendingUploads() {
+  const waiting = getDB().filter(img =>
+    img.ownerId && !img.remoteId && ['pending', 'pending-cloud'].includes(img.status) &&
+    !hasActiveJob('upload', img.id)
+  );
+  if (waiting.length === 0) return 0;
+
+  try {
+    await getProvider().ping();
+  } catch (err) {
+    if (providerReachable !== false) {
+      console.warn(`[CLOUD-SYNC] Provider unreachable, ${waiting.length} image(s) waiting: ${errorMessage(err)}`);
+    }
+    providerReachable = false;
+    return 0;
+  }
+
+  providerReachable = true;
+  waiting.forEach(img => enqueue('upload', { imageId: img.id, ownerId: img.ownerId }));
+  console.log(`[CLOUD-SYNC] Provider reachable, queued ${waiting.length} pending upload(s).`);
+  return waiting.length;
+}
+
+function startCloudSync() {
+  if (timer) return;
+  const run = () => syncPendingUploads().catch(err => console.error('[CLOUD-SYNC] Pass failed:', err));
+  run();
+  timer = setInterval(run, CLOUD_SYNC_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  syncPendingUploads,
+  startCloudSync,
+};
@@ -0,0 +1,151 @@
+/**
+ * Job handlers for the persistent queue: cloud uploads, restores, deletions
+ * and syncing tags/albums onto cloud assets.
+ *
+ * Uploads, restores and deletions are audited (see audit.js) as done by the
+ * `actor` in the job's payload, or by the system when no one queued them.
+ */
+const fs = require('fs');
+const { findImageById, patchImage } = require('../database');
+const { getProvider, providerFor } = require('../providers');
+const { restoreImage } = require('../restore');
+const { httpError, errorMessage } = require('../errors');
+const { cloudLabels } = require('../albums');
+const { recordAudit, systemActor } = require('../audit');
+const { registerHandler, enqueue, hasActiveJob } = require('./queue');
+
+function jobActor(job) {
+  return job.payload.actor || systemActor(`${job.type}-job`);
+}
+
+// Uploads the local copy of a freshly ingested image to the configured provider
+async function uploadJob(job) {
+  const img = findImageById(job.payload.imageId);
+  if (!img) {
+    return { skipped: 'Image no longer exists' };
+  }
+  if (!img.localPath || !fs.existsSync(img.localPath)) {
+    throw httpError(404, 'Local image file not found');
+  }
+
+  const provider = getProvider();
+  const asset = await provider.upload(img.localPath, { name: img.originalName, tags: cloudLabels(img) });
+  const checkedAt = new Date().toISOString();
+  let replaced = false;
+  const updated = patchImage(img.id, current => {
+    // A newer version (see versions.js) has its own upload job
+    if (current.localPath !== img.localPath) {
+      replaced = true;
+      return {};
+    }
+    return {
+      provider: provider.name,
+      remoteId: asset.id,
+      remoteUrl: asset.url,
+      status: 'available',
+      hasLocalFile: true,
+      lastCheckedAt: checkedAt,
+      lastUploadError: null,
+    };
+  });
+
+  // Deleted or replaced while the upload was in flight: don't leave an orphaned asset behind
+  if (!updated || replaced) {
+    await provider.remove(asset.id);
+    return { skipped: updated ? 'Image replaced during upload' : 'Image deleted during upload' };
+  }
+  recordAudit({ actor: jobActor(job), action: 'cloud-upload', imageId: img.id, ownerId: img.ownerId, before: img, after: updated });
+  return { remoteId: asset.id, remoteUrl: asset.url };
+}
+
+async function restoreJob(job) {
+  const img = await restoreImage(job.payload.imageId, {
+    trigger: job.payload.trigger || 'manual',
+    // Automatic restores count attempts across jobs (see auto-restore.js)
+    attempt: job.payload.attempt || job.attempts,
+    actor: jobActor(job),
+  });
+  return { remoteId: img.remoteId, remoteUrl: img.remoteUrl };
+}
+
+// Removes a cloud asset; the image record itself is gone by the time this runs
+async function deleteJob(job) {
+  const { provider, remoteId } = job.payload;
+  if (!remoteId) {
+    return { skipped: 'No remote asset' };
+  }
+  const removed = await providerFor({ provider }).remove(remoteId);
+  recordAudit({
+    actor: jobActor(job),
+    action: 'cloud-delete',
+    imageId: job.payload.imageId,
+    ownerId: job.payload.ownerId,
+    details: { provider, remoteId, removed },
+  });
+  return { removed };
+}
+
+// Mirrors the image's current tags and albums onto its cloud asset
+async function labelsJob(job) {
+  const img = findImageById(job.payload.imageId);
+  if (!img || !img.remoteId) {
+    return { skipped: 'No cloud asset' };
+  }
+  const labels = cloudLabels(img);
+  await providerFor(img).setTags(img.remoteId, labels);
+  return { labels };
+}
+
+// Queues a label sync for each image with a cloud asset. A job that is still
+// queued reads the latest labels when it runs, so those images are skipped.
+function queueLabelSync(imageIds) {
+  imageIds.forEach(imageId => {
+    const img = findImageById(imageId);
+    if (img && img.remoteId && !hasActiveJob('labels', imageId, ['queued'])) {
+      enqueue('labels', { imageId, ownerId: img.ownerId });
+    }
+  });
+}
+
+function registerJobHandlers() {
+  registerHandler('upload', uploadJob, {
+    // Keep the local copy and wait for the cloud sync worker to try again.
+    // Without a local copy there is nothing left to upload, so give up for good
+    onFailed: (job, err) => {
+      const before = findImageById(job.payload.imageId);
+      const changes = { status: 'pending-cloud', lastUploadError: errorMessage(err) };
+      if (err.status === 404) {
+        changes.status = 'failed';
+        changes.hasLocalFile = false;
+      }
+      const after = patchImage(job.payload.imageId, changes);
+      recordAudit({
+        actor: jobActor(job),
+        action: 'cloud-upload',
+        imageId: job.payload.imageId,
+        ownerId: before ? before.ownerId : null,
+        before,
+        after,
+        error: err,
+      });
+    },
+  });
+  registerHandler('restore', restoreJob);
+  registerHandler('delete', deleteJob, {
+    // The asset stays in the cloud; the audit entry is the only trace of it
+    onFailed: (job, err) => recordAudit({
+      actor: jobActor(job),
+      action: 'cloud-delete',
+      imageId: job.payload.imageId,
+      ownerId: job.payload.ownerId,
+      error: err,
+      details: { provider: job.payload.provider, remoteId: job.payload.remoteId },
+    }),
+  });
+  registerHandler('labels', labelsJob);
+}
+
+module.exports = {
+  registerJobHandlers,
+  queueLabelSync,
+};
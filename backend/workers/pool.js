@@ -0,0 +1,26 @@
+/**
+ * Runs `worker` over `items` with at most `concurrency` calls in flight.
+ * Resolves to the results in input order; a rejected call yields
+ * `{ error }` in its slot instead of failing the whole batch.
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runLane() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  }
+
+  const lanes = Array.from({ length: Math.min(concurrency, items.length) }, runLane);
+  await Promise.all(lanes);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,234 @@
+/**
+ * Persistent job queue.
+ *
+ * Jobs are stored in the embedded store ("jobs" collection), so queued work
+ * survives a restart; jobs that were running when the process stopped are put
+ * back in the queue on startup. At most JOB_CONCURRENCY jobs run at once.
+ * A failed job is retried with exponential backoff until it has used
+ * `maxAttempts`; errors with a 4xx `status` are treated as permanent.
+ *
+ * Job shape:
+ *   { id, type, ownerId, payload, status: queued | running | completed | failed,
+ *     attempts, maxAttempts, runAt, createdAt, updatedAt, startedAt,
+ *     finishedAt, lastError, result }
+ *
+ * Callers pass the owner of the job's image as `payload.ownerId`; it is kept
+ * on the job itself too so jobs can be listed per owner. Every change to a
+ * job is published as a `job` event for that owner (see events.js).
+ */
+const crypto = require('crypto');
+const store = require('../store');
+const { findImageById } = require('../database');
+const { publish } = require('../events');
+const { httpError, errorMessage } = require('../errors');
+
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const JOB_RETRY_DELAY_MS = Number(process.env.JOB_RETRY_DELAY_MS) || 5 * 1000;
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 1000;
+
+const jobs = store.collection('jobs', { indexes: ['status', 'ownerId'] });
+const handlers = new Map();
+const active = new Set();
+let timer = null;
+
+function now() {
+  return new Date().toISOString();
+}
+
+function publishJob(job) {
+  publish('job', { ownerId: job.ownerId, job });
+}
+
+function patchJob(id, changes) {
+  const updated = jobs.transaction(tx => {
+    const current = tx.get(id);
+    if (!current) return null;
+    const patched = { ...current, ...changes, updatedAt: now() };
+    tx.put(patched);
+    return patched;
+  });
+  if (updated) publishJob(updated);
+  return updated;
+}
+
+/**
+ * Registers the function that runs jobs of `type`. `options.onFailed(job, err)`
+ * is called once a job has failed for good.
+ */
+function registerHandler(type, run, options = {}) {
+  handlers.set(type, { run, onFailed: options.onFailed });
+}
+
+function enqueue(type, payload = {}, { maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+  if (!payload.ownerId) {
+    throw new Error(`Job payload needs an ownerId: ${type}`);
+  }
+  const timestamp = now();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    ownerId: payload.ownerId,
+    payload,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts,
+    runAt: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    startedAt: null,
+    finishedAt: null,
+    lastError: null,
+    result: null,
+  };
+  jobs.put(job);
+  publishJob(job);
+  setImmediate(tick);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id);
+}
+
+function listJobs({ ownerId, status, type, imageId, limit = 100 } = {}) {
+  return jobs.findBy('ownerId', ownerId)
+    .filter(job => !status || job.status === status)
+    .filter(job => !type || job.type === type)
+    .filter(job => !imageId || String(job.payload.imageId) === String(imageId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+// True if a job of `type` for the image is in one of `statuses` (queued or running by default)
+function hasActiveJob(type, imageId, statuses = ['queued', 'running']) {
+  return statuses.some(status =>
+    jobs.findBy('status', status).some(job =>
+      job.type === type && String(job.payload.imageId) === String(imageId)
+    )
+  );
+}
+
+// Puts a failed job back in the queue with a fresh set of attempts
+function retryJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw httpError(404, 'Job not found');
+  }
+  if (job.status !== 'failed') {
+    throw httpError(409, `Only failed jobs can be retried (job is ${job.status})`);
+  }
+  const updated = patchJob(id, {
+    status: 'queued',
+    attempts: 0,
+    runAt: now(),
+    finishedAt: null,
+    lastError: null,
+  });
+  setImmediate(tick);
+  return updated;
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const attempts = job.attempts + 1;
+  const running = patchJob(job.id, { status: 'running', attempts, startedAt: now() });
+
+  try {
+    if (!handler) {
+      throw httpError(400, `No handler registered for job type: ${job.type}`);
+    }
+    const result = await handler.run(running);
+    patchJob(job.id, { status: 'completed', finishedAt: now(), lastError: null, result: result || null });
+  } catch (err) {
+    const permanent = err.status >= 400 && err.status < 500;
+    const exhausted = permanent || attempts >= job.maxAttempts;
+    const failed = patchJob(job.id, exhausted
+      ? { status: 'failed', finishedAt: now(), lastError: errorMessage(err) }
+      : {
+        status: 'queued',
+        runAt: new Date(Date.now() + JOB_RETRY_DELAY_MS * 2 ** (attempts - 1)).toISOString(),
+        lastError: errorMessage(err),
+      });
+    console.warn(`[JOBS] ${job.type} job ${job.id} attempt ${attempts} failed: ${errorMessage(err)}`);
+    if (exhausted && handler && handler.onFailed) {
+      try {
+        await handler.onFailed(failed, err);
+      } catch (hookErr) {
+        console.error(`[JOBS] onFailed hook for ${job.id} failed:`, hookErr);
+      }
+    }
+  }
+}
+
+function tick() {
+  if (active.size >= JOB_CONCURRENCY) return;
+  const due = jobs.findBy('status', 'queued')
+    .filter(job => Date.parse(job.runAt) <= Date.now() && !active.has(job.id))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .slice(0, JOB_CONCURRENCY - active.size);
+
+  due.forEach(job => {
+    active.add(job.id);
+    runJob(job)
+      .catch(err => console.error(`[JOBS] Unexpected error in job ${job.id}:`, err))
+      .finally(() => {
+        active.delete(job.id);
+        setImmediate(tick);
+      });
+  });
+}
+
+// Jobs queued before the owner was kept on the job; they belong to the owner
+// of their image, or to nobody once it is gone
+function backfillJobOwners() {
+  const unowned = jobs.all().filter(job => job.ownerId === undefined);
+  if (unowned.length === 0) return;
+  jobs.transaction(tx => unowned.forEach(job => {
+    const img = job.payload.imageId && findImageById(job.payload.imageId);
+    const ownerId = job.payload.ownerId || (img ? img.ownerId : null);
+    tx.put({ ...job, ownerId, payload: { ...job.payload, ownerId } });
+  }));
+}
+
+// Drops completed jobs older than JOB_RETENTION_MS
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  const stale = jobs.findBy('status', 'completed').filter(job => Date.parse(job.finishedAt) < cutoff);
+  if (stale.length > 0) {
+    jobs.transaction(tx => stale.forEach(job => tx.remove(job.id)));
+  }
+}
+
+function startQueue() {
+  if (timer) return;
+  backfillJobOwners();
+  // Jobs left "running" by a previous process never finished; run them again
+  const interrupted = jobs.findBy('status', 'running');
+  interrupted.forEach(job => patchJob(job.id, { status: 'queued', runAt: now() }));
+  if (interrupted.length > 0) {
+    console.log(`[JOBS] Re-queued ${interrupted.length} interrupted job(s).`);
+  }
+  pruneJobs();
+  let ticks = 0;
+  timer = setInterval(() => {
+    tick();
+    if (++ticks % 3600 === 0) pruneJobs();
+  }, POLL_INTERVAL_MS);
+  timer.unref();
+  tick();
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  getJob,
+  listJobs,
+  hasActiveJob,
+  retryJob,
+  startQueue,
+};
@@ -0,0 +1,107 @@
+/**
+ * queue.test.js
+ * Tests for the persistent job queue: retries, permanent failures and
+ * jobs interrupted by a restart.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir, waitFor } = require('../testing');
+
+useTempDataDir();
+process.env.JOB_RETRY_DELAY_MS = '10';
+
+const store = require('../store');
+const { httpError } = require('../errors');
+
+// A job the previous process was running when it stopped
+const startedAt = new Date(Date.now() - 60 * 1000).toISOString();
+store.collection('jobs', { indexes: ['status', 'ownerId'] }).put({
+  id: 'interrupted',
+  type: 'echo',
+  ownerId: 'u1',
+  payload: { ownerId: 'u1', value: 42 },
+  status: 'running',
+  attempts: 1,
+  maxAttempts: 3,
+  runAt: startedAt,
+  createdAt: startedAt,
+  updatedAt: startedAt,
+  startedAt,
+  finishedAt: null,
+  lastError: null,
+  result: null,
+});
+
+const { registerHandler, enqueue, getJob, listJobs, retryJob, startQueue } = require('./queue');
+
+registerHandler('echo', async job => ({ echoed: job.payload.value }));
+
+function settled(id) {
+  return waitFor(() => {
+    const job = getJob(id);
+    return ['completed', 'failed'].includes(job.status) && job;
+  });
+}
+
+test('re-queues a job left running by a previous process', async () => {
+  startQueue();
+  const job = await settled('interrupted');
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.attempts, 2);
+  assert.deepStrictEqual(job.result, { echoed: 42 });
+});
+
+test('retries a failing job until it succeeds', async () => {
+  let calls = 0;
+  registerHandler('flaky', async () => {
+    calls++;
+    if (calls < 3) throw new Error(`Timeout ${calls}`);
+    return { calls };
+  });
+
+  const job = await settled(enqueue('flaky', { ownerId: 'u1' }).id);
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.attempts, 3);
+  assert.strictEqual(job.lastError, null);
+  assert.deepStrictEqual(job.result, { calls: 3 });
+});
+
+test('stops after maxAttempts and reports the last error', async () => {
+  const failed = [];
+  registerHandler('broken', async () => {
+    throw new Error('Provider unavailable');
+  }, { onFailed: job => failed.push(job.id) });
+
+  const job = await settled(enqueue('broken', { ownerId: 'u1' }, { maxAttempts: 2 }).id);
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.attempts, 2);
+  assert.strictEqual(job.lastError, 'Provider unavailable');
+  assert.deepStrictEqual(failed, [job.id]);
+});
+
+test('fails at once on a 4xx error and can be retried by hand', async () => {
+  let calls = 0;
+  registerHandler('strict', async () => {
+    calls++;
+    if (calls === 1) throw httpError(404, 'Image not found');
+    return { calls };
+  });
+
+  const { id } = enqueue('strict', { ownerId: 'u2' });
+  const failed = await settled(id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.attempts, 1);
+
+  const retried = retryJob(id);
+  assert.strictEqual(retried.status, 'queued');
+  assert.strictEqual(retried.attempts, 0);
+  const job = await settled(id);
+  assert.strictEqual(job.status, 'completed');
+  assert.throws(() => retryJob(id), err => err.status === 409);
+  assert.throws(() => retryJob('no-such-job'), err => err.status === 404);
+});
+
+test('lists jobs per owner', () => {
+  assert.deepStrictEqual(listJobs({ ownerId: 'u2' }).map(job => job.type), ['strict']);
+  assert.strictEqual(listJobs({ ownerId: 'u1', type: 'flaky' }).length, 1);
+});
@@ -0,0 +1,97 @@
+/**
+ * Background reconciliation worker.
+ *
+ * Periodically checks every image against its storage provider and the local
+ * uploads directory, and persists the result (`status`, `hasLocalFile`,
+ * `lastCheckedAt`) on the record. GET /images serves these cached values
+ * instead of calling the provider per image per request. Status changes are
+ * audited as `sync-status` (see audit.js).
+ */
+const { getDB, findImageById, patchImage, hasLocalCopy, syncDBWithFiles } = require('../database');
+const { providerFor } = require('../providers');
+const { recordAudit, systemActor } = require('../audit');
+const { errorMessage } = require('../errors');
+const { mapWithConcurrency } = require('./pool');
+
+const RECONCILE_INTERVAL_MS = Number(process.env.RECONCILE_INTERVAL_MS) || 5 * 60 * 1000;
+const RECONCILE_CONCURRENCY = Number(process.env.RECONCILE_CONCURRENCY) || 4;
+
+const PENDING_STATUSES = ['pending', 'pending-cloud'];
+
+let running = null;
+let timer = null;
+
+// Checks one image and stores the outcome on its record
+async function checkImage(img) {
+  // Same check as syncDBWithFiles, so the two never disagree
+  const hasLocalFile = hasLocalCopy(img);
+  const changes = { hasLocalFile, lastCheckedAt: new Date().toISOString() };
+
+  if (!img.remoteId) {
+    // Images still waiting to reach the cloud, or that never will, have nothing to check
+    if (!PENDING_STATUSES.includes(img.status) && img.status !== 'failed') changes.status = 'missing';
+  } else {
+    try {
+      changes.status = (await providerFor(img).exists(img.remoteId)) ? 'available' : 'missing';
+      changes.lastCheckError = null;
+    } catch (err) {
+      // Provider unreachable: keep the last known status rather than guess
+      console.warn(`[RECONCILE] Could not check image ${img.id}:`, errorMessage(err));
+      changes.lastCheckError = errorMessage(err);
+    }
+  }
+
+  const updated = patchImage(img.id, changes);
+  if (updated && changes.status && changes.status !== img.status) {
+    const reason = !img.remoteId ? 'Never uploaded to the cloud'
+      : updated.status === 'missing' ? 'Cloud asset not found' : 'Cloud asset found';
+    recordAudit({
+      actor: systemActor('reconcile'),
+      action: 'sync-status',
+      imageId: img.id,
+      ownerId: img.ownerId,
+      before: img,
+      after: updated,
+      details: { reason },
+    });
+  }
+  return updated;
+}
+
+async function checkImageById(id) {
+  const img = findImageById(id);
+  return img ? checkImage(img) : null;
+}
+
+// Full pass over the library; concurrent callers share the pass already running
+function reconcileAll() {
+  if (!running) {
+    running = (async () => {
+      const startedAt = Date.now();
+      syncDBWithFiles();
+      const images = getDB();
+      const results = await mapWithConcurrency(images, RECONCILE_CONCURRENCY, checkImage);
+      const missing = results.filter(r => r && r.status === 'missing').length;
+      console.log(`[RECONCILE] Checked ${images.length} image(s) in ${Date.now() - startedAt}ms, ${missing} missing.`);
+      return results;
+    })().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+function startReconciler() {
+  if (timer) return;
+  const run = () => reconcileAll().catch(err => console.error('[RECONCILE] Pass failed:', err));
+  run();
+  timer = setInterval(run, RECONCILE_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  checkImage,
+  checkImageById,
+  reconcileAll,
+  startReconciler,
+};
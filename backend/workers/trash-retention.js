@@ -0,0 +1,39 @@
+/**
+ * Trash retention worker.
+ *
+ * Every TRASH_PURGE_INTERVAL_MS, permanently deletes the trashed images whose
+ * retention period (TRASH_RETENTION_DAYS, see trash.js) is over. Their cloud
+ * assets are removed by the usual `delete` jobs.
+ */
+const { purgeExpiredTrash } = require('../trash');
+
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+let timer = null;
+
+function purgeExpired() {
+  const purged = purgeExpiredTrash();
+  if (purged > 0) {
+    console.log(`[TRASH] Permanently deleted ${purged} expired image(s).`);
+  }
+  return purged;
+}
+
+function startTrashRetention() {
+  if (timer) return;
+  const run = () => {
+    try {
+      purgeExpired();
+    } catch (err) {
+      console.error('[TRASH] Purge failed:', err);
+    }
+  };
+  run();
+  timer = setInterval(run, TRASH_PURGE_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  purgeExpired,
+  startTrashRetention,
+};
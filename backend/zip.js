@@ -0,0 +1,36 @@
+/**
+ * zip.js
+ * Helpers for the zip files the server streams (bulk downloads, library export).
+ */
+const archiver = require('archiver');
+
+// Starts a zip download named `filename` on `res`
+function createZip(res, filename) {
+  // Images are already compressed; storing them keeps the zip fast to build
+  const archive = archiver('zip', { store: true });
+  res.attachment(filename);
+  archive.pipe(res);
+  return archive;
+}
+
+// Resolves once archiver has written the entry, so only one source is open at a time
+function appendEntry(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      archive.off('error', fail);
+      resolve();
+    };
+    const fail = err => {
+      archive.off('entry', done);
+      reject(err);
+    };
+    archive.once('entry', done);
+    archive.once('error', fail);
+    archive.append(source, { name });
+  });
+}
+
+module.exports = {
+  createZip,
+  appendEntry,
+};
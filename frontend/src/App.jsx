@@ -1,19 +1,62 @@
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Outlet } from 'react-router-dom';
+import AuthProvider from './components/AuthProvider';
+import RequireAuth from './components/RequireAuth';
 import Layout from './components/Layout';
 import Home from './pages/Home';
+import Login from './pages/Login';
+import Logout from './pages/Logout';
 import ImageUploader from './components/ImageUploader';
 import LocalStorage from './pages/LocalStorage';
+import Jobs from './pages/Jobs';
+import Albums from './pages/Albums';
+import AlbumDetail from './pages/AlbumDetail';
+import Duplicates from './pages/Duplicates';
+import Trash from './pages/Trash';
+import Admin from './pages/Admin';
+import Shares from './pages/Shares';
+import Activity from './pages/Activity';
+import SharedView from './pages/SharedView';
 
 function App() {
   return (
     <Router>
-      <Layout>
+      <AuthProvider>
         <Routes>
-          <Route path="/" element={<Home />} />
-          <Route path="/cloudinary" element={<ImageUploader />} />
-          <Route path="/local" element={<LocalStorage />} />
+          <Route path="/login" element={<Login />} />
+          <Route path="/logout" element={<Logout />} />
+          {/* Share links are public */}
+          <Route path="/share/:token" element={<SharedView />} />
+          {/* Everything else needs a logged-in user */}
+          <Route
+            element={
+              <RequireAuth>
+                <Layout>
+                  <Outlet />
+                </Layout>
+              </RequireAuth>
+            }
+          >
+            <Route path="/" element={<Home />} />
+            <Route path="/cloudinary" element={<ImageUploader />} />
+            <Route path="/local" element={<LocalStorage />} />
+            <Route path="/albums" element={<Albums />} />
+            <Route path="/albums/:id" element={<AlbumDetail />} />
+            <Route path="/duplicates" element={<Duplicates />} />
+            <Route path="/trash" element={<Trash />} />
+            <Route path="/shares" element={<Shares />} />
+            <Route path="/jobs" element={<Jobs />} />
+            <Route path="/activity" element={<Activity />} />
+            <Route
+              path="/admin"
+              element={
+                <RequireAuth role="admin">
+                  <Admin />
+                </RequireAuth>
+              }
+            />
+          </Route>
         </Routes>
-      </Layout>
+      </AuthProvider>
     </Router>
   );
 }
@@ -0,0 +1,39 @@
+// How each audit action (backend/audit.js) reads in a timeline
+export const ACTION_LABELS = {
+  upload: 'Uploaded',
+  replace: 'Replaced with a new version',
+  promote: 'Earlier version made current',
+  'cloud-upload': 'Uploaded to the cloud',
+  restore: 'Restored to the cloud',
+  trash: 'Moved to the trash',
+  untrash: 'Restored from the trash',
+  delete: 'Deleted for good',
+  purge: 'Purged from the trash',
+  'cloud-delete': 'Removed from the cloud',
+  'sync-status': 'Status changed by a check',
+  'sync-remove': 'Local file found missing',
+};
+
+// "alice", "alice (API key: CI)", "system (reconcile)"
+export const describeActor = (actor) => {
+  if (!actor) return 'unknown';
+  if (actor.type === 'system') return `system (${actor.name})`;
+  return actor.apiKey ? `${actor.name} (API key: ${actor.apiKey.name})` : actor.name;
+};
+
+// "available → missing", "in trash", ... from an entry's before / after snapshots
+export const describeChange = ({ before, after }) => {
+  const state = (snapshot) => {
+    if (!snapshot) return 'gone';
+    return snapshot.trashedAt ? 'in trash' : snapshot.status || 'unknown';
+  };
+  if (!before && !after) return '';
+  if (!before) return state(after);
+  const from = state(before);
+  const to = state(after);
+  return from === to ? from : `${from} → ${to}`;
+};
+
+// The entry's details as short "key: value" text
+export const describeDetails = (details) =>
+  details ? Object.entries(details).map(([key, value]) => `${key}: ${value}`).join(' · ') : '';
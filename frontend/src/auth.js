@@ -0,0 +1,13 @@
+import { createContext, useContext } from 'react';
+
+// Login state shared by the whole app; provided by components/AuthProvider.jsx
+export const AuthContext = createContext(null);
+
+// { user, signupOpen, loading, login, register, logout }
+export const useAuth = () => useContext(AuthContext);
+
+// Roles from least to most access, as on the server (backend/users.js)
+export const ROLES = ['viewer', 'uploader', 'admin'];
+
+// Whether `role` includes everything `required` may do
+export const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
@@ -0,0 +1,35 @@
+import { ACTION_LABELS, describeActor, describeChange, describeDetails } from '../activity';
+
+/**
+ * ActivityEntry
+ * One audit log entry: what happened, who did it, when, the status change
+ * and, for failures, the error. `showImage` adds the image's name for
+ * timelines that span the whole library.
+ */
+const ActivityEntry = ({ entry, showImage = false }) => {
+  const change = describeChange(entry);
+  const details = describeDetails(entry.details);
+  const imageName = entry.before?.originalName || entry.after?.originalName || entry.details?.originalName;
+
+  return (
+    <li className="flex flex-col">
+      <span>
+        <span className={`font-medium ${entry.result === 'failed' ? 'text-red-600' : 'text-gray-700'}`}>
+          {ACTION_LABELS[entry.action] || entry.action}
+          {entry.result === 'failed' ? ' (failed)' : ''}
+        </span>
+        {showImage && imageName ? ` · ${imageName}` : ''}
+        {' · '}
+        {describeActor(entry.actor)}
+        {' · '}
+        {new Date(entry.at).toLocaleString()}
+      </span>
+      {(change || details) && (
+        <span className="text-gray-400">{[change, details].filter(Boolean).join(' · ')}</span>
+      )}
+      {entry.error && <span className="text-red-500 truncate" title={entry.error}>{entry.error}</span>}
+    </li>
+  );
+};
+
+export default ActivityEntry;
@@ -0,0 +1,50 @@
+import { useState } from 'react';
+import ActivityEntry from './ActivityEntry';
+
+/**
+ * ActivityTimeline
+ * Collapsible audit trail of one image (uploads, restores, deletes and sync
+ * changes), newest first. Loaded from /api/audit when first opened.
+ */
+const ActivityTimeline = ({ imageId }) => {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadEntries = async () => {
+    try {
+      const response = await fetch(`/api/audit?imageId=${encodeURIComponent(imageId)}&limit=100`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+      }
+      setEntries(data.items);
+    } catch (err) {
+      console.error('Error loading activity:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <details
+      className="mt-3 text-xs text-gray-500"
+      onToggle={(e) => {
+        if (e.currentTarget.open && entries === null) loadEntries();
+      }}
+    >
+      <summary className="cursor-pointer select-none">Activity</summary>
+      {error ? (
+        <p className="mt-2 text-red-500">{error}</p>
+      ) : entries === null ? (
+        <p className="mt-2">Loading…</p>
+      ) : entries.length === 0 ? (
+        <p className="mt-2">Nothing recorded yet</p>
+      ) : (
+        <ul className="mt-2 space-y-1">
+          {entries.map((entry) => <ActivityEntry key={entry.id} entry={entry} />)}
+        </ul>
+      )}
+    </details>
+  );
+};
+
+export default ActivityTimeline;
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+
+/**
+ * AlbumSelect
+ * Dropdown that adds an image to an album, or takes it out of an album it is
+ * already in (marked with ✓). Calls `onChange` after a successful update.
+ */
+const AlbumSelect = ({ image, albums, onChange }) => {
+  const [saving, setSaving] = useState(false);
+  const memberOf = image.albumIds || [];
+
+  if (!albums || albums.length === 0) return null;
+
+  const handleSelect = async (e) => {
+    const albumId = e.target.value;
+    if (!albumId) return;
+    const isMember = memberOf.includes(albumId);
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/albums/${albumId}/images`, {
+        method: isMember ? 'DELETE' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ imageIds: [image.id] }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Album update failed: ${response.statusText}`);
+      }
+      onChange?.();
+    } catch (err) {
+      console.error('Error updating album:', err);
+      alert('Failed to update album: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <select
+      value=""
+      onChange={handleSelect}
+      disabled={saving}
+      className="mt-2 w-full px-2 py-1 border border-gray-200 rounded text-xs bg-white text-gray-600"
+      aria-label="Add to album"
+    >
+      <option value="">
+        {memberOf.length > 0 ? `In ${memberOf.length} album${memberOf.length === 1 ? '' : 's'}…` : 'Add to album…'}
+      </option>
+      {albums.map((album) => (
+        <option key={album.id} value={album.id}>
+          {memberOf.includes(album.id) ? `✓ ${album.name} (remove)` : album.name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default AlbumSelect;
@@ -0,0 +1,74 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AuthContext } from '../auth';
+
+// POSTs credentials to an /api/auth endpoint; throws the server's error message
+const postAuth = async (path, body) => {
+  const response = await fetch(`/api/auth/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  return data;
+};
+
+/**
+ * AuthProvider
+ * Loads the current session once and keeps track of who is logged in. The
+ * session itself lives in an HttpOnly cookie set by the backend, so there is
+ * no token to store here.
+ */
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [signupOpen, setSignupOpen] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const loadSession = useCallback(async () => {
+    try {
+      const response = await fetch('/api/auth/session');
+      const data = await response.json();
+      setUser(data.user);
+      setSignupOpen(data.signupOpen);
+    } catch (err) {
+      console.error('Error loading session:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSession();
+  }, [loadSession]);
+
+  const login = useCallback(async (username, password) => {
+    const data = await postAuth('login', { username, password });
+    setUser(data.user);
+  }, []);
+
+  const register = useCallback(async (username, password) => {
+    const data = await postAuth('register', { username, password });
+    setUser(data.user);
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+    // Sign-up may have closed since the page loaded
+    await loadSession();
+  }, [loadSession]);
+
+  const value = useMemo(
+    () => ({ user, signupOpen, loading, login, register, logout }),
+    [user, signupOpen, loading, login, register, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,170 @@
+import { useState } from 'react';
+
+const ACTION_LABELS = {
+  delete: 'Moved to trash',
+  restore: 'Restore queued for',
+  tag: 'Updated tags on',
+  'move-to-album': 'Added to album',
+};
+
+// One line for a bulk response: how many succeeded, and why the rest did not
+const summarize = (action, results) => {
+  const ok = results.filter((result) => result.status === 'ok').length;
+  const problems = results.filter((result) => result.status === 'not_found' || result.status === 'failed');
+  const reasons = [...new Set(problems.map((result) => result.error))].join('; ');
+  return `${ACTION_LABELS[action]} ${ok} of ${results.length} image(s).` +
+    (problems.length > 0 ? ` ${problems.length} failed: ${reasons}` : '');
+};
+
+// Saves a Blob under `filename` through a temporary link
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * BulkActionBar
+ * Sticky bar shown while images are selected in the gallery. Runs one action
+ * on all of them through POST /api/images/bulk and reports how it went.
+ * Calls `onDone` after anything that changed the library.
+ */
+const BulkActionBar = ({ selectedIds, albums, onSelectAll, onClear, onDone }) => {
+  const [busy, setBusy] = useState(false);
+  const [tag, setTag] = useState('');
+  const [summary, setSummary] = useState('');
+
+  if (selectedIds.length === 0 && !summary) return null;
+
+  const runAction = async (action, options = {}) => {
+    setBusy(true);
+    setSummary('');
+    try {
+      const response = await fetch('/api/images/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, imageIds: selectedIds, ...options }),
+      });
+      if (action === 'download') {
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.error || `Download failed: ${response.statusText}`);
+        }
+        const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+        saveBlob(await response.blob(), filename ? filename[1] : 'images.zip');
+        return;
+      }
+      const data = await response.json();
+      if (!response.ok && response.status !== 207) {
+        throw new Error(data.error || `Bulk ${action} failed: ${response.statusText}`);
+      }
+      setSummary(summarize(action, data.results));
+      if (action === 'delete') onClear();
+      onDone?.();
+    } catch (err) {
+      console.error(`Error running bulk ${action}:`, err);
+      setSummary(`Failed: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Move ${selectedIds.length} image(s) to the trash?`)) return;
+    runAction('delete');
+  };
+
+  const handleTag = (e) => {
+    e.preventDefault();
+    const name = tag.trim();
+    if (!name) return;
+    runAction('tag', { add: [name] }).then(() => setTag(''));
+  };
+
+  const handleAlbum = (e) => {
+    const albumId = e.target.value;
+    if (albumId) runAction('move-to-album', { albumId });
+  };
+
+  const buttonClass = 'px-3 py-1 rounded-md text-sm disabled:opacity-50';
+
+  return (
+    <div className="sticky bottom-4 z-10 mt-6 bg-white border border-gray-200 rounded-xl shadow-lg px-4 py-3 space-y-2">
+      {selectedIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-gray-800 mr-2">{selectedIds.length} selected</span>
+          <button type="button" onClick={onSelectAll} className="text-sm text-blue-600 hover:text-blue-700">
+            Select page
+          </button>
+          <button type="button" onClick={onClear} className="text-sm text-gray-500 hover:text-gray-700 mr-2">
+            Clear
+          </button>
+          <button
+            type="button"
+            onClick={() => runAction('restore')}
+            disabled={busy}
+            className={`${buttonClass} bg-blue-500 text-white hover:bg-blue-600`}
+          >
+            Restore
+          </button>
+          <button
+            type="button"
+            onClick={() => runAction('download')}
+            disabled={busy}
+            className={`${buttonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}
+          >
+            Download zip
+          </button>
+          <form onSubmit={handleTag} className="flex items-center gap-1">
+            <input
+              type="text"
+              value={tag}
+              onChange={(e) => setTag(e.target.value)}
+              placeholder="Add tag"
+              disabled={busy}
+              className="w-28 px-2 py-1 border border-gray-200 rounded text-sm"
+            />
+            <button type="submit" disabled={busy || !tag.trim()} className={`${buttonClass} bg-gray-100 text-gray-700 hover:bg-gray-200`}>
+              Tag
+            </button>
+          </form>
+          {albums && albums.length > 0 && (
+            <select
+              value=""
+              onChange={handleAlbum}
+              disabled={busy}
+              className="px-2 py-1 border border-gray-200 rounded text-sm bg-white text-gray-600"
+              aria-label="Add selected images to album"
+            >
+              <option value="">Add to album…</option>
+              {albums.map((album) => (
+                <option key={album.id} value={album.id}>{album.name}</option>
+              ))}
+            </select>
+          )}
+          <button
+            type="button"
+            onClick={handleDelete}
+            disabled={busy}
+            className={`${buttonClass} bg-red-500 text-white hover:bg-red-600 ml-auto`}
+          >
+            Delete
+          </button>
+        </div>
+      )}
+      {summary && (
+        <div className="flex items-start justify-between gap-4 text-sm text-gray-600">
+          <span>{summary}</span>
+          <button type="button" onClick={() => setSummary('')} className="text-gray-400 hover:text-gray-600">
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,67 @@
+/**
+ * ImageDetails
+ * Collapsible panel with the metadata the backend extracted on upload
+ * (dimensions, format, EXIF capture date, camera and GPS position).
+ */
+const ORIENTATIONS = {
+  1: "Normal",
+  2: "Mirrored",
+  3: "Rotated 180°",
+  4: "Mirrored, rotated 180°",
+  5: "Mirrored, rotated 90° CCW",
+  6: "Rotated 90° CW",
+  7: "Mirrored, rotated 90° CW",
+  8: "Rotated 90° CCW",
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes && bytes !== 0) return null;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const ImageDetails = ({ image }) => {
+  const metadata = image.metadata;
+  if (!metadata) return null;
+
+  const camera = [metadata.cameraMake, metadata.cameraModel].filter(Boolean).join(" ");
+  const rows = [
+    ["Dimensions", metadata.width && metadata.height ? `${metadata.width} × ${metadata.height}` : null],
+    ["Format", metadata.format ? metadata.format.toUpperCase() : null],
+    ["File size", formatBytes(image.size)],
+    ["Orientation", metadata.orientation > 1 ? ORIENTATIONS[metadata.orientation] : null],
+    ["Captured", metadata.capturedAt ? new Date(metadata.capturedAt).toLocaleString() : null],
+    ["Camera", camera || null],
+  ].filter(([, value]) => value);
+
+  return (
+    <details className="mt-3 text-xs text-gray-500">
+      <summary className="cursor-pointer select-none">Details</summary>
+      <dl className="mt-2 grid grid-cols-[auto,1fr] gap-x-3 gap-y-1">
+        {rows.map(([label, value]) => (
+          <div key={label} className="contents">
+            <dt className="text-gray-400">{label}</dt>
+            <dd className="text-gray-700 truncate" title={value}>{value}</dd>
+          </div>
+        ))}
+        {metadata.gps && (
+          <div className="contents">
+            <dt className="text-gray-400">Location</dt>
+            <dd>
+              <a
+                href={`https://www.openstreetmap.org/?mlat=${metadata.gps.latitude}&mlon=${metadata.gps.longitude}#map=15/${metadata.gps.latitude}/${metadata.gps.longitude}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-600 hover:underline"
+              >
+                {metadata.gps.latitude.toFixed(5)}, {metadata.gps.longitude.toFixed(5)}
+              </a>
+            </dd>
+          </div>
+        )}
+      </dl>
+    </details>
+  );
+};
+
+export default ImageDetails;
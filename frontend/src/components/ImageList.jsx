@@ -11,9 +11,9 @@ const ImageList = ({ images }) => (
             className="flex items-center gap-2 border p-2 rounded"
           >
             <span>{img.originalName}</span>
-            {img.cloudinaryUrl && img.status !== "missing" && (
+            {img.remoteUrl && img.status !== "missing" && (
               <a
-                href={img.cloudinaryUrl}
+                href={img.remoteUrl}
                 target="_blank"
                 rel="noreferrer"
                 className="text-blue-500 underline"
@@ -23,7 +23,7 @@ const ImageList = ({ images }) => (
             )}
             {img.status === "missing" && (
               <span className="px-2 py-1 text-sm text-white bg-red-500 rounded">
-                Missing on Cloudinary
+                Missing in cloud storage
               </span>
             )}
           </li>
@@ -1,13 +1,35 @@
-import { useRef, useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import RestoreDialog from "./RestoreDialog";
+import RestoreHistory from "./RestoreHistory";
+import VersionHistory from "./VersionHistory";
+import ShareLinks from "./ShareLinks";
+import ActivityTimeline from "./ActivityTimeline";
+import ListControls from "./ListControls";
+import Pagination from "./Pagination";
+import TagEditor from "./TagEditor";
+import NotesEditor from "./NotesEditor";
+import AlbumSelect from "./AlbumSelect";
+import ImageDetails from "./ImageDetails";
+import { DEFAULT_LIST_QUERY, toListQueryString } from "../listQuery";
+import { useServerEvent } from "../serverEvents";
+import {
+  GRID_SIZES,
+  thumbnailUrl,
+  thumbnailSrcSet,
+  getOptimizedImageUrl,
+  cloudinarySrcSet,
+} from "../imageUrls";
+import UploadQueue from "./UploadQueue";
+import BulkActionBar from "./BulkActionBar";
 
 /**
  * ImageUploader component:
- * - Lets user select, preview, and upload an image to Cloudinary
+ * - Uploads images through UploadQueue (multi-select, drag-and-drop, paste, per-file progress)
+ * - Selects gallery images (checkbox, shift-click for a range) for BulkActionBar
  * - Stores both secure_url and local backup in localStorage for gallery/restore
- * - Checks gallery Cloudinary URLs for existence, and allows restore if missing
+ * - Updates the gallery from the server's live events (uploads, restores, deletes, status changes)
  * - Integrates RestoreDialog for restoration if image is gone from Cloudinary
- * - NOW: Periodically (every 30s) checks for missing images and auto-prompts restore dialog
+ * - Auto-prompts the restore dialog when the server finds an image missing from the cloud
  * - NO createObjectURL errors: all uses are gated with instanceof File
  * 
  * For Vite, requires .env in frontend root:
@@ -18,23 +40,19 @@ const CLOUDINARY_CLOUD_NAME = import.meta.env.VITE_CLOUDINARY_CLOUD_NAME;
 const CLOUDINARY_UPLOAD_PRESET = import.meta.env.VITE_CLOUDINARY_UPLOAD_PRESET;
 
 const LOCAL_STORAGE_IMAGE_KEY_PREFIX = 'cloud_image_';
-const LOCAL_BACKUP_IMAGE_KEY_PREFIX = 'backup_image_';
-const POLL_INTERVAL_MS = 30000; // 30 seconds
-// Polling interval for checking missing images
-// and restoring them if needed
-
-// Add this helper function at the top of the file, after the imports
-const getOptimizedImageUrl = (url) => {
-  if (!url) return '';
-  // If it's a Cloudinary URL, add optimization parameters
-  if (url.includes('cloudinary.com')) {
-    // Add f_auto for automatic format selection
-    // Add q_auto for automatic quality optimization
-    // Add w_auto for automatic width based on device
-    // Add c_scale for proper scaling
-    return url.replace('/upload/', '/upload/f_auto,q_auto,w_auto,c_scale/');
+// Live events often come in bursts (bulk actions, batches); reload once per burst
+const EVENT_RELOAD_DELAY_MS = 300;
+
+// Adds the browser's local backup of the image, if any
+const withLocalBackup = (image) => {
+  const backupData = image.backupKey && localStorage.getItem(image.backupKey);
+  if (!backupData) return image;
+  try {
+    return { ...image, localBackup: JSON.parse(backupData) };
+  } catch (e) {
+    console.error("Error parsing backup data:", e);
+    return image;
   }
-  return url;
 };
 
 // ImageUploader component
@@ -42,23 +60,23 @@ const getOptimizedImageUrl = (url) => {
 // It provides a gallery view of uploaded images and handles restoration of missing images
 // It also includes a restore dialog for user confirmation before restoring images
 // It uses localStorage to store image data and backup keys
-// It uses the Cloudinary API for image uploads and checks for image existence
+// It uses the Cloudinary API for image uploads and the server's live events for their status
 // It uses React hooks for state management and side effects
 // It uses functional components and hooks for better performance and readability
 // It uses Tailwind CSS for styling and layout
 // It uses the Fetch API for network requests and error handling
 // It uses the FileReader API for reading files and creating local backups
 const ImageUploader = () => {
-  const fileInputRef = useRef();
-  const [selectedFile, setSelectedFile] = useState(null);        // Always a File or null
-  const [selectedFileBackupKey, setSelectedFileBackupKey] = useState(null);  // backupKey for pending upload
-  const [previewUrl, setPreviewUrl] = useState(null);
-  const [uploading, setUploading] = useState(false);
-  const [uploadedUrl, setUploadedUrl] = useState(null);
   const [errorMsg, setErrorMsg] = useState("");
   const [galleryImages, setGalleryImages] = useState([]);
+  const [listQuery, setListQuery] = useState(DEFAULT_LIST_QUERY);
+  const [pageInfo, setPageInfo] = useState({ page: 1, totalPages: 1, total: 0 });
+  const [albums, setAlbums] = useState([]);
   const [restoreDialogOpen, setRestoreDialogOpen] = useState(false);
   const [imageToRestore, setImageToRestore] = useState(null);
+  // Gallery selection for bulk actions; the anchor is where a shift-click range starts
+  const [selectedIds, setSelectedIds] = useState([]);
+  const selectionAnchorRef = useRef(null);
   
   // For tracking queue of missing images for restore
   const [missingForRestore, setMissingForRestore] = useState([]);
@@ -66,55 +84,19 @@ const ImageUploader = () => {
   // Track images that user has explicitly cancelled restoring
   const [suppressedKeys, setSuppressedKeys] = useState([]);
 
-  // Helper: Safe base64 backup creator
-  const createLocalBackup = (image) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const backupData = {
-          data: e.target.result,
-          originalName: image.name,
-          timestamp: new Date().toISOString(),
-          type: image.type,
-          size: image.size
-        };
-        resolve(backupData);
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(image);
-      console.log("Creating local backup for image:", image.name);
-    });
-  };
-
   // Updated to fetch images from the backend and render previews
-  const loadGalleryImages = async () => {
+  const loadGalleryImages = useCallback(async () => {
     try {
       console.log("Fetching gallery images from backend...");
-      const response = await fetch("/api/images");
+      const response = await fetch(`/api/images?${toListQueryString(listQuery)}`);
       if (!response.ok) {
         throw new Error(`Failed to fetch images: ${response.statusText}`);
       }
-      const images = await response.json();
+      const { items: images, page, totalPages, total } = await response.json();
+      setPageInfo({ page, totalPages, total });
       
       // Enhance images with local backup data
-      const enhancedImages = images.map(image => {
-        const backupKey = image.backupKey;
-        if (backupKey) {
-          const backupData = localStorage.getItem(backupKey);
-          if (backupData) {
-            try {
-              const parsedBackup = JSON.parse(backupData);
-              return {
-                ...image,
-                localBackup: parsedBackup
-              };
-            } catch (e) {
-              console.error("Error parsing backup data:", e);
-            }
-          }
-        }
-        return image;
-      });
+      const enhancedImages = images.map(withLocalBackup);
 
       console.log("Fetched images with local backups:", enhancedImages);
       setGalleryImages(enhancedImages);
@@ -123,64 +105,49 @@ const ImageUploader = () => {
       setErrorMsg("Failed to load images: " + (err.message || "Network error. Please try again."));
       setGalleryImages([]); // Clear gallery on error
     }
-  };
+  }, [listQuery]);
 
-  // Load gallery on mount and when storage updates
+  // Load gallery on mount, when the list query changes and when storage updates
   useEffect(() => {
     loadGalleryImages();
     const handleStorage = () => loadGalleryImages();
     window.addEventListener('storage', handleStorage);
     return () => window.removeEventListener('storage', handleStorage);
-  }, []);
+  }, [loadGalleryImages]);
 
-  // For preview: only run if selectedFile is a real File
+  // Albums offered in each card's album menu
   useEffect(() => {
-    if (selectedFile && selectedFile instanceof File) {
-      const url = URL.createObjectURL(selectedFile);
-      setPreviewUrl(url);
-      return () => URL.revokeObjectURL(url);
-    } else {
-      setPreviewUrl(null);
-    }
-  }, [selectedFile]);
-
-  // When new upload occurs, update gallery
-  useEffect(() => {
-    if (uploadedUrl) {
-      loadGalleryImages();
-    }
-  }, [uploadedUrl]);
+    fetch("/api/albums")
+      .then((response) => (response.ok ? response.json() : []))
+      .then(setAlbums)
+      .catch((err) => console.error("Error loading albums:", err));
+  }, []);
 
-  // Check if an image exists on Cloudinary by attempting a HEAD request
-  const checkCloudinaryImage = async (url) => {
-    // Add a random query param to avoid CDN cache confusion
-    const urlWithCacheBust = url + (url.includes("?") ? "&" : "?") + "_cb=" + Date.now();
+  // Filter and sort changes start again from the first page
+  const handleListQueryChange = (changes) => {
+    setListQuery((prev) => ({ ...prev, ...changes, page: 1 }));
+    clearSelection();
+  };
 
-    // Add logging to debug URLs being checked in `checkCloudinaryImage`
-    console.log("Checking Cloudinary URL:", urlWithCacheBust);
+  const clearSelection = () => {
+    setSelectedIds([]);
+    selectionAnchorRef.current = null;
+  };
 
-    try {
-      const resp = await fetch(urlWithCacheBust, { method: "HEAD", mode: "cors" });
-      if (resp.ok) {
-        // 2xx means image exists
-        return true;
-      } else if (resp.status === 404) {
-        // Not found
-        return false;
-      } else {
-        // If any other status (403?), fallback to GET
-        const getResp = await fetch(urlWithCacheBust, { method: "GET", mode: "cors" });
-        if (getResp.ok) return true;
-        if (getResp.status === 404) return false;
-        // Any other non-2xx: log and treat as missing
-        console.warn("Unexpected Cloudinary response status on GET:", getResp.status);
-        return false;
-      }
-    } catch (err) {
-      console.log("CORS/network error when checking Cloudinary image:", err);
-      // Most likely image missing or blocked
-      return false;
-    }
+  // Toggles one image; with shift held, the images between the anchor and this
+  // one (on the current page) take this image's new state
+  const handleSelect = (imageId, shiftKey) => {
+    const select = !selectedIds.includes(imageId);
+    const ids = galleryImages.map((img) => img.id);
+    const anchor = ids.indexOf(selectionAnchorRef.current);
+    const index = ids.indexOf(imageId);
+    const range = shiftKey && anchor !== -1
+      ? ids.slice(Math.min(anchor, index), Math.max(anchor, index) + 1)
+      : [imageId];
+    setSelectedIds((prev) =>
+      select ? [...new Set([...prev, ...range])] : prev.filter((id) => !range.includes(id))
+    );
+    selectionAnchorRef.current = imageId;
   };
 
   // Remove image from localStorage and gallery
@@ -195,7 +162,7 @@ const ImageUploader = () => {
     setRestoreDialogOpen(true);
   };
 
-  // Updated `handleRestoreConfirm` to restore images to Cloudinary
+  // Queues a restore of the image on the backend (see the Jobs page for progress)
   const handleRestoreConfirm = async () => {
     if (!imageToRestore || !imageToRestore.id) {
       alert("No image selected for restoration.");
@@ -203,7 +170,6 @@ const ImageUploader = () => {
     }
 
     try {
-      setUploading(true);
       const response = await fetch(`/api/restore/${imageToRestore.id}`, {
         method: "POST",
       });
@@ -213,8 +179,7 @@ const ImageUploader = () => {
         throw new Error(errorData.error || `Restore failed: ${response.statusText}`);
       }
 
-      const restoredImage = await response.json();
-      alert("Image restored successfully!");
+      alert("Restore queued. The image will be re-uploaded in the background.");
 
       // Update the gallery after restoration
       loadGalleryImages();
@@ -222,7 +187,6 @@ const ImageUploader = () => {
       console.error("Error restoring image:", err);
       alert("Failed to restore image: " + (err.message || "Network error. Please try again."));
     } finally {
-      setUploading(false);
       setRestoreDialogOpen(false);
       setImageToRestore(null);
     }
@@ -278,121 +242,50 @@ const ImageUploader = () => {
     }
   }, [missingForRestore, restoreDialogOpen]);
 
-  // AUTO POLLING: periodically check Cloudinary for missing images
-  useEffect(() => {
-    let polling = true;
-    const poll = async () => {
-      if (!galleryImages || galleryImages.length === 0) return;
-      const missingImages = [];
-      await Promise.all(
-        galleryImages.map(async (img) => {
-          // Check if image has a Cloudinary URL and is not already marked as missing
-          if (img.cloudinaryUrl && img.status !== 'missing' && !suppressedKeys.includes(img.id)) {
-            const exists = await checkCloudinaryImage(img.cloudinaryUrl);
-            if (!exists) {
-              console.log("Image missing in Cloudinary:", img.cloudinaryUrl);
-              missingImages.push({...img, status: 'missing'});
-            }
-          }
-        })
-      );
-      if (polling && missingImages.length > 0) {
-        console.log("Found missing images:", missingImages);
-        // Only enqueue images not already in the current restore queue or being shown
-        setMissingForRestore((prev) => {
-          const needed = missingImages.filter(
-            (img) =>
-              !prev.some((q) => q.id === img.id) &&
-              (!imageToRestore || img.id !== imageToRestore.id)
-          );
-          return prev.concat(needed);
-        });
-      }
-    };
-
-    const interval = setInterval(poll, POLL_INTERVAL_MS);
-    // Also, do the initial poll as soon as images change
-    poll();
-
-    return () => {
-      polling = false;
-      clearInterval(interval);
-    };
-  }, [galleryImages, imageToRestore, suppressedKeys]);
+  // LIVE EVENTS: reload the gallery when the server reports a change to one of
+  // the user's images, and queue a restore prompt when one goes missing
+  const reloadTimerRef = useRef(null);
+  useEffect(() => () => clearTimeout(reloadTimerRef.current), []);
 
-  // File selection handler; always set selectedFile to a File, and store backupKey separately
-  const handleFileChange = async (e) => {
-    const file = e.target.files[0];
-    setSelectedFile(file || null);
-    setUploadedUrl(null);
-    setErrorMsg("");
-    setPreviewUrl(null);
-    setSelectedFileBackupKey(null);
+  const scheduleReload = useCallback(() => {
+    clearTimeout(reloadTimerRef.current);
+    reloadTimerRef.current = setTimeout(loadGalleryImages, EVENT_RELOAD_DELAY_MS);
+  }, [loadGalleryImages]);
 
-    if (file) {
-      try {
-        const backupKey = `${LOCAL_BACKUP_IMAGE_KEY_PREFIX}${Date.now()}`;
-        const backupData = await createLocalBackup(file);
-        localStorage.setItem(backupKey, JSON.stringify(backupData));
-        setSelectedFileBackupKey(backupKey);
-        console.log("Local backup created with key:", backupKey);
-      } catch (err) {
-        console.error("Error creating local backup:", err);
-        setErrorMsg("Failed to create local backup");
-      }
+  const promptRestore = async (imageId) => {
+    try {
+      const response = await fetch(`/api/images/${imageId}`);
+      if (!response.ok) return;
+      const img = withLocalBackup(await response.json());
+      if (img.status !== 'missing') return;
+      console.log("Image missing in cloud storage:", img.remoteUrl);
+      setMissingForRestore((prev) =>
+        prev.some((q) => q.id === img.id) ? prev : [...prev, img]
+      );
+    } catch (err) {
+      console.error("Error loading missing image:", err);
     }
   };
 
-  // Removed logic for saving the image in the browser's local storage
-  const handleUploadClick = async () => {
-    if (!selectedFile || !(selectedFile instanceof File)) {
-      setErrorMsg("No file selected.");
-      return;
+  useServerEvent('image', (event) => {
+    scheduleReload();
+    if (event.result !== 'ok') return;
+    if (event.status === 'missing') {
+      const shown = imageToRestore && imageToRestore.id === event.imageId;
+      if (!shown && !suppressedKeys.includes(event.imageId)) promptRestore(event.imageId);
+    } else {
+      // Restored, deleted or back in the cloud: nothing left to prompt for
+      setMissingForRestore((prev) => prev.filter((q) => q.id !== event.imageId));
     }
+  });
 
-    setUploading(true);
-    setErrorMsg("");
-
-    try {
-      // Create local backup before uploading
-      const backupKey = `${LOCAL_BACKUP_IMAGE_KEY_PREFIX}${Date.now()}`;
-      const backupData = await createLocalBackup(selectedFile);
-      localStorage.setItem(backupKey, JSON.stringify(backupData));
-      console.log("Local backup created with key:", backupKey);
-
-      // Updated the field name to match the backend
-      const formData = new FormData();
-      formData.append("image", selectedFile);
-      formData.append("backupKey", backupKey);
-      formData.append("backupData", JSON.stringify(backupData));
-      formData.append("originalName", selectedFile.name);
-
-      const response = await fetch("/api/upload", {
-        method: "POST",
-        body: formData,
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `Upload failed: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      alert("File uploaded successfully!");
-      setUploadedUrl(data.path);
-      loadGalleryImages(); // Refresh gallery after upload
-    } catch (err) {
-      console.error("Upload error:", err);
-      setErrorMsg("Failed to upload: " + (err.message || "Network error. Please try again."));
-    } finally {
-      setUploading(false);
-      setSelectedFile(null);
-      setPreviewUrl(null);
-    }
-  };
+  // Events sent while the stream was down are lost
+  useServerEvent('resync', loadGalleryImages);
 
   // Gallery grid: shows restore for missing images, and avoids crash if old data format exists
-  const GalleryGrid = () => {
+  // Rendered as a plain function (not <GalleryGrid />) so the cards, and the tag
+  // inputs inside them, are not remounted every time the gallery refreshes
+  const renderGalleryGrid = () => {
     if (!galleryImages || galleryImages.length === 0) {
       return <div className="text-gray-400 text-center">No images available</div>;
     }
@@ -402,24 +295,44 @@ const ImageUploader = () => {
         {galleryImages.map((image) => (
           <div
             key={image.id}
-            className="bg-white rounded-xl shadow-sm hover:shadow-md transition-all duration-300 overflow-hidden border border-gray-100"
+            className={`bg-white rounded-xl shadow-sm hover:shadow-md transition-all duration-300 overflow-hidden border ${
+              selectedIds.includes(image.id) ? "border-blue-500 ring-2 ring-blue-200" : "border-gray-100"
+            }`}
           >
             <div className="aspect-square relative bg-gray-50">
-              {image.filename ? (
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(image.id)}
+                onChange={(e) => handleSelect(image.id, e.nativeEvent.shiftKey)}
+                className="absolute top-2 left-2 z-10 w-5 h-5 cursor-pointer accent-blue-500"
+                aria-label={`Select ${image.originalName}`}
+              />
+              {image.hasLocalFile ? (
                 <img
-                  src={`/api/uploads/${image.filename}`}
+                  src={thumbnailUrl(image.id)}
+                  srcSet={thumbnailSrcSet(image.id)}
+                  sizes={GRID_SIZES}
                   alt={image.originalName}
                   className="w-full h-full object-cover"
                   loading="lazy"
+                  onError={(e) => {
+                    // hasLocalFile is only as fresh as the last check; fall back to the cloud copy
+                    if (!image.remoteUrl || e.target.dataset.fallback) return;
+                    e.target.dataset.fallback = 'remote';
+                    e.target.srcset = cloudinarySrcSet(image.remoteUrl);
+                    e.target.src = getOptimizedImageUrl(image.remoteUrl);
+                  }}
                 />
-              ) : image.cloudinaryUrl ? (
+              ) : image.remoteUrl ? (
                 <img
-                  src={getOptimizedImageUrl(image.cloudinaryUrl)}
+                  src={getOptimizedImageUrl(image.remoteUrl)}
+                  srcSet={cloudinarySrcSet(image.remoteUrl)}
+                  sizes={GRID_SIZES}
                   alt={image.originalName}
                   className="w-full h-full object-cover"
                   loading="lazy"
                   onError={(e) => {
-                    console.error('Error loading image:', image.cloudinaryUrl);
+                    console.error('Error loading image:', image.remoteUrl);
                     e.target.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjQiIGhlaWdodD0iMjQiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyIgZmlsbD0ibm9uZSIgc3Ryb2tlPSJjdXJyZW50Q29sb3IiIHZpZXdCb3g9IjAgMCAyNCAyNCI+PHBhdGggc3Ryb2tlLWxpbmVjYXA9InJvdW5kIiBzdHJva2UtbGluZWpvaW49InJvdW5kIiBzdHJva2Utd2lkdGg9IjIiIGQ9Ik00IDE2bDQuNTg2LTQuNTg2YTIgMiAwIDAxMi44MjggMEwxNiAxNm0tMi0ybDEuNTg2LTEuNTg2YTIgMiAwIDAxMi44MjggMEwyMCAxNG0tNi02aC4wMU02IDIwaDEyYTIgMiAwIDAwMi0yVjZhMiAyIDAgMDAtMi0ySDZhMiAyIDAgMDAtMiAydjEyYTIgMiAwIDAwMiAyeiIvPjwvc3ZnPg==';
                   }}
                 />
@@ -461,6 +374,37 @@ const ImageUploader = () => {
                   No Backup
                 </div>
               )}
+              {image.status === 'pending' && (
+                <div className="w-full px-4 py-2 bg-blue-50 text-blue-600 rounded-lg flex items-center justify-center gap-2">
+                  <svg className="w-4 h-4 animate-spin" fill="none" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z"></path>
+                  </svg>
+                  Uploading
+                </div>
+              )}
+              {image.status === 'pending-cloud' && (
+                <div
+                  className="w-full px-4 py-2 bg-amber-100 text-amber-700 rounded-lg flex items-center justify-center gap-2"
+                  title={image.lastUploadError || 'Cloud storage is unreachable'}
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                  Saved locally, waiting for cloud
+                </div>
+              )}
+              {image.status === 'failed' && (
+                <div
+                  className="w-full px-4 py-2 bg-red-100 text-red-600 rounded-lg flex items-center justify-center gap-2"
+                  title={image.lastUploadError || 'Local file not found'}
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                  </svg>
+                  Upload failed, local file lost
+                </div>
+              )}
               {image.status === 'available' && (
                 <div className="w-full px-4 py-2 bg-green-100 text-green-600 rounded-lg flex items-center justify-center gap-2">
                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -469,6 +413,14 @@ const ImageUploader = () => {
                   Available
                 </div>
               )}
+              <ImageDetails image={image} />
+              <TagEditor image={image} onChange={loadGalleryImages} />
+              <NotesEditor image={image} onChange={loadGalleryImages} />
+              <AlbumSelect image={image} albums={albums} onChange={loadGalleryImages} />
+              <VersionHistory image={image} onChange={loadGalleryImages} />
+              <ShareLinks type="image" targetId={image.id} />
+              <RestoreHistory history={image.restoreHistory} />
+              <ActivityTimeline imageId={image.id} />
             </div>
           </div>
         ))}
@@ -483,98 +435,53 @@ const ImageUploader = () => {
       </h2>
       
       {/* Uploader section */}
-      <div className="flex flex-col items-center justify-center p-8 border-2 border-dashed border-gray-300 rounded-xl mb-12 w-full bg-white shadow-sm hover:shadow-md transition-shadow duration-300">
-        <div className="w-72 h-72 flex items-center justify-center bg-gray-50 rounded-lg mb-6 overflow-hidden border-2 border-gray-100">
-          {previewUrl ? (
-            <img
-              src={previewUrl}
-              alt="Preview"
-              className="object-contain max-h-full max-w-full rounded-lg"
-            />
-          ) : (
-            <div className="text-center p-6">
-              <svg className="w-16 h-16 mx-auto text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-              </svg>
-              <span className="text-gray-500">Image preview will appear here</span>
-            </div>
-          )}
-        </div>
-        <input
-          type="file"
-          accept="image/*"
-          ref={fileInputRef}
-          className="hidden"
-          id="file-upload"
-          onChange={handleFileChange}
-        />
-        <div className="flex gap-4 w-full justify-center">
-          <label
-            htmlFor="file-upload"
-            className="px-6 py-3 bg-blue-500 text-white rounded-lg cursor-pointer hover:bg-blue-600 transition-all duration-300 transform hover:scale-105 shadow-md flex items-center gap-2"
-          >
-            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
-            </svg>
-            Choose Image
-          </label>
-          <button
-            className={`px-6 py-3 bg-green-500 text-white rounded-lg shadow-md transition-all duration-300 transform hover:scale-105 flex items-center gap-2 ${
-              !selectedFile || uploading ? 'opacity-50 cursor-not-allowed' : 'hover:bg-green-600'
-            }`}
-            onClick={handleUploadClick}
-            disabled={!selectedFile || uploading}
-          >
-            {uploading ? (
-              <>
-                <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                </svg>
-                Uploading...
-              </>
-            ) : (
-              <>
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
-                </svg>
-                Upload
-              </>
-            )}
-          </button>
+      <UploadQueue onUploaded={loadGalleryImages} />
+      {errorMsg && (
+        <div className="mb-8 text-red-600 bg-red-50 px-4 py-2 rounded-lg text-sm">
+          {errorMsg}
         </div>
-        {selectedFile && selectedFile instanceof File && (
-          <div className="mt-4 text-gray-600 text-sm bg-gray-50 px-4 py-2 rounded-lg">
-            Selected: <span className="font-medium">{selectedFile.name}</span>
-          </div>
-        )}
-        {uploadedUrl && (
-          <div className="mt-4 text-green-600 bg-green-50 px-4 py-2 rounded-lg text-sm">
-            Uploaded! <a href={uploadedUrl} className="underline hover:text-green-700" target="_blank" rel="noopener noreferrer">{uploadedUrl}</a>
-          </div>
-        )}
-        {errorMsg && (
-          <div className="mt-4 text-red-600 bg-red-50 px-4 py-2 rounded-lg text-sm">
-            {errorMsg}
-          </div>
-        )}
-      </div>
+      )}
 
       {/* Gallery section */}
       <section className="py-8 px-4 bg-white rounded-xl shadow-sm">
-        <h3 className="text-2xl font-semibold mb-8 text-center text-gray-800">
+        <h3 className="text-2xl font-semibold mb-6 text-center text-gray-800">
           Your Images
         </h3>
+        <div className="flex justify-center mb-8">
+          <ListControls query={listQuery} onChange={handleListQueryChange} showLocalFilter />
+        </div>
         {galleryImages.length === 0 ? (
           <div className="text-center py-12">
             <svg className="w-16 h-16 mx-auto text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
             </svg>
-            <p className="text-gray-500">No images found. Upload one to get started.</p>
+            <p className="text-gray-500">
+              {listQuery.status || listQuery.local
+                ? "No images match these filters."
+                : "No images found. Upload one to get started."}
+            </p>
           </div>
         ) : (
-          <GalleryGrid />
+          <>
+            {renderGalleryGrid()}
+            <Pagination
+              page={pageInfo.page}
+              totalPages={pageInfo.totalPages}
+              total={pageInfo.total}
+              onPageChange={(page) => {
+                setListQuery((prev) => ({ ...prev, page }));
+                clearSelection();
+              }}
+            />
+          </>
         )}
+        <BulkActionBar
+          selectedIds={selectedIds}
+          albums={albums}
+          onSelectAll={() => setSelectedIds(galleryImages.map((img) => img.id))}
+          onClear={clearSelection}
+          onDone={loadGalleryImages}
+        />
       </section>
       <RestoreDialog
         open={restoreDialogOpen}
@@ -1,11 +1,29 @@
 import { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import SearchBar from './SearchBar';
+import { useAuth, hasRole } from '../auth';
+
+const NAV_LINKS = [
+  { to: '/', label: 'Home' },
+  { to: '/cloudinary', label: 'Cloudinary Images' },
+  { to: '/local', label: 'Local Storage' },
+  { to: '/albums', label: 'Albums' },
+  { to: '/duplicates', label: 'Duplicates' },
+  { to: '/trash', label: 'Trash' },
+  { to: '/shares', label: 'Shares' },
+  { to: '/jobs', label: 'Jobs' },
+  { to: '/activity', label: 'Activity' },
+  { to: '/admin', label: 'Admin', role: 'admin' },
+];
 
 const Layout = ({ children }) => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const location = useLocation();
+  const { user } = useAuth();
+  // Links that need a role are hidden from users without it
+  const navLinks = NAV_LINKS.filter((link) => !link.role || hasRole(user?.role, link.role));
 
-  const isActive = (path) => location.pathname === path;
+  const isActive = (path) => location.pathname === path || (path !== '/' && location.pathname.startsWith(`${path}/`));
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -20,36 +38,19 @@ const Layout = ({ children }) => {
                 </span>
               </div>
               <div className="hidden sm:ml-6 sm:flex sm:space-x-8">
-                <Link
-                  to="/"
-                  className={`${
-                    isActive('/')
-                      ? 'border-blue-500 text-gray-900'
-                      : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
-                  } inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium`}
-                >
-                  Home
-                </Link>
-                <Link
-                  to="/cloudinary"
-                  className={`${
-                    isActive('/cloudinary')
-                      ? 'border-blue-500 text-gray-900'
-                      : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
-                  } inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium`}
-                >
-                  Cloudinary Images
-                </Link>
-                <Link
-                  to="/local"
-                  className={`${
-                    isActive('/local')
-                      ? 'border-blue-500 text-gray-900'
-                      : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
-                  } inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium`}
-                >
-                  Local Storage
-                </Link>
+                {navLinks.map(({ to, label }) => (
+                  <Link
+                    key={to}
+                    to={to}
+                    className={`${
+                      isActive(to)
+                        ? 'border-blue-500 text-gray-900'
+                        : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+                    } inline-flex items-center px-1 pt-1 border-b-2 text-sm font-medium`}
+                  >
+                    {label}
+                  </Link>
+                ))}
                 <a
                   href="https://github.com/ruhithpasha"
                   target="_blank"
@@ -60,6 +61,16 @@ const Layout = ({ children }) => {
                 </a>
               </div>
             </div>
+            <div className="hidden sm:flex sm:items-center sm:gap-4">
+              <SearchBar />
+              <span className="text-sm text-gray-600">
+                {user?.username}
+                {user?.role && <span className="ml-1 text-gray-400">({user.role})</span>}
+              </span>
+              <Link to="/logout" className="text-sm font-medium text-gray-500 hover:text-gray-700">
+                Log out
+              </Link>
+            </div>
             <div className="-mr-2 flex items-center sm:hidden">
               <button
                 onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
@@ -92,36 +103,23 @@ const Layout = ({ children }) => {
         {/* Mobile menu */}
         <div className={`${isMobileMenuOpen ? 'block' : 'hidden'} sm:hidden`}>
           <div className="pt-2 pb-3 space-y-1">
-            <Link
-              to="/"
-              className={`${
-                isActive('/')
-                  ? 'bg-blue-50 border-blue-500 text-blue-700'
-                  : 'border-transparent text-gray-500 hover:bg-gray-50 hover:border-gray-300 hover:text-gray-700'
-              } block pl-3 pr-4 py-2 border-l-4 text-base font-medium`}
-            >
-              Home
-            </Link>
-            <Link
-              to="/cloudinary"
-              className={`${
-                isActive('/cloudinary')
-                  ? 'bg-blue-50 border-blue-500 text-blue-700'
-                  : 'border-transparent text-gray-500 hover:bg-gray-50 hover:border-gray-300 hover:text-gray-700'
-              } block pl-3 pr-4 py-2 border-l-4 text-base font-medium`}
-            >
-              Cloudinary Images
-            </Link>
-            <Link
-              to="/local"
-              className={`${
-                isActive('/local')
-                  ? 'bg-blue-50 border-blue-500 text-blue-700'
-                  : 'border-transparent text-gray-500 hover:bg-gray-50 hover:border-gray-300 hover:text-gray-700'
-              } block pl-3 pr-4 py-2 border-l-4 text-base font-medium`}
-            >
-              Local Storage
-            </Link>
+            <div className="px-4 pb-2">
+              <SearchBar />
+            </div>
+            {navLinks.map(({ to, label }) => (
+              <Link
+                key={to}
+                to={to}
+                onClick={() => setIsMobileMenuOpen(false)}
+                className={`${
+                  isActive(to)
+                    ? 'bg-blue-50 border-blue-500 text-blue-700'
+                    : 'border-transparent text-gray-500 hover:bg-gray-50 hover:border-gray-300 hover:text-gray-700'
+                } block pl-3 pr-4 py-2 border-l-4 text-base font-medium`}
+              >
+                {label}
+              </Link>
+            ))}
             <a
               href="https://github.com/ruhithpasha"
               target="_blank"
@@ -130,6 +128,12 @@ const Layout = ({ children }) => {
             >
               GitHub Profile
             </a>
+            <Link
+              to="/logout"
+              className="border-transparent text-gray-500 hover:bg-gray-50 hover:border-gray-300 hover:text-gray-700 block pl-3 pr-4 py-2 border-l-4 text-base font-medium"
+            >
+              Log out{user ? ` (${user.username})` : ''}
+            </Link>
           </div>
         </div>
       </nav>
@@ -0,0 +1,74 @@
+/**
+ * ListControls
+ * Sort, order and filter controls for the paged image lists.
+ * `query` holds the current list parameters; `onChange` receives the fields
+ * that changed (the caller goes back to page 1).
+ */
+const SORT_OPTIONS = [
+  { value: "date", label: "Upload date" },
+  { value: "name", label: "Name" },
+  { value: "size", label: "Size" },
+];
+
+const STATUS_OPTIONS = [
+  { value: "", label: "All statuses" },
+  { value: "available", label: "Available" },
+  { value: "missing", label: "Missing" },
+  { value: "pending,pending-cloud", label: "Pending" },
+  { value: "failed", label: "Upload failed" },
+];
+
+const LOCAL_OPTIONS = [
+  { value: "", label: "Any local copy" },
+  { value: "true", label: "Has local file" },
+  { value: "false", label: "No local file" },
+];
+
+const selectClass = "px-3 py-1.5 border border-gray-200 rounded-lg text-sm bg-white text-gray-700";
+
+const ListControls = ({ query, onChange, showLocalFilter = false }) => (
+  <div className="flex flex-wrap items-center gap-2">
+    <select
+      className={selectClass}
+      value={query.status}
+      onChange={(e) => onChange({ status: e.target.value })}
+      aria-label="Filter by status"
+    >
+      {STATUS_OPTIONS.map(({ value, label }) => (
+        <option key={label} value={value}>{label}</option>
+      ))}
+    </select>
+    {showLocalFilter && (
+      <select
+        className={selectClass}
+        value={query.local}
+        onChange={(e) => onChange({ local: e.target.value })}
+        aria-label="Filter by local file"
+      >
+        {LOCAL_OPTIONS.map(({ value, label }) => (
+          <option key={label} value={value}>{label}</option>
+        ))}
+      </select>
+    )}
+    <select
+      className={selectClass}
+      value={query.sort}
+      onChange={(e) => onChange({ sort: e.target.value })}
+      aria-label="Sort by"
+    >
+      {SORT_OPTIONS.map(({ value, label }) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+    <button
+      type="button"
+      className={`${selectClass} hover:bg-gray-50`}
+      onClick={() => onChange({ order: query.order === "asc" ? "desc" : "asc" })}
+      title="Toggle sort order"
+    >
+      {query.order === "asc" ? "↑ Ascending" : "↓ Descending"}
+    </button>
+  </div>
+);
+
+export default ListControls;
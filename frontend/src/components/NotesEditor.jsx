@@ -0,0 +1,56 @@
+import { useState } from 'react';
+
+/**
+ * NotesEditor
+ * Collapsible free-text notes for one image, saved through PATCH
+ * /api/images/:id and included in search. Calls `onChange` after a save.
+ */
+const NotesEditor = ({ image, onChange }) => {
+  const [notes, setNotes] = useState(image.notes || '');
+  const [saving, setSaving] = useState(false);
+  const changed = notes.trim() !== (image.notes || '');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/images/${image.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ notes }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Saving notes failed: ${response.statusText}`);
+      }
+      onChange?.();
+    } catch (err) {
+      console.error('Error saving notes:', err);
+      alert('Failed to save notes: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <details className="mt-3 text-xs text-gray-500">
+      <summary className="cursor-pointer select-none">Notes{image.notes ? ' ✎' : ''}</summary>
+      <form onSubmit={handleSubmit} className="mt-2 space-y-1">
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          disabled={saving}
+          rows={3}
+          maxLength={2000}
+          placeholder="Where, who, why… (searchable)"
+          className="w-full px-2 py-1 border border-gray-200 rounded text-xs focus:outline-none focus:ring-1 focus:ring-purple-400"
+        />
+        <button type="submit" disabled={saving || !changed} className="text-blue-600 hover:text-blue-700 disabled:opacity-50">
+          Save notes
+        </button>
+      </form>
+    </details>
+  );
+};
+
+export default NotesEditor;
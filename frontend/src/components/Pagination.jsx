@@ -0,0 +1,28 @@
+/**
+ * Pagination
+ * Previous / next buttons for the paged list endpoints; `noun` names what is
+ * being counted.
+ */
+const Pagination = ({ page, totalPages, total, onPageChange, noun = "image" }) => {
+  if (!totalPages || totalPages <= 1) {
+    return total ? <p className="text-sm text-gray-500 text-center mt-6">{total} {noun}{total === 1 ? "" : "s"}</p> : null;
+  }
+
+  const buttonClass = "px-3 py-1.5 rounded-lg text-sm border border-gray-200 bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="flex items-center justify-center gap-4 mt-6">
+      <button type="button" className={buttonClass} disabled={page <= 1} onClick={() => onPageChange(page - 1)}>
+        Previous
+      </button>
+      <span className="text-sm text-gray-600">
+        Page {page} of {totalPages} · {total} {noun}s
+      </span>
+      <button type="button" className={buttonClass} disabled={page >= totalPages} onClick={() => onPageChange(page + 1)}>
+        Next
+      </button>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,27 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth, hasRole } from '../auth';
+
+// Route guard: sends logged-out visitors to /login and back here afterwards.
+// With `role`, users below that role see a notice instead of the page.
+const RequireAuth = ({ role, children }) => {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return <div className="flex justify-center items-center min-h-screen text-gray-500">Loading...</div>;
+  }
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  if (role && !hasRole(user.role, role)) {
+    return (
+      <div className="text-center py-12 bg-white rounded-lg shadow">
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Not allowed</h3>
+        <p className="mt-1 text-sm text-gray-500">This page needs the {role} role.</p>
+      </div>
+    );
+  }
+  return children;
+};
+
+export default RequireAuth;
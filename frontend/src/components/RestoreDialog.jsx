@@ -8,8 +8,9 @@
 const RestoreDialog = ({ open, image, onRestore, onCancel }) => {
   if (!open || !image) return null;
 
-  // Enable Restore only if we have a backupKey for this image
-  const canRestore = !!image.backupKey;
+  // Enable Restore only if there is a backup: in this browser (backupKey) or,
+  // for files too large for localStorage, on the server (backupHash)
+  const canRestore = !!(image.backupKey || image.backupHash);
 
   return (
     <div
@@ -23,7 +24,7 @@ const RestoreDialog = ({ open, image, onRestore, onCancel }) => {
         <div className="mb-4">
           <h2 className="text-lg font-semibold">Restore Image</h2>
           <p className="text-sm text-gray-600">
-            Image <b>{image.originalName || image.key}</b> is missing on Cloudinary.
+            Image <b>{image.originalName || image.key}</b> is missing from cloud storage.
             <br />
             <span>
               {canRestore
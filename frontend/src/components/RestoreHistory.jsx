@@ -0,0 +1,41 @@
+/**
+ * RestoreHistory
+ * Collapsible list of restore attempts recorded by the backend
+ * (manual restores, automatic restores and missing-image notifications).
+ */
+const OUTCOME_STYLES = {
+  restored: "text-green-600",
+  failed: "text-red-600",
+  notified: "text-yellow-600",
+};
+
+const RestoreHistory = ({ history }) => {
+  if (!history || history.length === 0) return null;
+
+  return (
+    <details className="mt-3 text-xs text-gray-500">
+      <summary className="cursor-pointer select-none">
+        Restore history ({history.length})
+      </summary>
+      <ul className="mt-2 space-y-1">
+        {[...history].reverse().map((entry, idx) => (
+          <li key={`${entry.at}-${idx}`} className="flex flex-col">
+            <span>
+              <span className={`font-medium ${OUTCOME_STYLES[entry.outcome] || ""}`}>
+                {entry.outcome}
+              </span>
+              {" · "}
+              {entry.trigger}
+              {entry.attempt > 1 ? ` (attempt ${entry.attempt})` : ""}
+              {" · "}
+              {new Date(entry.at).toLocaleString()}
+            </span>
+            {entry.error && <span className="text-red-500 truncate" title={entry.error}>{entry.error}</span>}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default RestoreHistory;
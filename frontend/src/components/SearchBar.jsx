@@ -0,0 +1,130 @@
+import { useState, useEffect, useRef } from 'react';
+import { thumbnailUrl, getOptimizedImageUrl } from '../imageUrls';
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const STATUS_STYLES = {
+  available: 'bg-green-100 text-green-700',
+  missing: 'bg-red-100 text-red-700',
+  pending: 'bg-blue-100 text-blue-700',
+  'pending-cloud': 'bg-amber-100 text-amber-700',
+  failed: 'bg-red-100 text-red-700',
+};
+
+/**
+ * SearchBar
+ * Searches image names, tags, notes and metadata through /api/images/search
+ * and lists each match with links to its cloud and local copies.
+ */
+const SearchBar = () => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Debounced search as the user types
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setResults(null);
+      return;
+    }
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/images/search?q=${encodeURIComponent(q)}`, {
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error(`Search failed: ${response.statusText}`);
+        }
+        setResults(await response.json());
+        setOpen(true);
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('Error searching images:', err);
+          setResults({ items: [], total: 0, error: err.message });
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [query]);
+
+  // Close the results when clicking elsewhere on the page
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  return (
+    <div ref={containerRef} className="relative w-full sm:w-72">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onFocus={() => results && setOpen(true)}
+        onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+        placeholder="Search images..."
+        aria-label="Search images"
+        className="w-full px-3 py-1.5 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {open && results && (
+        <div className="absolute right-0 z-20 mt-2 w-full sm:w-96 bg-white rounded-lg shadow-lg border border-gray-100 max-h-96 overflow-y-auto">
+          {results.error ? (
+            <p className="p-4 text-sm text-red-600">{results.error}</p>
+          ) : results.items.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500">No images match &ldquo;{query.trim()}&rdquo;</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {results.items.map((image) => (
+                <li key={image.id} className="p-3 flex items-center gap-3">
+                  <img
+                    src={image.hasLocalFile ? thumbnailUrl(image.id, 200) : getOptimizedImageUrl(image.remoteUrl, 200)}
+                    alt={image.originalName}
+                    className="w-12 h-12 object-cover rounded bg-gray-50 flex-shrink-0"
+                    loading="lazy"
+                  />
+                  <div className="min-w-0 flex-1">
+                    <p className="text-sm font-medium text-gray-900 truncate" title={image.originalName}>
+                      {image.originalName}
+                    </p>
+                    <div className="mt-1 flex items-center gap-2 text-xs">
+                      <span className={`px-2 py-0.5 rounded-full ${STATUS_STYLES[image.status] || 'bg-gray-100 text-gray-600'}`}>
+                        {image.status}
+                      </span>
+                      {image.remoteUrl && image.status !== 'missing' && (
+                        <a href={image.remoteUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                          Cloud
+                        </a>
+                      )}
+                      {image.hasLocalFile && (
+                        <a href={`/api/uploads/${image.filename}`} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                          Local
+                        </a>
+                      )}
+                    </div>
+                  </div>
+                </li>
+              ))}
+              {results.total > results.items.length && (
+                <li className="p-3 text-xs text-gray-500 text-center">
+                  Showing {results.items.length} of {results.total} matches
+                </li>
+              )}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBar;
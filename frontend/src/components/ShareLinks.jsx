@@ -0,0 +1,133 @@
+import { useState, useCallback } from 'react';
+import { EXPIRY_OPTIONS, shareUrl, describeShare } from '../shareLinks';
+
+/**
+ * ShareLinks
+ * Collapsible panel for sharing one image or album (`type` is 'image' or
+ * 'album') with people who have no account: creates expiring links through
+ * /api/shares, optionally limited to a number of downloads, and lists the
+ * active ones with Copy and Revoke. Links are loaded when the panel opens.
+ */
+const ShareLinks = ({ type, targetId }) => {
+  const [shares, setShares] = useState(null);
+  const [expiresInHours, setExpiresInHours] = useState(7 * 24);
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const loadShares = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/shares?type=${type}&targetId=${encodeURIComponent(targetId)}`);
+      if (!response.ok) throw new Error(response.statusText);
+      setShares(await response.json());
+    } catch (err) {
+      console.error('Error loading share links:', err);
+      setShares([]);
+    }
+  }, [type, targetId]);
+
+  const send = async (url, options, failure) => {
+    setSaving(true);
+    try {
+      const response = await fetch(url, options);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || response.statusText);
+      }
+      await loadShares();
+      return data;
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      alert(`${failure}: ${err.message}`);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.token));
+      setCopiedId(share.id);
+    } catch {
+      // No clipboard access (e.g. plain http); let the user copy it by hand
+      window.prompt('Copy this link:', shareUrl(share.token));
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const share = await send('/api/shares', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, targetId, expiresInHours, maxDownloads: maxDownloads || null }),
+    }, 'Failed to create share link');
+    if (share) {
+      setMaxDownloads('');
+      handleCopy(share);
+    }
+  };
+
+  const handleRevoke = (share) => {
+    if (!window.confirm('Revoke this link? Anyone who has it loses access.')) return;
+    send(`/api/shares/${share.id}`, { method: 'DELETE' }, 'Failed to revoke share link');
+  };
+
+  return (
+    <details
+      className="mt-3 text-xs text-gray-500"
+      onToggle={(e) => {
+        if (e.currentTarget.open && shares === null) loadShares();
+      }}
+    >
+      <summary className="cursor-pointer select-none">
+        Share{shares && shares.length > 0 ? ` (${shares.length} active)` : ''}
+      </summary>
+      <form onSubmit={handleCreate} className="mt-2 flex flex-wrap items-center gap-2">
+        <select
+          value={expiresInHours}
+          onChange={(e) => setExpiresInHours(Number(e.target.value))}
+          className="px-2 py-1 border border-gray-200 rounded bg-white"
+          aria-label="Link expires after"
+        >
+          {EXPIRY_OPTIONS.map(({ hours, label }) => <option key={hours} value={hours}>{label}</option>)}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={maxDownloads}
+          onChange={(e) => setMaxDownloads(e.target.value)}
+          placeholder="Max downloads"
+          className="w-28 px-2 py-1 border border-gray-200 rounded"
+        />
+        <button type="submit" disabled={saving} className="text-blue-600 hover:text-blue-700 disabled:opacity-50">
+          Create link
+        </button>
+      </form>
+      {shares && shares.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {shares.map((share) => (
+            <li key={share.id} className="flex items-center justify-between gap-2">
+              <span>{describeShare(share)}</span>
+              <span className="shrink-0 space-x-2">
+                <button type="button" onClick={() => handleCopy(share)} className="text-blue-600 hover:text-blue-700">
+                  {copiedId === share.id ? 'Copied' : 'Copy'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(share)}
+                  disabled={saving}
+                  className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  Revoke
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+};
+
+export default ShareLinks;
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+
+/**
+ * TagEditor
+ * Tag chips for one image with inline add and remove, saved through
+ * /api/tags/assign. Calls `onChange` after every successful update.
+ */
+const TagEditor = ({ image, onChange }) => {
+  const [input, setInput] = useState('');
+  const [saving, setSaving] = useState(false);
+  const tags = image.tags || [];
+
+  const updateTags = async (changes) => {
+    setSaving(true);
+    try {
+      const response = await fetch('/api/tags/assign', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ imageIds: [image.id], ...changes }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Tag update failed: ${response.statusText}`);
+      }
+      onChange?.();
+    } catch (err) {
+      console.error('Error updating tags:', err);
+      alert('Failed to update tags: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const name = input.trim();
+    if (!name) return;
+    setInput('');
+    updateTags({ add: [name] });
+  };
+
+  return (
+    <div className="mt-3">
+      <div className="flex flex-wrap gap-1">
+        {tags.map((tag) => (
+          <span key={tag} className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-purple-50 text-purple-700 text-xs">
+            {tag}
+            <button
+              type="button"
+              onClick={() => updateTags({ remove: [tag] })}
+              disabled={saving}
+              className="hover:text-purple-900"
+              aria-label={`Remove tag ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+      <form onSubmit={handleSubmit} className="mt-2">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          disabled={saving}
+          placeholder="Add tag and press Enter"
+          className="w-full px-2 py-1 border border-gray-200 rounded text-xs focus:outline-none focus:ring-1 focus:ring-purple-400"
+        />
+      </form>
+    </div>
+  );
+};
+
+export default TagEditor;
@@ -0,0 +1,327 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  startResumableUpload,
+  findInterruptedUploads,
+  discardInterruptedUpload,
+} from '../resumableUpload';
+
+const LOCAL_BACKUP_IMAGE_KEY_PREFIX = 'backup_image_';
+// Larger files are not copied into localStorage (its quota is about 5 MB);
+// the server keeps a backup of every upload either way
+const LOCAL_BACKUP_MAX_BYTES = 4 * 1024 * 1024;
+// Besides image/*, camera RAW and TIFF files the browser may not label as images
+const ACCEPTED_EXTENSIONS = ['.tif', '.tiff', '.dng', '.cr2', '.cr3', '.nef', '.arw', '.orf', '.rw2', '.raf'];
+const ACCEPTED_FILE_TYPES = ['image/*', ...ACCEPTED_EXTENSIONS].join(',');
+const MAX_CONCURRENT_UPLOADS = 3;
+
+const STATUS_LABELS = {
+  queued: 'Waiting',
+  uploading: 'Uploading',
+  done: 'Uploaded',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const STATUS_STYLES = {
+  queued: 'text-gray-500',
+  uploading: 'text-blue-600',
+  done: 'text-green-600',
+  failed: 'text-red-600',
+  cancelled: 'text-gray-400',
+};
+
+const isAcceptedFile = (file) =>
+  file.type.startsWith('image/') ||
+  ACCEPTED_EXTENSIONS.some((ext) => file.name.toLowerCase().endsWith(ext));
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+const describeDuplicates = (duplicates = []) =>
+  duplicates
+    .map((d) => `${d.originalName} (${d.kind === 'exact' ? 'identical' : 'similar'})`)
+    .join(', ');
+
+// Copies a small file into localStorage, as uploads always have; failures
+// (e.g. a full quota) are only logged since the server keeps its own backup
+const createLocalBackup = (file) =>
+  new Promise((resolve) => {
+    if (file.size > LOCAL_BACKUP_MAX_BYTES) {
+      resolve(null);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const backupKey = `${LOCAL_BACKUP_IMAGE_KEY_PREFIX}${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      try {
+        localStorage.setItem(backupKey, JSON.stringify({
+          data: e.target.result,
+          originalName: file.name,
+          timestamp: new Date().toISOString(),
+          type: file.type,
+          size: file.size,
+        }));
+        resolve(backupKey);
+      } catch (err) {
+        console.warn('Skipping local backup of', file.name, err);
+        resolve(null);
+      }
+    };
+    reader.onerror = () => resolve(null);
+    reader.readAsDataURL(file);
+  });
+
+/**
+ * UploadQueue: multi-file picker, drag-and-drop zone and clipboard paste.
+ * Every file gets its own row with byte-level progress, cancel and retry;
+ * up to MAX_CONCURRENT_UPLOADS upload at once over the resumable endpoint.
+ * `onUploaded(result)` is called after each file the server accepts.
+ */
+const UploadQueue = ({ onUploaded }) => {
+  const [items, setItems] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [interruptedUploads, setInterruptedUploads] = useState([]);
+  // In-flight uploads by item id, so they can be cancelled
+  const uploadsRef = useRef(new Map());
+  // Items cancelled while their backup was still being written
+  const cancelledRef = useRef(new Set());
+  const nextIdRef = useRef(1);
+
+  const updateItem = useCallback((id, changes) => {
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const loadInterruptedUploads = useCallback(() => {
+    findInterruptedUploads()
+      .then(setInterruptedUploads)
+      .catch((err) => console.error('Error loading interrupted uploads:', err));
+  }, []);
+
+  useEffect(() => {
+    loadInterruptedUploads();
+  }, [loadInterruptedUploads]);
+
+  const addFiles = useCallback((files) => {
+    const added = Array.from(files).map((file) => ({
+      id: nextIdRef.current++,
+      file,
+      status: isAcceptedFile(file) ? 'queued' : 'failed',
+      progress: 0,
+      error: isAcceptedFile(file) ? null : 'Not an image file',
+      duplicates: [],
+    }));
+    setItems((prev) => [...prev, ...added]);
+  }, []);
+
+  // Pasted screenshots arrive as "image.png"; give each a unique name
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const files = Array.from(e.clipboardData?.files || []).filter((file) => file.type.startsWith('image/'));
+      if (files.length === 0) return;
+      e.preventDefault();
+      addFiles(files.map((file, i) => {
+        const ext = file.type.split('/')[1] || 'png';
+        return new File([file], `pasted-${Date.now()}-${i + 1}.${ext}`, { type: file.type });
+      }));
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, [addFiles]);
+
+  const runUpload = useCallback(async (item) => {
+    updateItem(item.id, { status: 'uploading', progress: 0, error: null });
+    const backupKey = await createLocalBackup(item.file);
+    if (cancelledRef.current.has(item.id)) return;
+    const upload = startResumableUpload(item.file, {
+      backupKey,
+      onProgress: (progress) => updateItem(item.id, { progress }),
+    });
+    uploadsRef.current.set(item.id, upload);
+    try {
+      const result = await upload.promise;
+      updateItem(item.id, { status: 'done', progress: 1, duplicates: result.duplicates || [] });
+      if (onUploaded) onUploaded(result);
+    } catch (err) {
+      updateItem(item.id, {
+        status: 'failed',
+        error: err.message || 'Network error',
+        duplicates: (err.data && err.data.duplicates) || [],
+      });
+    } finally {
+      uploadsRef.current.delete(item.id);
+      loadInterruptedUploads();
+    }
+  }, [updateItem, onUploaded, loadInterruptedUploads]);
+
+  // Start waiting files while fewer than MAX_CONCURRENT_UPLOADS are running
+  useEffect(() => {
+    const running = items.filter((item) => item.status === 'uploading').length;
+    items
+      .filter((item) => item.status === 'queued')
+      .slice(0, Math.max(0, MAX_CONCURRENT_UPLOADS - running))
+      .forEach(runUpload);
+  }, [items, runUpload]);
+
+  const handleCancel = (item) => {
+    cancelledRef.current.add(item.id);
+    const upload = uploadsRef.current.get(item.id);
+    if (upload) {
+      upload.abort(true).catch((err) => console.error('Error cancelling upload:', err));
+      uploadsRef.current.delete(item.id);
+    }
+    updateItem(item.id, { status: 'cancelled' });
+  };
+
+  const handleRetry = (item) => {
+    cancelledRef.current.delete(item.id);
+    updateItem(item.id, { status: 'queued', progress: 0, error: null });
+  };
+
+  const handleClearFinished = () => {
+    setItems((prev) => prev.filter((item) => item.status === 'queued' || item.status === 'uploading'));
+  };
+
+  const handleDiscardInterrupted = async (upload) => {
+    try {
+      await discardInterruptedUpload(upload);
+    } catch (err) {
+      console.error('Error discarding upload:', err);
+    }
+    loadInterruptedUploads();
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  const counts = items.reduce((acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }), {});
+  const active = (counts.queued || 0) + (counts.uploading || 0);
+
+  return (
+    <div className="mb-12 w-full space-y-4">
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragActive(true);
+        }}
+        onDragLeave={() => setDragActive(false)}
+        onDrop={handleDrop}
+        className={`flex flex-col items-center justify-center p-8 border-2 border-dashed rounded-xl w-full bg-white shadow-sm hover:shadow-md transition-all duration-300 ${
+          dragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+        }`}
+      >
+        <svg className="w-16 h-16 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+        </svg>
+        <p className="text-gray-700 font-medium">Drop images here, or paste them from the clipboard</p>
+        <p className="text-sm text-gray-500 mb-4">Large files (TIFF, RAW) resume where they left off if the connection drops</p>
+        <input
+          type="file"
+          accept={ACCEPTED_FILE_TYPES}
+          multiple
+          className="hidden"
+          id="file-upload"
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+        <label
+          htmlFor="file-upload"
+          className="px-6 py-3 bg-blue-500 text-white rounded-lg cursor-pointer hover:bg-blue-600 transition-all duration-300 transform hover:scale-105 shadow-md flex items-center gap-2"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+          </svg>
+          Choose Images
+        </label>
+      </div>
+
+      {/* Uploads in progress are stored the same way, so wait until the queue is idle */}
+      {active === 0 && interruptedUploads.length > 0 && (
+        <div className="text-sm bg-amber-50 text-amber-800 px-4 py-3 rounded-lg space-y-2">
+          <p className="font-medium">Unfinished uploads — add the same file again to continue</p>
+          {interruptedUploads.map((upload) => (
+            <div key={upload.key} className="flex items-center justify-between gap-2">
+              <span className="truncate" title={upload.name}>
+                {upload.name}{' '}
+                <span className="text-amber-600">
+                  ({upload.size ? Math.round((upload.offset / upload.size) * 100) : 0}% uploaded)
+                </span>
+              </span>
+              <button
+                type="button"
+                onClick={() => handleDiscardInterrupted(upload)}
+                className="text-amber-700 hover:text-amber-900 underline flex-shrink-0"
+              >
+                Discard
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100 text-sm">
+            <span className="text-gray-700">
+              {counts.done || 0} of {items.length} uploaded
+              {active > 0 && `, ${active} in progress`}
+              {counts.failed ? `, ${counts.failed} failed` : ''}
+            </span>
+            <button
+              type="button"
+              onClick={handleClearFinished}
+              disabled={active === items.length}
+              className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            >
+              Clear finished
+            </button>
+          </div>
+          <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+            {items.map((item) => (
+              <li key={item.id} className="px-4 py-2 text-sm">
+                <div className="flex items-center justify-between gap-3">
+                  <span className="truncate text-gray-900" title={item.file.name}>{item.file.name}</span>
+                  <div className="flex items-center gap-3 flex-shrink-0">
+                    <span className="text-xs text-gray-400">
+                      {item.status === 'uploading'
+                        ? `${formatBytes(item.progress * item.file.size)} / ${formatBytes(item.file.size)}`
+                        : formatBytes(item.file.size)}
+                    </span>
+                    <span className={`text-xs ${STATUS_STYLES[item.status]}`}>{STATUS_LABELS[item.status]}</span>
+                    {(item.status === 'queued' || item.status === 'uploading') && (
+                      <button type="button" onClick={() => handleCancel(item)} className="text-xs text-gray-500 hover:text-red-600">
+                        Cancel
+                      </button>
+                    )}
+                    {(item.status === 'failed' || item.status === 'cancelled') && isAcceptedFile(item.file) && (
+                      <button type="button" onClick={() => handleRetry(item)} className="text-xs text-blue-600 hover:text-blue-700">
+                        Retry
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {item.status === 'uploading' && (
+                  <div className="mt-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                    <div className="h-full bg-blue-500 transition-all" style={{ width: `${item.progress * 100}%` }} />
+                  </div>
+                )}
+                {item.error && <p className="mt-1 text-xs text-red-600">{item.error}</p>}
+                {item.duplicates.length > 0 && (
+                  <p className="mt-1 text-xs text-amber-700">
+                    Looks like {describeDuplicates(item.duplicates)}; see the Duplicates page
+                  </p>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UploadQueue;
@@ -0,0 +1,105 @@
+import { useState, useRef } from 'react';
+
+const formatBytes = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * VersionHistory
+ * "Replace" uploads a new version of the image through
+ * /api/images/:id/replace; the collapsible list shows the current and earlier
+ * versions, and "Make current" promotes an earlier one. Calls `onChange`
+ * after every successful update.
+ */
+const VersionHistory = ({ image, onChange }) => {
+  const [saving, setSaving] = useState(false);
+  const fileInputRef = useRef(null);
+  const versions = [...(image.versions || [])].sort((a, b) => b.version - a.version);
+
+  const send = async (url, options, failure) => {
+    setSaving(true);
+    try {
+      const response = await fetch(url, { method: 'POST', ...options });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || response.statusText);
+      }
+      onChange?.();
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      alert(`${failure}: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReplace = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const formData = new FormData();
+    formData.append('image', file);
+    send(`/api/images/${image.id}/replace`, { body: formData }, 'Failed to replace image');
+  };
+
+  const handlePromote = (version) => {
+    if (!window.confirm(`Make version ${version} current again? The current version stays in the history.`)) return;
+    send(`/api/images/${image.id}/versions/${version}/promote`, {}, 'Failed to restore version');
+  };
+
+  return (
+    <div className="mt-3 text-xs text-gray-500">
+      <input ref={fileInputRef} type="file" accept="image/*" className="hidden" onChange={handleReplace} />
+      <button
+        type="button"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={saving}
+        className="text-blue-600 hover:text-blue-700 disabled:opacity-50"
+      >
+        {saving ? 'Saving…' : 'Replace with new version'}
+      </button>
+      {versions.length > 0 && (
+        <details className="mt-2">
+          <summary className="cursor-pointer select-none">
+            Versions ({versions.length + 1})
+          </summary>
+          <ul className="mt-2 space-y-1">
+            <li className="flex items-center justify-between gap-2">
+              <span>
+                <span className="font-medium text-gray-700">v{image.version || 1}</span>
+                {image.promotedFrom ? ` (from v${image.promotedFrom})` : ''}
+                {' · current · '}
+                {new Date(image.versionCreatedAt || image.uploadedAt).toLocaleString()}
+                {image.size ? ` · ${formatBytes(image.size)}` : ''}
+              </span>
+            </li>
+            {versions.map((entry) => (
+              <li key={entry.version} className="flex items-center justify-between gap-2">
+                <span>
+                  <span className="font-medium text-gray-700">v{entry.version}</span>
+                  {entry.promotedFrom ? ` (from v${entry.promotedFrom})` : ''}
+                  {' · '}
+                  {new Date(entry.createdAt).toLocaleString()}
+                  {entry.size ? ` · ${formatBytes(entry.size)}` : ''}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handlePromote(entry.version)}
+                  disabled={saving || !entry.localPath}
+                  className="shrink-0 text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                  title={entry.localPath ? undefined : 'The file of this version is gone'}
+                >
+                  Make current
+                </button>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
@@ -0,0 +1,33 @@
+// srcset widths; these match the derivative sizes the backend caches (backend/thumbnails.js)
+export const IMAGE_WIDTHS = [200, 400, 800, 1200];
+
+// `sizes` for a grid that shows 1 / 2 / 3 / 4 columns at the Tailwind sm / md / lg breakpoints
+export const GRID_SIZES = '(min-width: 1024px) 25vw, (min-width: 768px) 33vw, (min-width: 640px) 50vw, 100vw';
+
+// Server-generated thumbnail of an image's local file (WebP or JPEG, picked by the server)
+export const thumbnailUrl = (id, width = 400) => `/api/images/${id}/thumb?w=${width}`;
+
+export const thumbnailSrcSet = (id) =>
+  IMAGE_WIDTHS.map((width) => `${thumbnailUrl(id, width)} ${width}w`).join(', ');
+
+const isCloudinaryUrl = (url) => Boolean(url) && url.includes('cloudinary.com');
+
+// Cloudinary delivery URL with automatic format and quality, scaled to `width` (or w_auto)
+export const getOptimizedImageUrl = (url, width) => {
+  if (!url) return '';
+  // If it's a Cloudinary URL, add optimization parameters
+  if (isCloudinaryUrl(url)) {
+    // Add f_auto for automatic format selection
+    // Add q_auto for automatic quality optimization
+    // Add w_<width>, or w_auto for automatic width based on device
+    // Add c_scale for proper scaling
+    return url.replace('/upload/', `/upload/f_auto,q_auto,${width ? `w_${width}` : 'w_auto'},c_scale/`);
+  }
+  return url;
+};
+
+// srcset of Cloudinary renditions at IMAGE_WIDTHS; undefined for other providers' URLs
+export const cloudinarySrcSet = (url) =>
+  isCloudinaryUrl(url)
+    ? IMAGE_WIDTHS.map((width) => `${getOptimizedImageUrl(url, width)} ${width}w`).join(', ')
+    : undefined;
@@ -0,0 +1,15 @@
+// Parameters for the paged list endpoints (/api/images, /api/local-images)
+export const DEFAULT_LIST_QUERY = {
+  page: 1,
+  limit: 24,
+  sort: 'date',
+  order: 'desc',
+  status: '',
+  local: '',
+};
+
+// Query string for a list request, skipping empty filters
+export const toListQueryString = (query) =>
+  new URLSearchParams(
+    Object.entries(query).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+  ).toString();
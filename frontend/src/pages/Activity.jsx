@@ -0,0 +1,138 @@
+import { useState, useEffect, useCallback } from 'react';
+import ActivityEntry from '../components/ActivityEntry';
+import Pagination from '../components/Pagination';
+import { ACTION_LABELS } from '../activity';
+import { useAuth, hasRole } from '../auth';
+import { toListQueryString } from '../listQuery';
+
+const PAGE_SIZE = 50;
+
+const selectClass = 'px-3 py-1.5 border border-gray-200 rounded-lg text-sm bg-white';
+
+/**
+ * Activity
+ * Library-wide audit timeline: uploads, restores, deletes and sync changes,
+ * newest first, filterable by action, result and date. Admins see every
+ * user's activity unless "Only my images" is ticked.
+ */
+const Activity = () => {
+  const { user } = useAuth();
+  const isAdmin = hasRole(user?.role, 'admin');
+  const [filters, setFilters] = useState({ action: '', result: '', since: '', mine: false });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchActivity = useCallback(async () => {
+    try {
+      const query = toListQueryString({
+        page,
+        limit: PAGE_SIZE,
+        action: filters.action,
+        result: filters.result,
+        since: filters.since,
+        ownerId: filters.mine ? user.id : '',
+      });
+      const response = await fetch(`/api/audit?${query}`);
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error || response.statusText);
+      }
+      setData(body);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching activity:', err);
+      setError(err.message);
+    }
+  }, [page, filters, user]);
+
+  useEffect(() => {
+    fetchActivity();
+  }, [fetchActivity]);
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">Activity</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Every upload, restore, delete and sync change, with who did it and how it went.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+          className={selectClass}
+          aria-label="Action"
+        >
+          <option value="">All actions</option>
+          {Object.entries(ACTION_LABELS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={filters.result}
+          onChange={(e) => updateFilter('result', e.target.value)}
+          className={selectClass}
+          aria-label="Result"
+        >
+          <option value="">Any result</option>
+          <option value="ok">Succeeded</option>
+          <option value="failed">Failed</option>
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Since
+          <input
+            type="date"
+            value={filters.since}
+            onChange={(e) => updateFilter('since', e.target.value)}
+            className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+          />
+        </label>
+        {isAdmin && (
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input type="checkbox" checked={filters.mine} onChange={(e) => updateFilter('mine', e.target.checked)} />
+            Only my images
+          </label>
+        )}
+      </div>
+
+      {error ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Error loading activity</h3>
+          <p className="mt-1 text-sm text-gray-500">{error}</p>
+        </div>
+      ) : !data ? (
+        <div className="flex items-center justify-center min-h-[200px]">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      ) : data.items.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No activity</h3>
+          <p className="mt-1 text-sm text-gray-500">Nothing matches these filters</p>
+        </div>
+      ) : (
+        <>
+          <ul className="bg-white rounded-lg shadow p-4 space-y-3 text-sm text-gray-500">
+            {data.items.map((entry) => <ActivityEntry key={entry.id} entry={entry} showImage />)}
+          </ul>
+          <Pagination
+            page={data.page}
+            totalPages={data.totalPages}
+            total={data.total}
+            onPageChange={setPage}
+            noun="event"
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Activity;
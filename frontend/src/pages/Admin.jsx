@@ -0,0 +1,324 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth, ROLES } from '../auth';
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'can only look',
+  uploader: 'can upload and change their library',
+  admin: 'can also delete for good and manage users and keys',
+};
+
+// Sends a JSON request to an /api/admin endpoint; throws the server's error message
+const adminRequest = async (path, method = 'GET', body) => {
+  const response = await fetch(`/api/admin/${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || response.statusText);
+  }
+  return data;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const inputClass = 'px-2 py-1 border border-gray-200 rounded text-sm';
+const buttonClass = 'px-3 py-1 rounded-md text-sm bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50';
+
+/**
+ * Admin
+ * Users (create, change role, reset password, delete) and API keys for
+ * scripts (create, revoke). A new key's secret is shown once, right after it
+ * is created.
+ */
+const Admin = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [keys, setKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'uploader' });
+  const [newKey, setNewKey] = useState({ name: '', role: 'uploader', userId: '' });
+  const [createdKey, setCreatedKey] = useState(null);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [userList, keyList] = await Promise.all([adminRequest('users'), adminRequest('keys')]);
+      setUsers(userList);
+      setKeys(keyList);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading users and keys:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  // Runs one admin request, then reloads both lists
+  const run = async (action, failure) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      await fetchAll();
+      return result;
+    } catch (err) {
+      alert(`${failure}: ${err.message}`);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+    const created = await run(() => adminRequest('users', 'POST', newUser), 'Failed to create user');
+    if (created) setNewUser({ username: '', password: '', role: 'uploader' });
+  };
+
+  const handleRoleChange = (user, role) =>
+    run(() => adminRequest(`users/${user.id}`, 'PATCH', { role }), 'Failed to change role');
+
+  const handleResetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username} (at least 8 characters):`);
+    if (!password) return;
+    run(() => adminRequest(`users/${user.id}`, 'PATCH', { password }), 'Failed to reset password');
+  };
+
+  const handleDeleteUser = (user) => {
+    if (!window.confirm(`Delete user ${user.username}? Their API keys stop working.`)) return;
+    run(() => adminRequest(`users/${user.id}`, 'DELETE'), 'Failed to delete user');
+  };
+
+  const handleCreateKey = async (e) => {
+    e.preventDefault();
+    const body = { ...newKey, userId: newKey.userId || currentUser.id };
+    const created = await run(() => adminRequest('keys', 'POST', body), 'Failed to create API key');
+    if (created) {
+      setCreatedKey(created);
+      setNewKey({ name: '', role: 'uploader', userId: '' });
+    }
+  };
+
+  const handleRevokeKey = (key) => {
+    if (!window.confirm(`Revoke API key "${key.name}"? Scripts using it stop working.`)) return;
+    run(() => adminRequest(`keys/${key.id}`, 'DELETE'), 'Failed to revoke API key');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[200px]">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12 bg-white rounded-lg shadow">
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Error loading users and keys</h3>
+        <p className="mt-1 text-sm text-gray-500">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">Admin</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          {ROLES.map((role) => `${role}s ${ROLE_DESCRIPTIONS[role]}`).join('; ')}.
+        </p>
+      </div>
+
+      <section className="bg-white rounded-lg shadow p-4 space-y-4">
+        <h3 className="text-lg font-semibold text-gray-900">Users</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2">Username</th>
+              <th className="py-2">Role</th>
+              <th className="py-2">Images</th>
+              <th className="py-2">Created</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => (
+              <tr key={user.id} className="border-b last:border-0">
+                <td className="py-2 font-medium text-gray-900">
+                  {user.username}
+                  {user.id === currentUser.id && <span className="ml-1 text-gray-400">(you)</span>}
+                </td>
+                <td className="py-2">
+                  <select
+                    value={user.role}
+                    onChange={(e) => handleRoleChange(user, e.target.value)}
+                    disabled={busy}
+                    className={`${inputClass} bg-white`}
+                    aria-label={`Role of ${user.username}`}
+                  >
+                    {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                </td>
+                <td className="py-2 text-gray-600">{user.imageCount}</td>
+                <td className="py-2 text-gray-500">{formatDate(user.createdAt)}</td>
+                <td className="py-2 text-right space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => handleResetPassword(user)}
+                    disabled={busy}
+                    className="text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                  >
+                    Reset password
+                  </button>
+                  {user.id !== currentUser.id && (
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteUser(user)}
+                      disabled={busy || user.imageCount > 0}
+                      title={user.imageCount > 0 ? 'Users who still own images cannot be deleted' : undefined}
+                      className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <form onSubmit={handleCreateUser} className="flex flex-wrap items-center gap-2 pt-2">
+          <input
+            type="text"
+            value={newUser.username}
+            onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+            placeholder="Username"
+            required
+            className={inputClass}
+          />
+          <input
+            type="password"
+            value={newUser.password}
+            onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+            placeholder="Password"
+            autoComplete="new-password"
+            minLength={8}
+            required
+            className={inputClass}
+          />
+          <select
+            value={newUser.role}
+            onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+            className={`${inputClass} bg-white`}
+            aria-label="Role of the new user"
+          >
+            {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <button type="submit" disabled={busy} className={buttonClass}>Add user</button>
+        </form>
+      </section>
+
+      <section className="bg-white rounded-lg shadow p-4 space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">API keys</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            For scripts and CI: send the key as <code>Authorization: Bearer &lt;key&gt;</code>. A key acts for its user
+            and never has more rights than they do.
+          </p>
+        </div>
+
+        {createdKey && (
+          <div className="p-3 rounded-md bg-green-50 border border-green-200 text-sm space-y-1">
+            <p className="text-green-800">
+              Key &quot;{createdKey.name}&quot; created. Copy it now; it will not be shown again.
+            </p>
+            <code className="block break-all bg-white px-2 py-1 rounded border border-green-200">{createdKey.key}</code>
+            <button type="button" onClick={() => setCreatedKey(null)} className="text-green-700 hover:text-green-800">
+              Done
+            </button>
+          </div>
+        )}
+
+        {keys.length === 0 ? (
+          <p className="text-sm text-gray-500">No API keys yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Name</th>
+                <th className="py-2">Key</th>
+                <th className="py-2">User</th>
+                <th className="py-2">Role</th>
+                <th className="py-2">Last used</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {keys.map((key) => (
+                <tr key={key.id} className={`border-b last:border-0 ${key.revokedAt ? 'text-gray-400' : ''}`}>
+                  <td className="py-2 font-medium">{key.name}</td>
+                  <td className="py-2 font-mono">{key.prefix}…</td>
+                  <td className="py-2">{key.username || 'deleted user'}</td>
+                  <td className="py-2">{key.role}</td>
+                  <td className="py-2">{formatDate(key.lastUsedAt)}</td>
+                  <td className="py-2 text-right">
+                    {key.revokedAt ? (
+                      <span>Revoked {formatDate(key.revokedAt)}</span>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => handleRevokeKey(key)}
+                        disabled={busy}
+                        className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form onSubmit={handleCreateKey} className="flex flex-wrap items-center gap-2 pt-2">
+          <input
+            type="text"
+            value={newKey.name}
+            onChange={(e) => setNewKey({ ...newKey, name: e.target.value })}
+            placeholder="Key name, e.g. CI uploads"
+            required
+            className={`${inputClass} w-56`}
+          />
+          <select
+            value={newKey.userId || currentUser.id}
+            onChange={(e) => setNewKey({ ...newKey, userId: e.target.value })}
+            className={`${inputClass} bg-white`}
+            aria-label="User the key acts for"
+          >
+            {users.map((user) => <option key={user.id} value={user.id}>{user.username}</option>)}
+          </select>
+          <select
+            value={newKey.role}
+            onChange={(e) => setNewKey({ ...newKey, role: e.target.value })}
+            className={`${inputClass} bg-white`}
+            aria-label="Role of the key"
+          >
+            {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <button type="submit" disabled={busy} className={buttonClass}>Create key</button>
+        </form>
+      </section>
+    </div>
+  );
+};
+
+export default Admin;
@@ -0,0 +1,317 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import ListControls from '../components/ListControls';
+import Pagination from '../components/Pagination';
+import ShareLinks from '../components/ShareLinks';
+import { DEFAULT_LIST_QUERY, toListQueryString } from '../listQuery';
+import {
+  GRID_SIZES,
+  thumbnailUrl,
+  thumbnailSrcSet,
+  getOptimizedImageUrl,
+  cloudinarySrcSet,
+} from '../imageUrls';
+
+const fetchJSON = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Request failed: ${response.statusText}`);
+  }
+  return response.json();
+};
+
+const jsonRequest = (method, body) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+const AlbumDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [album, setAlbum] = useState(null);
+  const [images, setImages] = useState([]);
+  const [listQuery, setListQuery] = useState(DEFAULT_LIST_QUERY);
+  const [pageInfo, setPageInfo] = useState({ page: 1, totalPages: 1, total: 0 });
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ name: '', description: '' });
+
+  // "Add images" picker over the whole library
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [pickerImages, setPickerImages] = useState([]);
+  const [pickerPage, setPickerPage] = useState({ page: 1, totalPages: 1, total: 0 });
+  const [selected, setSelected] = useState([]);
+
+  const loadAlbum = useCallback(async () => {
+    try {
+      const data = await fetchJSON(`/api/albums/${id}`);
+      setAlbum(data);
+      setForm({ name: data.name, description: data.description || '' });
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching album:', err);
+      setError(err.message);
+    }
+  }, [id]);
+
+  const loadImages = useCallback(async () => {
+    try {
+      const data = await fetchJSON(`/api/images?${toListQueryString({ ...listQuery, album: id })}`);
+      setImages(data.items);
+      setPageInfo({ page: data.page, totalPages: data.totalPages, total: data.total });
+    } catch (err) {
+      console.error('Error fetching album images:', err);
+      setError(err.message);
+    }
+  }, [id, listQuery]);
+
+  const loadPicker = useCallback(async (page = 1) => {
+    try {
+      const data = await fetchJSON(`/api/images?${toListQueryString({ ...DEFAULT_LIST_QUERY, page })}`);
+      setPickerImages(data.items);
+      setPickerPage({ page: data.page, totalPages: data.totalPages, total: data.total });
+    } catch (err) {
+      console.error('Error fetching images:', err);
+      alert('Failed to load images: ' + err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlbum();
+  }, [loadAlbum]);
+
+  useEffect(() => {
+    loadImages();
+  }, [loadImages]);
+
+  useEffect(() => {
+    if (pickerOpen) loadPicker();
+  }, [pickerOpen, loadPicker]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      await fetchJSON(`/api/albums/${id}`, jsonRequest('PATCH', form));
+      setEditing(false);
+      await loadAlbum();
+    } catch (err) {
+      alert('Failed to update album: ' + err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete album "${album.name}"? Its images are kept.`)) return;
+    try {
+      await fetchJSON(`/api/albums/${id}`, { method: 'DELETE' });
+      navigate('/albums');
+    } catch (err) {
+      alert('Failed to delete album: ' + err.message);
+    }
+  };
+
+  const handleRemove = async (image) => {
+    try {
+      await fetchJSON(`/api/albums/${id}/images`, jsonRequest('DELETE', { imageIds: [image.id] }));
+      await Promise.all([loadAlbum(), loadImages()]);
+    } catch (err) {
+      alert('Failed to remove image: ' + err.message);
+    }
+  };
+
+  const handleAddSelected = async () => {
+    try {
+      await fetchJSON(`/api/albums/${id}/images`, jsonRequest('POST', { imageIds: selected }));
+      setSelected([]);
+      setPickerOpen(false);
+      await Promise.all([loadAlbum(), loadImages()]);
+    } catch (err) {
+      alert('Failed to add images: ' + err.message);
+    }
+  };
+
+  const toggleSelected = (imageId) => {
+    setSelected((prev) => (prev.includes(imageId) ? prev.filter((x) => x !== imageId) : [...prev, imageId]));
+  };
+
+  if (error && !album) {
+    return (
+      <div className="text-center py-12 bg-white rounded-lg shadow">
+        <h3 className="mt-2 text-sm font-medium text-gray-900">Error loading album</h3>
+        <p className="mt-1 text-sm text-gray-500">{error}</p>
+        <Link to="/albums" className="mt-4 inline-block text-sm text-blue-600 hover:underline">Back to albums</Link>
+      </div>
+    );
+  }
+
+  if (!album) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Link to="/albums" className="text-sm text-blue-600 hover:underline">← All albums</Link>
+
+      <div className="sm:flex sm:items-start sm:justify-between gap-6">
+        {editing ? (
+          <form onSubmit={handleSave} className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              required
+              className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+            />
+            <input
+              type="text"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Description"
+              className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+            />
+            <button type="submit" className="px-4 py-1.5 bg-blue-500 text-white rounded-lg hover:bg-blue-600 text-sm">
+              Save
+            </button>
+            <button type="button" onClick={() => setEditing(false)} className="px-4 py-1.5 text-sm text-gray-600">
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">{album.name}</h2>
+            <p className="mt-1 text-sm text-gray-500">
+              {album.imageCount} image{album.imageCount === 1 ? '' : 's'}
+              {album.description && ` · ${album.description}`}
+            </p>
+            <ShareLinks type="album" targetId={album.id} />
+          </div>
+        )}
+        <div className="mt-4 sm:mt-0 flex gap-2">
+          <button
+            type="button"
+            onClick={() => setPickerOpen(!pickerOpen)}
+            className="px-4 py-1.5 bg-blue-500 text-white rounded-lg hover:bg-blue-600 text-sm"
+          >
+            {pickerOpen ? 'Close' : 'Add Images'}
+          </button>
+          {!editing && (
+            <button
+              type="button"
+              onClick={() => setEditing(true)}
+              className="px-4 py-1.5 border border-gray-200 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Edit
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="px-4 py-1.5 border border-red-200 rounded-lg text-sm text-red-600 hover:bg-red-50"
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+
+      {pickerOpen && (
+        <section className="bg-white shadow rounded-lg p-4">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-sm font-medium text-gray-900">Select images to add</h3>
+            <button
+              type="button"
+              onClick={handleAddSelected}
+              disabled={selected.length === 0}
+              className="px-4 py-1.5 bg-green-500 text-white rounded-lg hover:bg-green-600 text-sm disabled:opacity-50"
+            >
+              Add {selected.length || ''} to album
+            </button>
+          </div>
+          <div className="grid grid-cols-3 sm:grid-cols-4 lg:grid-cols-6 gap-3">
+            {pickerImages.map((image) => {
+              const inAlbum = (image.albumIds || []).includes(id);
+              return (
+                <label
+                  key={image.id}
+                  className={`relative block rounded-lg overflow-hidden border-2 ${
+                    selected.includes(image.id) ? 'border-blue-500' : 'border-transparent'
+                  } ${inAlbum ? 'opacity-40 cursor-not-allowed' : 'cursor-pointer'}`}
+                  title={inAlbum ? 'Already in this album' : image.originalName}
+                >
+                  <img src={thumbnailUrl(image.id, 200)} alt={image.originalName} className="w-full aspect-square object-cover" />
+                  <input
+                    type="checkbox"
+                    className="absolute top-2 left-2"
+                    checked={inAlbum || selected.includes(image.id)}
+                    disabled={inAlbum}
+                    onChange={() => toggleSelected(image.id)}
+                  />
+                </label>
+              );
+            })}
+          </div>
+          <Pagination
+            page={pickerPage.page}
+            totalPages={pickerPage.totalPages}
+            total={pickerPage.total}
+            onPageChange={loadPicker}
+          />
+        </section>
+      )}
+
+      <div className="flex justify-end">
+        <ListControls
+          query={listQuery}
+          onChange={(changes) => setListQuery((prev) => ({ ...prev, ...changes, page: 1 }))}
+          showLocalFilter
+        />
+      </div>
+
+      {images.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No images in this album</h3>
+          <p className="mt-1 text-sm text-gray-500">Use “Add Images” to pick some from your library</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-4">
+          {images.map((image) => (
+            <div key={image.id} className="bg-white overflow-hidden shadow rounded-lg">
+              <div className="aspect-square bg-gray-50">
+                <img
+                  src={image.hasLocalFile ? thumbnailUrl(image.id) : getOptimizedImageUrl(image.remoteUrl)}
+                  srcSet={image.hasLocalFile ? thumbnailSrcSet(image.id) : cloudinarySrcSet(image.remoteUrl)}
+                  sizes={GRID_SIZES}
+                  alt={image.originalName}
+                  className="w-full h-full object-cover"
+                />
+              </div>
+              <div className="p-3 flex items-center justify-between gap-2">
+                <span className="text-sm text-gray-900 truncate" title={image.originalName}>{image.originalName}</span>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(image)}
+                  className="text-xs text-red-500 hover:text-red-700 flex-shrink-0"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Pagination
+        page={pageInfo.page}
+        totalPages={pageInfo.totalPages}
+        total={pageInfo.total}
+        onPageChange={(page) => setListQuery((prev) => ({ ...prev, page }))}
+      />
+    </div>
+  );
+};
+
+export default AlbumDetail;
@@ -0,0 +1,211 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+
+const Albums = () => {
+  const [albums, setAlbums] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [albumsResponse, tagsResponse] = await Promise.all([fetch('/api/albums'), fetch('/api/tags')]);
+      if (!albumsResponse.ok || !tagsResponse.ok) {
+        throw new Error('Failed to fetch albums and tags');
+      }
+      setAlbums(await albumsResponse.json());
+      setTags(await tagsResponse.json());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching albums:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  // Shared by the create / rename / delete actions below
+  const send = async (url, method, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || `Request failed: ${response.statusText}`);
+    }
+    return response.json();
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      await send('/api/albums', 'POST', { name, description });
+      setName('');
+      setDescription('');
+      await fetchAll();
+    } catch (err) {
+      alert('Failed to create album: ' + err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDeleteAlbum = async (album) => {
+    if (!window.confirm(`Delete album "${album.name}"? Its images are kept.`)) return;
+    try {
+      await send(`/api/albums/${album.id}`, 'DELETE');
+      await fetchAll();
+    } catch (err) {
+      alert('Failed to delete album: ' + err.message);
+    }
+  };
+
+  const handleRenameTag = async (tag) => {
+    const newName = window.prompt('Rename tag', tag.name);
+    if (!newName || newName.trim() === tag.name) return;
+    try {
+      await send(`/api/tags/${tag.id}`, 'PATCH', { name: newName });
+      await fetchAll();
+    } catch (err) {
+      alert('Failed to rename tag: ' + err.message);
+    }
+  };
+
+  const handleDeleteTag = async (tag) => {
+    if (!window.confirm(`Delete tag "${tag.name}" from ${tag.imageCount} image(s)?`)) return;
+    try {
+      await send(`/api/tags/${tag.id}`, 'DELETE');
+      await fetchAll();
+    } catch (err) {
+      alert('Failed to delete tag: ' + err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="sm:flex sm:items-end sm:justify-between gap-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Albums</h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Group images by project; albums are mirrored as <code>album:</code> tags in cloud storage
+          </p>
+        </div>
+        <form onSubmit={handleCreate} className="mt-4 sm:mt-0 flex flex-wrap gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Album name"
+            required
+            className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+          />
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Description (optional)"
+            className="px-3 py-1.5 border border-gray-200 rounded-lg text-sm"
+          />
+          <button
+            type="submit"
+            disabled={creating || !name.trim()}
+            className="px-4 py-1.5 bg-blue-500 text-white rounded-lg hover:bg-blue-600 text-sm disabled:opacity-50"
+          >
+            {creating ? 'Creating...' : 'New Album'}
+          </button>
+        </form>
+      </div>
+
+      {error && (
+        <div className="text-center py-6 bg-white rounded-lg shadow text-sm text-red-600">{error}</div>
+      )}
+
+      {albums.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No albums yet</h3>
+          <p className="mt-1 text-sm text-gray-500">Create one above, then add images from the gallery</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-6 sm:grid-cols-2 lg:grid-cols-3">
+          {albums.map((album) => (
+            <div key={album.id} className="bg-white overflow-hidden shadow rounded-lg">
+              <Link to={`/albums/${album.id}`} className="block">
+                <div className="aspect-video bg-gray-50">
+                  {album.coverFilename ? (
+                    <img
+                      src={`/api/uploads/${album.coverFilename}`}
+                      alt={album.name}
+                      className="w-full h-full object-cover"
+                    />
+                  ) : (
+                    <div className="w-full h-full flex items-center justify-center text-sm text-gray-400">Empty album</div>
+                  )}
+                </div>
+              </Link>
+              <div className="p-4 flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <Link to={`/albums/${album.id}`} className="text-sm font-medium text-gray-900 hover:text-blue-600 truncate block">
+                    {album.name}
+                  </Link>
+                  <p className="text-xs text-gray-500">
+                    {album.imageCount} image{album.imageCount === 1 ? '' : 's'}
+                    {album.description && ` · ${album.description}`}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteAlbum(album)}
+                  className="text-xs text-red-500 hover:text-red-700"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <section className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-semibold text-gray-900">Tags</h3>
+        {tags.length === 0 ? (
+          <p className="mt-2 text-sm text-gray-500">No tags yet. Add them from the image cards in the gallery.</p>
+        ) : (
+          <ul className="mt-4 flex flex-wrap gap-2">
+            {tags.map((tag) => (
+              <li key={tag.id} className="inline-flex items-center gap-2 px-3 py-1 rounded-full bg-purple-50 text-purple-700 text-sm">
+                <span>{tag.name}</span>
+                <span className="text-xs text-purple-400">{tag.imageCount}</span>
+                <button type="button" onClick={() => handleRenameTag(tag)} className="text-xs hover:underline">
+                  Rename
+                </button>
+                <button type="button" onClick={() => handleDeleteTag(tag)} className="text-xs text-red-500 hover:underline">
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Albums;
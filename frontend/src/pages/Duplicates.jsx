@@ -0,0 +1,171 @@
+import { useState, useEffect, useCallback } from 'react';
+import { thumbnailUrl, getOptimizedImageUrl } from '../imageUrls';
+
+const formatSize = (bytes) => (bytes ? `${(bytes / 1024).toFixed(0)} KB` : '');
+
+const Duplicates = () => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Image to keep in each group, keyed by the group's first image id
+  const [keep, setKeep] = useState({});
+  const [busy, setBusy] = useState(null);
+
+  const fetchGroups = useCallback(async () => {
+    try {
+      const response = await fetch('/api/duplicates');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch duplicates: ${response.statusText}`);
+      }
+      setGroups(await response.json());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching duplicates:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGroups();
+  }, [fetchGroups]);
+
+  const groupKey = (group) => group.images[0].id;
+  const keptId = (group) => keep[groupKey(group)] || group.images[0].id;
+
+  const handleMerge = async (group) => {
+    const keepId = keptId(group);
+    const mergeIds = group.images.map((img) => img.id).filter((id) => id !== keepId);
+    if (!window.confirm(`Keep one image and move the other ${mergeIds.length} to the trash? Their tags and albums move to the kept image.`)) return;
+    setBusy(groupKey(group));
+    try {
+      const response = await fetch('/api/duplicates/merge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ keepId, mergeIds }),
+      });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Merge failed: ${response.statusText}`);
+      }
+      await fetchGroups();
+    } catch (err) {
+      alert('Failed to merge duplicates: ' + err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDelete = async (group, image) => {
+    if (!window.confirm(`Move "${image.originalName}" to the trash?`)) return;
+    setBusy(groupKey(group));
+    try {
+      const response = await fetch(`/api/images/${image.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Delete failed: ${response.statusText}`);
+      }
+      await fetchGroups();
+    } catch (err) {
+      alert('Failed to delete image: ' + err.message);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-900">Duplicates</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Identical and near-identical images. Pick the one to keep, then merge the rest into it.
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-[200px]">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Error loading duplicates</h3>
+          <p className="mt-1 text-sm text-gray-500">{error}</p>
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No duplicates found</h3>
+          <p className="mt-1 text-sm text-gray-500">Every image in the library looks unique</p>
+        </div>
+      ) : (
+        groups.map((group) => (
+          <div key={groupKey(group)} className="bg-white shadow rounded-lg p-4 space-y-4">
+            <div className="flex items-center justify-between gap-4">
+              <div className="flex items-center gap-2">
+                <span className={`px-2 py-0.5 rounded-full text-xs ${
+                  group.kind === 'exact' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+                }`}>
+                  {group.kind === 'exact' ? 'Identical' : `Similar (up to ${group.maxDistance} bits apart)`}
+                </span>
+                <span className="text-sm text-gray-500">{group.images.length} images</span>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleMerge(group)}
+                disabled={busy === groupKey(group)}
+                className="px-3 py-1 rounded-md text-sm bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+              >
+                Merge into kept
+              </button>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4">
+              {group.images.map((image) => (
+                <div
+                  key={image.id}
+                  className={`rounded-lg border overflow-hidden ${
+                    keptId(group) === image.id ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-100'
+                  }`}
+                >
+                  <img
+                    src={image.hasLocalFile ? thumbnailUrl(image.id) : getOptimizedImageUrl(image.remoteUrl, 400)}
+                    alt={image.originalName}
+                    className="w-full aspect-square object-cover"
+                  />
+                  <div className="p-2 space-y-1 text-xs">
+                    <p className="font-medium text-gray-900 truncate" title={image.originalName}>{image.originalName}</p>
+                    <p className="text-gray-500">
+                      {image.metadata ? `${image.metadata.width}×${image.metadata.height} · ` : ''}
+                      {formatSize(image.size)}
+                    </p>
+                    <p className="text-gray-400">{new Date(image.uploadedAt).toLocaleString()}</p>
+                    <div className="flex items-center justify-between pt-1">
+                      <label className="flex items-center gap-1 text-gray-700">
+                        <input
+                          type="radio"
+                          name={`keep-${groupKey(group)}`}
+                          checked={keptId(group) === image.id}
+                          onChange={() => setKeep({ ...keep, [groupKey(group)]: image.id })}
+                        />
+                        Keep
+                      </label>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(group, image)}
+                        disabled={busy === groupKey(group)}
+                        className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default Duplicates;
@@ -0,0 +1,167 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useServerEvent } from '../serverEvents';
+
+// As many jobs as GET /api/jobs returns by default
+const JOBS_LIMIT = 100;
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'queued', label: 'Queued' },
+  { value: 'running', label: 'Running' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'completed', label: 'Completed' },
+];
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-700',
+  failed: 'bg-red-100 text-red-700',
+  completed: 'bg-green-100 text-green-700',
+};
+
+const Jobs = () => {
+  const [jobs, setJobs] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [retrying, setRetrying] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const query = statusFilter ? `?status=${statusFilter}` : '';
+      const response = await fetch(`/api/jobs${query}`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch jobs: ${response.statusText}`);
+      }
+      setJobs(await response.json());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching jobs:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  // Keep the list current from the server's job events instead of polling
+  useServerEvent('job', ({ job }) => {
+    setJobs((prev) => {
+      const others = prev.filter((j) => j.id !== job.id);
+      if (statusFilter && job.status !== statusFilter) return others;
+      return [job, ...others]
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, JOBS_LIMIT);
+    });
+  });
+
+  // Events sent while the stream was down are lost
+  useServerEvent('resync', fetchJobs);
+
+  const handleRetry = async (job) => {
+    setRetrying(job.id);
+    try {
+      const response = await fetch(`/api/jobs/${job.id}/retry`, { method: 'POST' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Retry failed: ${response.statusText}`);
+      }
+      await fetchJobs();
+    } catch (err) {
+      console.error('Error retrying job:', err);
+      alert('Failed to retry job: ' + err.message);
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="sm:flex sm:items-center sm:justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Background Jobs</h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Uploads, restores and deletions processed by the server
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 flex gap-2">
+          {STATUS_FILTERS.map(({ value, label }) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => setStatusFilter(value)}
+              className={`px-3 py-1 rounded-full text-sm ${
+                statusFilter === value
+                  ? 'bg-blue-500 text-white'
+                  : 'bg-white text-gray-600 border border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-[200px]">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Error loading jobs</h3>
+          <p className="mt-1 text-sm text-gray-500">{error}</p>
+        </div>
+      ) : jobs.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No jobs</h3>
+          <p className="mt-1 text-sm text-gray-500">Uploads and restores will show up here</p>
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg divide-y divide-gray-100">
+          {jobs.map((job) => (
+            <div key={job.id} className="p-4 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium text-gray-900 capitalize">{job.type}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[job.status] || ''}`}>
+                    {job.status}
+                  </span>
+                  {job.payload?.imageId && (
+                    <span className="text-xs text-gray-400">image {job.payload.imageId}</span>
+                  )}
+                </div>
+                <div className="mt-1 text-xs text-gray-500">
+                  Created {new Date(job.createdAt).toLocaleString()}
+                  {' · '}attempt {job.attempts}/{job.maxAttempts}
+                  {job.status === 'queued' && job.attempts > 0 && (
+                    <> · next try {new Date(job.runAt).toLocaleTimeString()}</>
+                  )}
+                </div>
+                {job.lastError && (
+                  <div className="mt-1 text-xs text-red-600 truncate" title={job.lastError}>
+                    {job.lastError}
+                  </div>
+                )}
+              </div>
+              {job.status === 'failed' && (
+                <button
+                  type="button"
+                  onClick={() => handleRetry(job)}
+                  disabled={retrying === job.id}
+                  className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 text-sm disabled:opacity-50"
+                >
+                  {retrying === job.id ? 'Retrying...' : 'Retry'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Jobs;
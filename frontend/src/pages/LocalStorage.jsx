@@ -1,20 +1,30 @@
 import { useState, useEffect } from 'react';
+import ListControls from '../components/ListControls';
+import Pagination from '../components/Pagination';
+import { DEFAULT_LIST_QUERY, toListQueryString } from '../listQuery';
+import { thumbnailUrl, thumbnailSrcSet } from '../imageUrls';
+
+// Matches the 1 / 2 / 3 column grid below
+const LOCAL_GRID_SIZES = '(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw';
 
 const LocalStorage = () => {
   const [localImages, setLocalImages] = useState([]);
+  const [listQuery, setListQuery] = useState(DEFAULT_LIST_QUERY);
+  const [pageInfo, setPageInfo] = useState({ page: 1, totalPages: 1, total: 0 });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     const fetchLocalImages = async () => {
       try {
-        setLoading(true);
-        const response = await fetch('/api/local-images');
+        const response = await fetch(`/api/local-images?${toListQueryString(listQuery)}`);
         if (!response.ok) {
           throw new Error(`Failed to fetch local images: ${response.statusText}`);
         }
-        const images = await response.json();
-        setLocalImages(images);
+        const { items, page, totalPages, total } = await response.json();
+        setLocalImages(items);
+        setPageInfo({ page, totalPages, total });
+        setError(null);
       } catch (err) {
         console.error('Error fetching local images:', err);
         setError(err.message);
@@ -24,7 +34,7 @@ const LocalStorage = () => {
     };
 
     fetchLocalImages();
-  }, []);
+  }, [listQuery]);
 
   if (loading) {
     return (
@@ -65,6 +75,12 @@ const LocalStorage = () => {
             Images stored in your local uploads directory
           </p>
         </div>
+        <div className="mt-4 sm:mt-0">
+          <ListControls
+            query={listQuery}
+            onChange={(changes) => setListQuery((prev) => ({ ...prev, ...changes, page: 1 }))}
+          />
+        </div>
       </div>
 
       {localImages.length === 0 ? (
@@ -84,7 +100,7 @@ const LocalStorage = () => {
           </svg>
           <h3 className="mt-2 text-sm font-medium text-gray-900">No local images found</h3>
           <p className="mt-1 text-sm text-gray-500">
-            Upload some images to see them here
+            {listQuery.status ? 'No images match this filter' : 'Upload some images to see them here'}
           </p>
         </div>
       ) : (
@@ -96,8 +112,11 @@ const LocalStorage = () => {
             >
               <div className="p-4">
                 <div className="aspect-w-16 aspect-h-9 mb-4">
+                  {/* Files without an image record have no thumbnails; show the original */}
                   <img
-                    src={image.path}
+                    src={image.id ? thumbnailUrl(image.id) : image.path}
+                    srcSet={image.id ? thumbnailSrcSet(image.id) : undefined}
+                    sizes={image.id ? LOCAL_GRID_SIZES : undefined}
                     alt={image.originalName || image.filename}
                     className="object-cover rounded-lg w-full h-full"
                     onError={(e) => {
@@ -148,6 +167,13 @@ const LocalStorage = () => {
           ))}
         </div>
       )}
+
+      <Pagination
+        page={pageInfo.page}
+        totalPages={pageInfo.totalPages}
+        total={pageInfo.total}
+        onPageChange={(page) => setListQuery((prev) => ({ ...prev, page }))}
+      />
     </div>
   );
 };
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../auth';
+
+// Sign-in form; offers account creation while the server allows sign-up
+const Login = () => {
+  const { user, signupOpen, login, register } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [creating, setCreating] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const from = location.state?.from?.pathname || '/';
+  if (user) {
+    return <Navigate to={from} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await (creating ? register : login)(username, password);
+      navigate(from, { replace: true });
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="w-full max-w-sm bg-white rounded-xl shadow-md p-8">
+        <h1 className="text-2xl font-bold bg-gradient-to-r from-blue-500 to-purple-500 bg-clip-text text-transparent">
+          cloudSync
+        </h1>
+        <p className="mt-1 mb-6 text-sm text-gray-500">
+          {creating ? 'Create an account' : 'Log in to your library'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="username" className="block text-sm font-medium text-gray-700">Username</label>
+            <input
+              id="username"
+              type="text"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              required
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700">Password</label>
+            <input
+              id="password"
+              type="password"
+              autoComplete={creating ? 'new-password' : 'current-password'}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              minLength={creating ? 8 : undefined}
+              required
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full py-2 rounded-md bg-blue-500 text-white font-medium hover:bg-blue-600 disabled:opacity-50"
+          >
+            {busy ? 'Please wait...' : creating ? 'Create account' : 'Log in'}
+          </button>
+        </form>
+
+        {signupOpen && (
+          <button
+            type="button"
+            onClick={() => {
+              setCreating(!creating);
+              setError(null);
+            }}
+            className="mt-4 w-full text-sm text-blue-600 hover:text-blue-700"
+          >
+            {creating ? 'I already have an account' : 'Create an account'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Login;
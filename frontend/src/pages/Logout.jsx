@@ -0,0 +1,20 @@
+import { useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../auth';
+
+// Ends the session, then shows the login form
+const Logout = () => {
+  const { logout } = useAuth();
+  const [done, setDone] = useState(false);
+
+  useEffect(() => {
+    logout().then(() => setDone(true));
+  }, [logout]);
+
+  if (done) {
+    return <Navigate to="/login" replace />;
+  }
+  return <div className="flex justify-center items-center min-h-screen text-gray-500">Logging out...</div>;
+};
+
+export default Logout;
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { sharedThumbnailUrl, sharedDownloadUrl } from '../shareLinks';
+
+const formatBytes = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * SharedView
+ * Public, read-only page for a share link (/share/:token); needs no login.
+ * Shows the shared image or album as thumbnails, with a download link for
+ * each original while the link's download limit allows.
+ */
+const SharedView = () => {
+  const { token } = useParams();
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadShare = async () => {
+      try {
+        const response = await fetch(`/api/s/${token}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || response.statusText);
+        }
+        setShared(data);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    loadShare();
+  }, [token]);
+
+  const canDownload = shared && (shared.downloadsLeft === null || shared.downloadsLeft > 0);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center">
+          <span className="text-2xl font-bold bg-gradient-to-r from-blue-500 to-purple-500 bg-clip-text text-transparent">
+            cloudSync
+          </span>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8 px-4">
+        {error ? (
+          <div className="text-center py-12 bg-white rounded-lg shadow">
+            <h3 className="mt-2 text-sm font-medium text-gray-900">This link cannot be opened</h3>
+            <p className="mt-1 text-sm text-gray-500">{error}</p>
+          </div>
+        ) : !shared ? (
+          <div className="flex items-center justify-center min-h-[400px]">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">{shared.name}</h2>
+              <p className="mt-1 text-sm text-gray-500">
+                {shared.type === 'album' && `${shared.images.length} image${shared.images.length === 1 ? '' : 's'} · `}
+                {shared.description && `${shared.description} · `}
+                Link expires {new Date(shared.expiresAt).toLocaleString()}
+                {shared.downloadsLeft !== null && ` · ${shared.downloadsLeft} download${shared.downloadsLeft === 1 ? '' : 's'} left`}
+              </p>
+            </div>
+
+            {shared.images.length === 0 ? (
+              <div className="text-center py-12 bg-white rounded-lg shadow">
+                <h3 className="mt-2 text-sm font-medium text-gray-900">This album is empty</h3>
+              </div>
+            ) : (
+              <div
+                className={
+                  shared.type === 'album'
+                    ? 'grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4'
+                    : 'max-w-3xl mx-auto'
+                }
+              >
+                {shared.images.map((image) => (
+                  <div key={image.id} className="bg-white rounded-lg shadow overflow-hidden">
+                    {image.hasThumbnail ? (
+                      <img
+                        src={sharedThumbnailUrl(token, image.id, shared.type === 'album' ? 400 : 1200)}
+                        alt={image.originalName}
+                        className={shared.type === 'album' ? 'w-full aspect-square object-cover' : 'w-full'}
+                        loading="lazy"
+                      />
+                    ) : (
+                      <div className="w-full aspect-square flex items-center justify-center bg-gray-50 text-xs text-gray-400">
+                        No preview
+                      </div>
+                    )}
+                    <div className="p-2 flex items-center justify-between gap-2 text-xs">
+                      <span className="truncate text-gray-700" title={image.originalName}>
+                        {image.originalName}
+                        {image.size ? ` · ${formatBytes(image.size)}` : ''}
+                      </span>
+                      {canDownload && (
+                        <a
+                          href={sharedDownloadUrl(token, image.id)}
+                          className="shrink-0 text-blue-600 hover:text-blue-700"
+                        >
+                          Download
+                        </a>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default SharedView;
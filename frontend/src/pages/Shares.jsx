@@ -0,0 +1,134 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { shareUrl, describeShare } from '../shareLinks';
+
+/**
+ * Shares
+ * Every share link of the logged-in user, newest first, with Copy and
+ * Revoke. Revoked, expired and used-up links are hidden unless "Show
+ * inactive" is ticked. Links are created from an image card or album page.
+ */
+const Shares = () => {
+  const [shares, setShares] = useState([]);
+  const [showInactive, setShowInactive] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const fetchShares = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/shares${showInactive ? '?all=true' : ''}`);
+      if (!response.ok) {
+        throw new Error(`Failed to load share links: ${response.statusText}`);
+      }
+      setShares(await response.json());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching share links:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showInactive]);
+
+  useEffect(() => {
+    fetchShares();
+  }, [fetchShares]);
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share.token));
+      setCopiedId(share.id);
+    } catch {
+      window.prompt('Copy this link:', shareUrl(share.token));
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    if (!window.confirm(`Revoke the link to "${share.targetName}"? Anyone who has it loses access.`)) return;
+    setBusy(share.id);
+    try {
+      const response = await fetch(`/api/shares/${share.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || response.statusText);
+      }
+      await fetchShares();
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      alert(`Failed to revoke link: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="sm:flex sm:items-end sm:justify-between gap-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Share links</h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Links let people without an account see an image or album until they expire or are revoked.
+          </p>
+        </div>
+        <label className="mt-4 sm:mt-0 flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={showInactive} onChange={(e) => setShowInactive(e.target.checked)} />
+          Show inactive
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-[200px]">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Error loading share links</h3>
+          <p className="mt-1 text-sm text-gray-500">{error}</p>
+        </div>
+      ) : shares.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No share links</h3>
+          <p className="mt-1 text-sm text-gray-500">Use "Share" on an image or album to create one</p>
+        </div>
+      ) : (
+        <ul className="bg-white rounded-lg shadow divide-y">
+          {shares.map((share) => (
+            <li key={share.id} className="p-4 flex items-center justify-between gap-4 text-sm">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 truncate">
+                  {share.type === 'album' ? (
+                    <Link to={`/albums/${share.targetId}`} className="hover:underline">Album: {share.targetName}</Link>
+                  ) : (
+                    share.targetName
+                  )}
+                </p>
+                <p className="text-gray-500">
+                  {describeShare(share)} · {share.downloads} download{share.downloads === 1 ? '' : 's'} so far
+                </p>
+              </div>
+              {share.status === 'active' && (
+                <div className="shrink-0 space-x-3">
+                  <button type="button" onClick={() => handleCopy(share)} className="text-blue-600 hover:text-blue-700">
+                    {copiedId === share.id ? 'Copied' : 'Copy link'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(share)}
+                    disabled={busy !== null}
+                    className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Shares;
@@ -0,0 +1,158 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth, hasRole } from '../auth';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "in 3 days", "today"
+const formatPurge = (purgeAt) => {
+  const days = Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS);
+  return days <= 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+const Trash = () => {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+  // Purging is for admins only; everyone else can restore
+  const canPurge = hasRole(useAuth().user?.role, 'admin');
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await fetch('/api/trash');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch trash: ${response.statusText}`);
+      }
+      const data = await response.json();
+      setItems(data.items);
+      setRetentionDays(data.retentionDays);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching trash:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  // Runs one trash request, then reloads the list
+  const runAction = async (key, url, method, failure) => {
+    setBusy(key);
+    try {
+      const response = await fetch(url, { method });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || response.statusText);
+      }
+      await fetchTrash();
+    } catch (err) {
+      alert(`${failure}: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRestore = (item) =>
+    runAction(item.id, `/api/trash/${item.id}/restore`, 'POST', 'Failed to restore image');
+
+  const handlePurge = (item) => {
+    if (!window.confirm(`Delete "${item.originalName}" permanently? This cannot be undone.`)) return;
+    runAction(item.id, `/api/trash/${item.id}`, 'DELETE', 'Failed to delete image');
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm(`Permanently delete all ${items.length} image(s) in the trash? This cannot be undone.`)) return;
+    runAction('all', '/api/trash', 'DELETE', 'Failed to empty trash');
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Trash</h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Deleted images can be restored until they are purged
+            {retentionDays ? `, ${retentionDays} days after deletion` : ''}.
+          </p>
+        </div>
+        {canPurge && items.length > 0 && (
+          <button
+            type="button"
+            onClick={handleEmpty}
+            disabled={busy !== null}
+            className="px-3 py-1 rounded-md text-sm bg-red-500 text-white hover:bg-red-600 disabled:opacity-50"
+          >
+            Empty trash
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-[200px]">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        </div>
+      ) : error ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Error loading trash</h3>
+          <p className="mt-1 text-sm text-gray-500">{error}</p>
+        </div>
+      ) : items.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow">
+          <h3 className="mt-2 text-sm font-medium text-gray-900">The trash is empty</h3>
+          <p className="mt-1 text-sm text-gray-500">Deleted images show up here</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4">
+          {items.map((item) => (
+            <div key={item.id} className="bg-white rounded-lg shadow overflow-hidden">
+              {item.hasLocalFile ? (
+                <img
+                  src={`/api/trash/${item.id}/thumb?w=400`}
+                  alt={item.originalName}
+                  className="w-full aspect-square object-cover opacity-75"
+                  loading="lazy"
+                />
+              ) : (
+                <div className="w-full aspect-square flex items-center justify-center bg-gray-50 text-xs text-gray-400">
+                  No local file
+                </div>
+              )}
+              <div className="p-2 space-y-1 text-xs">
+                <p className="font-medium text-gray-900 truncate" title={item.originalName}>{item.originalName}</p>
+                <p className="text-gray-500">Deleted {new Date(item.trashedAt).toLocaleString()}</p>
+                <p className="text-gray-400">Purged {formatPurge(item.purgeAt)}</p>
+                <div className="flex items-center justify-between pt-1">
+                  <button
+                    type="button"
+                    onClick={() => handleRestore(item)}
+                    disabled={busy !== null || !item.hasLocalFile}
+                    className="text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                  >
+                    Restore
+                  </button>
+                  {canPurge && (
+                    <button
+                      type="button"
+                      onClick={() => handlePurge(item)}
+                      disabled={busy !== null}
+                      className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                    >
+                      Delete forever
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
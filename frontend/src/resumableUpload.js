@@ -0,0 +1,117 @@
+import * as tus from 'tus-js-client';
+
+// tus endpoint on the backend (backend/resumable.js)
+export const RESUMABLE_ENDPOINT = '/api/files';
+
+// Uploads are sent in chunks, so a dropped connection loses at most one chunk
+const CHUNK_SIZE = 8 * 1024 * 1024;
+
+// tus-js-client keeps the URL of every unfinished upload in localStorage
+// ("tus::" keys), which is what lets an upload resume after a page reload
+const urlStorage = tus.defaultOptions.urlStorage;
+
+const parseBody = (response) => {
+  try {
+    return JSON.parse(response.getBody());
+  } catch {
+    return null;
+  }
+};
+
+// Error for a failed upload, with the server's JSON body (e.g. `duplicates`) as `data`
+const uploadError = (err) => {
+  const data = err.originalResponse ? parseBody(err.originalResponse) : null;
+  const error = new Error((data && data.error) || err.message);
+  error.data = data;
+  return error;
+};
+
+/**
+ * Uploads `file` with the tus protocol, continuing an earlier upload of the
+ * same file if the server still has it. Resolves with the same JSON as
+ * POST /api/upload. `onProgress(fraction)` is called as chunks go out.
+ * Returns { promise, abort }; `abort(true)` also discards what the server has
+ * received. An aborted upload's promise never settles.
+ */
+export const startResumableUpload = (file, { backupKey, onProgress } = {}) => {
+  let upload;
+  let aborted = false;
+  const promise = new Promise((resolve, reject) => {
+    upload = new tus.Upload(file, {
+      endpoint: RESUMABLE_ENDPOINT,
+      chunkSize: CHUNK_SIZE,
+      retryDelays: [0, 1000, 3000, 5000, 10000],
+      removeFingerprintOnSuccess: true,
+      metadata: {
+        filename: file.name,
+        filetype: file.type || 'application/octet-stream',
+        ...(backupKey ? { backupKey } : {}),
+      },
+      onProgress: (sent, total) => onProgress && onProgress(total ? sent / total : 0),
+      // A rejected duplicate will be rejected again; anything else follows the tus defaults
+      onShouldRetry: (err) => {
+        const status = err.originalResponse ? err.originalResponse.getStatus() : 0;
+        const data = err.originalResponse ? parseBody(err.originalResponse) : null;
+        if (data && data.duplicates) return false;
+        return !(status >= 400 && status < 500 && status !== 409 && status !== 423);
+      },
+      onSuccess: ({ lastResponse }) => resolve(parseBody(lastResponse) || {}),
+      onError: (err) => reject(uploadError(err)),
+    });
+
+    upload.findPreviousUploads().then((previous) => {
+      if (aborted) return;
+      if (previous.length > 0) {
+        upload.resumeFromPreviousUpload(previous[0]);
+      }
+      upload.start();
+    }, reject);
+  });
+  const abort = (terminate = false) => {
+    aborted = true;
+    return upload.abort(terminate);
+  };
+  return { promise, abort };
+};
+
+/**
+ * Unfinished uploads remembered by this browser, newest first, with how many
+ * bytes the server has received: [{ key, name, size, offset, createdAt }].
+ * Uploads the server no longer knows about (expired) are forgotten.
+ */
+export const findInterruptedUploads = async () => {
+  const uploads = await urlStorage.findAllUploads();
+  const found = await Promise.all(uploads.map(async (previous) => {
+    try {
+      const response = await fetch(previous.uploadUrl, {
+        method: 'HEAD',
+        headers: { 'Tus-Resumable': '1.0.0' },
+      });
+      if (!response.ok) {
+        await urlStorage.removeUpload(previous.urlStorageKey);
+        return null;
+      }
+      return {
+        key: previous.urlStorageKey,
+        url: previous.uploadUrl,
+        name: previous.metadata.filename,
+        size: previous.size,
+        offset: Number(response.headers.get('Upload-Offset')) || 0,
+        createdAt: previous.creationTime,
+      };
+    } catch {
+      // Server unreachable: keep it for later
+      return null;
+    }
+  }));
+  return found.filter(Boolean).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+};
+
+// Drops an unfinished upload from the server and from this browser
+export const discardInterruptedUpload = async ({ key, url }) => {
+  try {
+    await tus.Upload.terminate(url, { retryDelays: null });
+  } finally {
+    await urlStorage.removeUpload(key);
+  }
+};
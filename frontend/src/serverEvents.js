@@ -0,0 +1,70 @@
+import { useEffect, useRef } from 'react';
+
+// Live events from /api/events (backend/events.js). One EventSource per tab,
+// opened by the first subscriber and closed when the last one leaves.
+const EVENT_TYPES = ['image', 'job'];
+// Wait before opening a new stream after the browser gave up on the old one
+const REOPEN_DELAY_MS = 5000;
+
+const listeners = new Map();
+let source = null;
+let dropped = false;
+let reopenTimer = null;
+
+const dispatch = (type, data) => {
+  (listeners.get(type) || []).forEach((listener) => listener(data));
+};
+
+const hasListeners = () => [...listeners.values()].some((set) => set.size > 0);
+
+const open = () => {
+  source = new EventSource('/api/events');
+  EVENT_TYPES.forEach((type) => {
+    source.addEventListener(type, (e) => dispatch(type, JSON.parse(e.data)));
+  });
+  source.onopen = () => {
+    // Events sent while the stream was down are lost; let pages reload instead
+    if (dropped) dispatch('resync');
+    dropped = false;
+  };
+  source.onerror = () => {
+    dropped = true;
+    // The browser retries by itself unless the server refused the stream (e.g. 401)
+    if (source.readyState === EventSource.CLOSED) {
+      source = null;
+      reopenTimer = setTimeout(() => {
+        reopenTimer = null;
+        if (!source && hasListeners()) open();
+      }, REOPEN_DELAY_MS);
+    }
+  };
+};
+
+const close = () => {
+  clearTimeout(reopenTimer);
+  reopenTimer = null;
+  if (source) source.close();
+  source = null;
+  dropped = false;
+};
+
+// Calls `listener(event)` for each event of `type` ('image', 'job', or
+// 'resync' after the stream reconnected); returns the unsubscribe function
+export const subscribe = (type, listener) => {
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(listener);
+  if (!source && !reopenTimer) open();
+  return () => {
+    listeners.get(type).delete(listener);
+    if (!hasListeners()) close();
+  };
+};
+
+// subscribe() for the lifetime of a component; always calls the latest `listener`
+export const useServerEvent = (type, listener) => {
+  const listenerRef = useRef(listener);
+  useEffect(() => {
+    listenerRef.current = listener;
+  });
+  useEffect(() => subscribe(type, (data) => listenerRef.current(data)), [type]);
+};
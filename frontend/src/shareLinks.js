@@ -0,0 +1,27 @@
+// Link lifetimes offered when creating a share link, in hours (backend/shares.js)
+export const EXPIRY_OPTIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 7 * 24, label: '7 days' },
+  { hours: 30 * 24, label: '30 days' },
+];
+
+// Public page for a share token (pages/SharedView.jsx)
+export const shareUrl = (token) => `${window.location.origin}/share/${token}`;
+
+// Files behind a share token; originals count against its download limit, thumbnails do not
+export const sharedThumbnailUrl = (token, imageId, width = 400) =>
+  `/api/s/${token}/images/${imageId}/thumb?w=${width}`;
+export const sharedDownloadUrl = (token, imageId) => `/api/s/${token}/images/${imageId}`;
+
+// "expires in 3 days", "3 of 5 downloads left", ...
+export const describeShare = (share) => {
+  if (share.status === 'revoked') return 'Revoked';
+  if (share.status === 'expired') return `Expired ${new Date(share.expiresAt).toLocaleString()}`;
+  if (share.status === 'used-up') return 'Download limit reached';
+  const parts = [`Expires ${new Date(share.expiresAt).toLocaleString()}`];
+  if (share.maxDownloads !== null) {
+    parts.push(`${share.maxDownloads - share.downloads} of ${share.maxDownloads} downloads left`);
+  }
+  return parts.join(' · ');
+};